@@ -0,0 +1,273 @@
+// Правила достижений, которые проверяет сервер.
+// Клиент только сообщает о событиях, решение о разблокировке принимается здесь.
+//
+// Формат правила (колонка achievements.rule):
+//   { event: 'page_visit', target: 'about' }             - хотя бы одно такое событие
+//   { event: 'tile_hover', distinct: true, min: 7 }      - 7 разных целей
+//   { event: 'game_download', every: 'available_games' } - все доступные для скачивания игры
+// У правил с min больше 1 и с every игрок видит прогресс (см. progressTarget).
+
+// События, о которых может сообщать браузер, и допустимые цели
+// (null - любая строка; news_view и game_download сервер сверяет с новостями и играми)
+const CLIENT_EVENTS = {
+    page_visit: ['home', 'games', 'about', 'profile'],
+    news_view: null,
+    tile_hover: ['tile-1', 'tile-2', 'tile-3', 'tile-4', 'tile-5', 'tile-6', 'tile-7'],
+    contact_click: ['mail', 'youtube'],
+    game_download: null
+};
+
+// События, которые записывает только сервер
+const SERVER_EVENTS = ['register'];
+
+const EVERY_SCOPES = ['available_games'];
+
+// Проверка правила из админки, возвращает текст ошибки или null
+function validateRule(rule) {
+    if (rule === null || rule === undefined) return null;
+
+    if (typeof rule !== 'object' || Array.isArray(rule)) {
+        return 'Rule must be an object';
+    }
+
+    const events = [...Object.keys(CLIENT_EVENTS), ...SERVER_EVENTS];
+    if (!events.includes(rule.event)) {
+        return `Rule event must be one of: ${events.join(', ')}`;
+    }
+
+    if (rule.min !== undefined && (!Number.isInteger(rule.min) || rule.min < 1)) {
+        return 'Rule min must be a positive integer';
+    }
+
+    if (rule.every !== undefined && !EVERY_SCOPES.includes(rule.every)) {
+        return `Rule every must be one of: ${EVERY_SCOPES.join(', ')}`;
+    }
+
+    return null;
+}
+
+// Проверка события от клиента (без обращения к БД)
+function validateClientEvent(type, target) {
+    if (!Object.prototype.hasOwnProperty.call(CLIENT_EVENTS, type)) {
+        return 'Unknown event type';
+    }
+
+    if (target !== undefined && target !== null && typeof target !== 'string') {
+        return 'Event target must be a string';
+    }
+
+    const allowedTargets = CLIENT_EVENTS[type];
+    if (allowedTargets && !allowedTargets.includes(target)) {
+        return 'Unknown event target';
+    }
+
+    if (target && target.length > 100) {
+        return 'Event target is too long';
+    }
+
+    return null;
+}
+
+// Сколько шагов правила уже выполнено по списку событий пользователя
+function ruleProgress(rule, events, context = {}) {
+    const matching = events.filter(event =>
+        event.type === rule.event && (!rule.target || event.target === rule.target)
+    );
+
+    if (rule.every === 'available_games') {
+        const targets = new Set(matching.map(event => event.target));
+        return (context.availableGames || []).filter(slug => targets.has(slug)).length;
+    }
+
+    return rule.distinct
+        ? new Set(matching.map(event => event.target)).size
+        : matching.length;
+}
+
+// Считает ли правило повторы одного и того же события (min без distinct).
+// Остальным правилам повтор ничего не даёт, и его можно не записывать
+function countsRepeats(rule) {
+    return !rule.distinct && !rule.every && (rule.min || 1) > 1;
+}
+
+// Выполнено ли правило на списке событий пользователя
+function evaluateRule(rule, events, context = {}) {
+    const progress = ruleProgress(rule, events, context);
+
+    if (rule.every === 'available_games') {
+        const games = context.availableGames || [];
+        return games.length > 0 && progress === games.length;
+    }
+
+    return progress >= (rule.min || 1);
+}
+
+// Время события, на котором правило выполнилось впервые; null - правило не выполнено.
+// Один проход по событиям по времени с тем же счётом, что в ruleProgress
+function completedAt(rule, events, context = {}) {
+    const sorted = events
+        .filter(event => event.type === rule.event && (!rule.target || event.target === rule.target))
+        .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+    const games = rule.every === 'available_games' ? new Set(context.availableGames || []) : null;
+    const needed = games ? games.size : (rule.min || 1);
+    if (needed === 0) return null;
+
+    const targets = new Set();
+    let count = 0;
+
+    for (const event of sorted) {
+        if (games) {
+            if (games.has(event.target)) targets.add(event.target);
+        } else if (rule.distinct) {
+            targets.add(event.target);
+        } else {
+            count++;
+        }
+
+        if ((games || rule.distinct ? targets.size : count) >= needed) {
+            return new Date(event.created_at);
+        }
+    }
+
+    return null;
+}
+
+// Цель многошагового достижения: target из админки (прогресс сообщает игра),
+// min правила или число доступных игр. null - достижение получают за один шаг
+function progressTarget(achievement, context = {}) {
+    if (achievement.target) return achievement.target;
+
+    const rule = achievement.rule;
+    if (!rule) return null;
+
+    if (rule.every === 'available_games') {
+        return (context.availableGames || []).length || null;
+    }
+
+    return rule.min > 1 ? rule.min : null;
+}
+
+// Данные для правил, которые зависят не только от событий пользователя
+async function loadContext(db, achievements) {
+    const context = {};
+
+    if (achievements.some(achievement => achievement.rule && achievement.rule.every === 'available_games')) {
+        const games = await db.getAllGames();
+        context.availableGames = games.filter(game => game.download_available).map(game => game.slug);
+    }
+
+    return context;
+}
+
+// Нужно ли хранить повторы события этого типа: да, если его считает хоть одно правило
+async function keepsRepeats(db, type) {
+    return (await db.getAllAchievements())
+        .some(achievement => achievement.rule && achievement.rule.event === type && countsRepeats(achievement.rule));
+}
+
+// Записывает событие, сохраняет прогресс многошаговых достижений и разблокирует те,
+// правила которых стали выполнены. Возвращает список только что полученных достижений.
+async function processEvent(db, userId, type, target = null) {
+    await db.recordUserEvent(userId, type, target, null, !(await keepsRepeats(db, type)));
+
+    const candidates = (await db.getLockedAchievements(userId))
+        .filter(achievement => achievement.rule && achievement.rule.event === type);
+
+    if (candidates.length === 0) return [];
+
+    const events = await db.getUserEvents(userId, type);
+    const context = await loadContext(db, candidates);
+
+    const unlocked = [];
+    for (const achievement of candidates) {
+        if (progressTarget(achievement, context)) {
+            await db.setAchievementProgress(userId, achievement.id, ruleProgress(achievement.rule, events, context));
+        }
+
+        if (evaluateRule(achievement.rule, events, context) &&
+            await db.unlockAchievementById(userId, achievement.id)) {
+            const { rule, ...publicData } = achievement;
+            unlocked.push(publicData);
+        }
+    }
+
+    return unlocked;
+}
+
+// Что заработал гость (события хранятся в его сессии, см. server.js):
+// id достижения -> { achievement, unlocked_at (null - ещё не выполнено), progress }
+async function evaluateGuestEvents(db, events) {
+    const achievements = (await db.getAllAchievements()).filter(achievement => achievement.rule);
+    const context = await loadContext(db, achievements);
+    const results = new Map();
+
+    for (const { rule, ...achievement } of achievements) {
+        results.set(achievement.id, {
+            achievement: achievement,
+            unlocked_at: completedAt(rule, events, context),
+            progress: ruleProgress(rule, events, context)
+        });
+    }
+
+    return results;
+}
+
+// Переносит события гостя в аккаунт при входе или регистрации. События сохраняются с исходным
+// временем; достижение, правило которого они выполнили, получает время выполнившего события.
+// Возвращает список только что полученных достижений.
+async function mergeGuestEvents(db, userId, guestEvents) {
+    if (guestEvents.length === 0) return [];
+
+    const repeats = new Map();
+    for (const event of guestEvents) {
+        if (!repeats.has(event.type)) {
+            repeats.set(event.type, await keepsRepeats(db, event.type));
+        }
+        await db.recordUserEvent(userId, event.type, event.target, new Date(event.created_at), !repeats.get(event.type));
+    }
+
+    const types = new Set(guestEvents.map(event => event.type));
+    const candidates = (await db.getLockedAchievements(userId))
+        .filter(achievement => achievement.rule && types.has(achievement.rule.event));
+
+    const context = await loadContext(db, candidates);
+    const eventsByType = new Map();
+
+    const unlocked = [];
+    for (const achievement of candidates) {
+        const type = achievement.rule.event;
+        if (!eventsByType.has(type)) {
+            eventsByType.set(type, await db.getUserEvents(userId, type));
+        }
+        const events = eventsByType.get(type);
+
+        if (progressTarget(achievement, context)) {
+            await db.setAchievementProgress(userId, achievement.id, ruleProgress(achievement.rule, events, context));
+        }
+
+        const unlockedAt = completedAt(achievement.rule, events, context);
+        if (unlockedAt && await db.unlockAchievementById(userId, achievement.id, unlockedAt)) {
+            const { rule, ...publicData } = achievement;
+            unlocked.push({ ...publicData, unlocked_at: unlockedAt });
+        }
+    }
+
+    return unlocked;
+}
+
+module.exports = {
+    CLIENT_EVENTS,
+    SERVER_EVENTS,
+    validateRule,
+    validateClientEvent,
+    ruleProgress,
+    countsRepeats,
+    evaluateRule,
+    progressTarget,
+    loadContext,
+    completedAt,
+    processEvent,
+    evaluateGuestEvents,
+    mergeGuestEvents
+};
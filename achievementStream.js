@@ -0,0 +1,99 @@
+// Поток уведомлений о полученных достижениях (Server-Sent Events, GET /api/events).
+// Сервер держит открытые соединения каждого пользователя и рассылает в них разблокировки,
+// так что достижение, полученное в одной вкладке, сразу появляется во всех остальных.
+// Тексты переводятся на язык каждого соединения (вкладки могут быть на разных языках).
+const { localize, DEFAULT_LOCALE } = require('./i18n.js');
+
+const HEARTBEAT_INTERVAL = 25 * 1000; // Прокси Render закрывает молчащие соединения
+const PENDING_TTL = 60 * 1000;        // Сколько ждать, пока пользователь откроет поток
+const PENDING_LIMIT = 20;
+
+// Поля достижения, которые уходят в браузер
+function toNotification(achievement) {
+    return {
+        id: achievement.id,
+        slug: achievement.slug,
+        name: achievement.name,
+        description: achievement.description,
+        icon_path: achievement.icon_path,
+        category: achievement.category,
+        translations: achievement.translations
+    };
+}
+
+class AchievementStream {
+    constructor() {
+        this.clients = new Map(); // userId -> Set<res>
+        this.pending = new Map(); // userId -> [{ notification, createdAt }]
+    }
+
+    // Подключение браузера к потоку
+    subscribe(userId, req, res) {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        res.write('retry: 5000\n\n');
+        res.locals.locale = req.locale || DEFAULT_LOCALE;
+
+        if (!this.clients.has(userId)) {
+            this.clients.set(userId, new Set());
+        }
+        this.clients.get(userId).add(res);
+
+        // Достижения, полученные пока поток был закрыт (например, сразу при регистрации)
+        const pending = (this.pending.get(userId) || [])
+            .filter(item => Date.now() - item.createdAt < PENDING_TTL);
+        this.pending.delete(userId);
+        pending.forEach(item => this.send(res, item.notification));
+
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+
+            const connections = this.clients.get(userId);
+            if (connections) {
+                connections.delete(res);
+                if (connections.size === 0) this.clients.delete(userId);
+            }
+        });
+    }
+
+    // Рассылка новых достижений во все открытые вкладки пользователя
+    publish(userId, achievements) {
+        if (!achievements || achievements.length === 0) return;
+
+        const notifications = achievements.map(toNotification);
+        const connections = this.clients.get(userId);
+
+        if (!connections) {
+            this.prunePending();
+            const pending = this.pending.get(userId) || [];
+            notifications.forEach(notification => pending.push({ notification, createdAt: Date.now() }));
+            this.pending.set(userId, pending.slice(-PENDING_LIMIT));
+            return;
+        }
+
+        connections.forEach(res => notifications.forEach(notification => this.send(res, notification)));
+    }
+
+    // Забываем уведомления, которые так никто и не забрал
+    prunePending() {
+        for (const [userId, pending] of this.pending) {
+            if (pending.every(item => Date.now() - item.createdAt >= PENDING_TTL)) {
+                this.pending.delete(userId);
+            }
+        }
+    }
+
+    send(res, notification) {
+        const { translations, ...achievement } = localize(notification, res.locals.locale, ['name', 'description']);
+        res.write(`event: achievement\ndata: ${JSON.stringify(achievement)}\n\n`);
+    }
+}
+
+module.exports = { AchievementStream };
@@ -0,0 +1,140 @@
+// Аватары пользователей на диске.
+// Загруженная картинка пережимается в квадратные миниатюры WebP: <avatarsDir>/<key>-<size>.webp.
+// key - случайный ключ из users.avatar_key; на каждую загрузку новый, поэтому URL меняется
+// вместе с картинкой и файлы можно кэшировать навсегда.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+// Размеры миниатюр в пикселях: small - шапка и списки, large - страница профиля
+const AVATAR_SIZES = { small: 64, medium: 128, large: 256 };
+const ALLOWED_FORMATS = ['png', 'jpeg', 'gif'];
+const ALLOWED_CONTENT_TYPES = ['image/png', 'image/jpeg', 'image/gif'];
+const MAX_INPUT_PIXELS = 6000 * 6000; // Защита от "бомб": маленький файл, огромная картинка
+const KEY_REGEX = /^[0-9a-f]{32}$/;
+
+function avatarError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function avatarPath(avatarsDir, key, size) {
+    return path.join(avatarsDir, `${key}-${size}.webp`);
+}
+
+// URL миниатюр для API или null, если аватара нет
+function avatarUrls(key) {
+    if (!key || !KEY_REGEX.test(key)) return null;
+
+    const urls = {};
+    for (const [name, size] of Object.entries(AVATAR_SIZES)) {
+        urls[name] = `/avatars/${key}-${size}.webp`;
+    }
+    return urls;
+}
+
+// Читает тело запроса в память, обрывая загрузку больше maxSize
+function readUpload(stream, maxSize) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        let failed = false;
+
+        const fail = (error) => {
+            if (failed) return;
+            failed = true;
+            stream.unpipe();
+            stream.resume();
+            reject(error);
+        };
+
+        stream.on('data', (chunk) => {
+            if (failed) return;
+            size += chunk.length;
+            if (size > maxSize) {
+                fail(avatarError('File is too large', 'AVATAR_TOO_LARGE'));
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        stream.on('error', fail);
+        stream.on('end', () => {
+            if (failed) return;
+            if (size === 0) {
+                fail(avatarError('File is empty', 'AVATAR_EMPTY'));
+                return;
+            }
+            resolve(Buffer.concat(chunks));
+        });
+    });
+}
+
+// Проверяет картинку по содержимому (а не по Content-Type), пишет миниатюры и возвращает новый ключ.
+// У GIF берётся первый кадр; поворот из EXIF применяется до обрезки.
+async function saveAvatar(avatarsDir, buffer) {
+    const options = { limitInputPixels: MAX_INPUT_PIXELS };
+
+    let metadata;
+    try {
+        metadata = await sharp(buffer, options).metadata();
+    } catch (error) {
+        throw avatarError('File is not a valid image', 'AVATAR_INVALID');
+    }
+
+    if (!ALLOWED_FORMATS.includes(metadata.format)) {
+        throw avatarError('Only PNG, JPEG and GIF images are allowed', 'AVATAR_UNSUPPORTED');
+    }
+
+    if (metadata.width * metadata.height > MAX_INPUT_PIXELS) {
+        throw avatarError('Image dimensions are too large', 'AVATAR_INVALID');
+    }
+
+    // Сначала все миниатюры в память: битый файл отсеется до записи на диск
+    const thumbnails = [];
+    try {
+        for (const size of Object.values(AVATAR_SIZES)) {
+            const data = await sharp(buffer, options)
+                .rotate()
+                .resize(size, size, { fit: 'cover' })
+                .webp({ quality: 85 })
+                .toBuffer();
+            thumbnails.push({ size, data });
+        }
+    } catch (error) {
+        throw avatarError('File is not a valid image', 'AVATAR_INVALID');
+    }
+
+    const key = crypto.randomBytes(16).toString('hex');
+    await fs.promises.mkdir(avatarsDir, { recursive: true });
+
+    try {
+        for (const { size, data } of thumbnails) {
+            await fs.promises.writeFile(avatarPath(avatarsDir, key, size), data);
+        }
+    } catch (error) {
+        await removeAvatar(avatarsDir, key);
+        throw error;
+    }
+
+    return key;
+}
+
+async function removeAvatar(avatarsDir, key) {
+    if (!key || !KEY_REGEX.test(key)) return;
+
+    await Promise.all(Object.values(AVATAR_SIZES).map(size =>
+        fs.promises.rm(avatarPath(avatarsDir, key, size), { force: true })
+    ));
+}
+
+module.exports = {
+    AVATAR_SIZES,
+    ALLOWED_CONTENT_TYPES,
+    avatarUrls,
+    readUpload,
+    saveAvatar,
+    removeAvatar
+};
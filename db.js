@@ -1,63 +1,94 @@
-const { Pool } = require('pg');
+const path = require('path');
 const bcrypt = require('bcryptjs');
+const { runMigrations } = require('./migrations');
+const { logger } = require('./logger.js');
+
+// Хэш-пустышка: для несуществующего пользователя bcrypt всё равно выполняется,
+// чтобы по времени ответа нельзя было узнать, занято ли имя
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('xtteam-dummy-password', 10);
+
+// Типы контентных блоков на странице игры
+const CONTENT_TYPES = {
+    IMAGE: 'image',
+    TEXT: 'text',
+    GALLERY: 'gallery',
+    ROW: 'row'
+};
+
+// Перевод первой новости сайта
+const FIRST_NEWS_TRANSLATIONS = {
+    ru: {
+        title: 'Джарвис, запускай сайт xtteam',
+        excerpt: 'Просто посмотрите на гифку выше',
+        body: '<p>Просто посмотрите на гифку выше</p>'
+    }
+};
+
+// Хранилище выбирается переменной DB_CLIENT (postgres | sqlite) или опцией driver.
+// Без них используется PostgreSQL, если задан DATABASE_URL, иначе файл SQLite.
+// Оба варианта отдают интерфейс pg.Pool: connect() -> client.query()/release(), end().
+function createStorage(driver, options) {
+    if (driver === 'postgres') {
+        const { createPostgresAdapter } = require('./db/postgres');
+        logger.info('Connecting to database', { driver: 'postgres' });
+        return createPostgresAdapter(options.connectionString || process.env.DATABASE_URL);
+    }
+
+    if (driver === 'sqlite') {
+        const { SqliteAdapter } = require('./db/sqlite');
+        const filename = options.filename || process.env.SQLITE_PATH || path.join(__dirname, 'db', 'database.sqlite');
+        logger.info('Connecting to database', { driver: 'sqlite', filename: filename });
+        return new SqliteAdapter(filename);
+    }
+
+    throw new Error(`Unknown DB_CLIENT: ${driver}`);
+}
+
+// BIGINT из PostgreSQL приходит строкой
+function mapRelease(row) {
+    return { ...row, file_size: Number(row.file_size) };
+}
+
+// Отзывы, которые видны всем: не скрыты модератором и автор не заблокирован
+const VISIBLE_REVIEW = 'r.is_hidden = false AND ru.is_banned = false';
+
+// Средняя оценка (NUMERIC в PostgreSQL приходит строкой) с точностью до десятых; без отзывов - null
+function mapRatingStats(row) {
+    const reviewCount = parseInt(row.review_count) || 0;
+    return {
+        average_rating: reviewCount > 0 ? Math.round(parseFloat(row.average_rating) * 10) / 10 : null,
+        review_count: reviewCount
+    };
+}
 
 class Database {
-    constructor() {
-        this.pool = new Pool({
-            connectionString: process.env.DATABASE_URL,
-            ssl: process.env.NODE_ENV === 'production' ? { 
-                rejectUnauthorized: false 
-            } : false
-        });
-        
-        console.log('✅ Подключение к PostgreSQL...');
-        this.initTables();
+    // options: { driver, filename, connectionString } - в тестах { driver: 'sqlite', filename: ':memory:' }
+    constructor(options = {}) {
+        this.driver = options.driver || process.env.DB_CLIENT || (process.env.DATABASE_URL ? 'postgres' : 'sqlite');
+        this.pool = createStorage(this.driver, options);
     }
 
-    async initTables() {
+    // Применяет миграции схемы и сиды; вызывается до app.listen и из npm run migrate
+    async migrate() {
         const client = await this.pool.connect();
         try {
-            // Таблица пользователей
-            await client.query(`
-                CREATE TABLE IF NOT EXISTS users (
-                    id SERIAL PRIMARY KEY,
-                    username VARCHAR(50) UNIQUE NOT NULL,
-                    password_hash VARCHAR(255) NOT NULL,
-                    email VARCHAR(100) UNIQUE,
-                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-                )
-            `);
-            console.log('✅ Таблица users создана/проверена');
-
-            // Таблица достижений
-            await client.query(`
-                CREATE TABLE IF NOT EXISTS achievements (
-                    id SERIAL PRIMARY KEY,
-                    name VARCHAR(100) NOT NULL,
-                    description TEXT NOT NULL,
-                    icon_path VARCHAR(255),
-                    category VARCHAR(50),
-                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-                )
-            `);
-            console.log('✅ Таблица achievements создана/проверена');
+            await runMigrations(client);
 
-            // Таблица связей пользователь-достижение
-            await client.query(`
-                CREATE TABLE IF NOT EXISTS user_achievements (
-                    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-                    achievement_id INTEGER REFERENCES achievements(id) ON DELETE CASCADE,
-                    unlocked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                    PRIMARY KEY (user_id, achievement_id)
-                )
-            `);
-            console.log('✅ Таблица user_achievements создана/проверена');
+            // Назначаем администратора из переменной окружения
+            if (process.env.ADMIN_USERNAME) {
+                await client.query(
+                    'UPDATE users SET is_admin = true WHERE username = $1',
+                    [process.env.ADMIN_USERNAME]
+                );
+            }
 
-            // Добавляем базовые достижения
+            // Базовые достижения, игры и первая новость
             await this.initAchievements(client);
-            
+            await this.initGames(client);
+            await this.initNews(client);
+
         } catch (error) {
-            console.error('❌ Ошибка инициализации таблиц:', error);
+            logger.error('Database initialization failed', { error: error });
             throw error;
         } finally {
             client.release();
@@ -67,87 +98,319 @@ class Database {
     async initAchievements(client) {
         const achievements = [
             {
+                slug: "team-introduction",
                 name: "Team Introduction",
                 description: "Visited the 'About Us' section",
                 icon_path: "team-icon",
-                category: "about"
+                category: "about",
+                tier: "bronze",
+                points: 10,
+                rule: { event: 'page_visit', target: 'about' },
+                translations: { ru: { name: "Знакомство с командой", description: "Заглянул в раздел «О нас»" } }
             },
             {
+                slug: "first-news",
                 name: "First News",
                 description: "Scrolled to the first news article",
                 icon_path: "news-icon",
-                category: "news"
+                category: "news",
+                tier: "bronze",
+                points: 10,
+                rule: { event: 'news_view' },
+                translations: { ru: { name: "Первая новость", description: "Долистал до первой новости" } }
             },
             {
+                slug: "game-observer",
                 name: "Game Observer",
                 description: "Visited games section",
                 icon_path: "games-icon",
-                category: "games"
+                category: "games",
+                tier: "bronze",
+                points: 10,
+                rule: { event: 'page_visit', target: 'games' },
+                translations: { ru: { name: "Обозреватель игр", description: "Заглянул в раздел игр" } }
             },
             {
+                slug: "gamer",
                 name: "GameR",
                 description: "Clicked download button on all available games",
                 icon_path: "gamer-icon",
-                category: "games"
+                category: "games",
+                tier: "gold",
+                points: 50,
+                rule: { event: 'game_download', every: 'available_games' },
+                translations: { ru: { name: "ГеймеР", description: "Нажал «Скачать» у всех доступных игр" } }
             },
             {
+                slug: "with-registration",
                 name: "With Registration!",
                 description: "Successfully registered an account",
                 icon_path: "registration-icon",
-                category: "account"
+                category: "account",
+                tier: "bronze",
+                points: 10,
+                rule: { event: 'register' },
+                translations: { ru: { name: "С регистрацией!", description: "Успешно зарегистрировал аккаунт" } }
             },
             {
+                slug: "curious",
                 name: "Curious",
                 description: "Hovered mouse over all tiles on homepage",
                 icon_path: "curious-icon",
-                category: "main"
+                category: "main",
+                tier: "silver",
+                points: 25,
+                rule: { event: 'tile_hover', distinct: true, min: 7 },
+                translations: { ru: { name: "Любопытный", description: "Навёл мышь на все плитки на главной" } }
             },
             {
+                slug: "letter-to-developer",
                 name: "Letter to Developer",
                 description: "Sent an email to a developer",
                 icon_path: "mail-icon",
-                category: "contact"
+                category: "contact",
+                tier: "silver",
+                points: 25,
+                rule: { event: 'contact_click', target: 'mail' },
+                translations: { ru: { name: "Письмо разработчику", description: "Написал письмо разработчику" } }
             },
             {
+                slug: "youtube-subscriber",
                 name: "YouTube Subscriber",
                 description: "Visited developer's YouTube channel",
                 icon_path: "youtube-icon",
-                category: "contact"
+                category: "contact",
+                tier: "bronze",
+                points: 10,
+                rule: { event: 'contact_click', target: 'youtube' },
+                translations: { ru: { name: "Подписчик на YouTube", description: "Заглянул на YouTube-канал разработчика" } }
             }
         ];
 
         try {
-            // Проверяем, есть ли уже достижения
-            const result = await client.query('SELECT COUNT(*) as count FROM achievements');
-            const count = parseInt(result.rows[0].count);
-            
-            if (count === 0) {
-                console.log('Добавляем базовые достижения...');
-                
-                for (const achievement of achievements) {
+            // Upsert по slug: новые достижения попадают в существующую базу,
+            // а изменённые здесь тексты и правила обновляются при следующем запуске
+            for (const achievement of achievements) {
+                await client.query(
+                    `INSERT INTO achievements (slug, name, description, icon_path, category, tier, points, rule, translations)
+                     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                     ON CONFLICT (slug) DO UPDATE SET
+                         name = EXCLUDED.name,
+                         description = EXCLUDED.description,
+                         icon_path = EXCLUDED.icon_path,
+                         category = EXCLUDED.category,
+                         tier = EXCLUDED.tier,
+                         points = EXCLUDED.points,
+                         rule = EXCLUDED.rule,
+                         translations = EXCLUDED.translations`,
+                    [achievement.slug, achievement.name, achievement.description, achievement.icon_path,
+                     achievement.category, achievement.tier, achievement.points,
+                     JSON.stringify(achievement.rule), JSON.stringify(achievement.translations)]
+                );
+            }
+            logger.info('Base achievements synchronized', { count: achievements.length });
+        } catch (error) {
+            logger.error('Failed to seed achievements', { error: error });
+        }
+    }
+
+    async initGames(client) {
+        const games = [
+            {
+                slug: "memehell",
+                title: "MEMEHELL",
+                genre: "horror fnaflike",
+                description: "A game about overcoming oneself, changing one's outlook on life, presented in the well-known format of fnaf fan games.",
+                image: "/images/games/Memehell/back.jpg",
+                platform: "PC",
+                release: "2023",
+                download_link: "https://drive.google.com/file/d/1l9xhFFjN1Fg6U46wDwrrXUmbrEz0y_Cw/view?usp=drive_link",
+                download_available: true,
+                translations: { ru: { genre: "хоррор в духе фнафа", description: "Игра о преодолении себя и новом взгляде на жизнь в знакомом формате фанатских игр по FNAF." } },
+                content: [
+                    {
+                        type: CONTENT_TYPES.IMAGE,
+                        src: "/images/games/Memehell/back.jpg",
+                        alt: "MEMEHELL Main Screen"
+                    },
+                    {
+                        type: CONTENT_TYPES.TEXT,
+                        title: "Game Concept",
+                        text: "This game explores deep psychological themes through the lens of popular horror mechanics. Players must face their inner demons in a surreal environment.",
+                        translations: { ru: { title: "Концепция", text: "Игра исследует глубокие психологические темы через механики популярных хорроров. Игроку предстоит встретиться со своими внутренними демонами в сюрреалистичном мире." } }
+                    },
+                    {
+                        type: CONTENT_TYPES.GALLERY,
+                        images: [
+                            { src: "/images/games/Memehell/amgRender.png", alt: "Screenshot 1" },
+                            { src: "/images/games/Memehell/kartina2.png", alt: "Screenshot 2" }
+                        ]
+                    },
+                    {
+                        type: CONTENT_TYPES.TEXT,
+                        title: "Features",
+                        text: "• Dynamic horror mechanics<br>• Psychological storyline<br>• Multiple endings<br>• Original soundtrack",
+                        translations: { ru: { title: "Особенности", text: "• Динамичные хоррор-механики<br>• Психологический сюжет<br>• Несколько концовок<br>• Оригинальный саундтрек" } }
+                    }
+                ]
+            },
+            {
+                slug: "foxs-nightmer",
+                title: "Fox's Nightmer",
+                genre: "horror TPS",
+                description: "A short TPS about a fox named Foxette, who woke up in a foggy forest with a shotgun in her paws, but no bullets.",
+                image: "/images/games/FoxsNightmer/foxIcon1.PNG",
+                platform: "PC",
+                release: "2024",
+                download_link: "https://drive.google.com/file/d/1urUu4EmzSBrUTvESMuGJI6yBvL05uuXg/view?usp=sharing",
+                download_available: true,
+                translations: { ru: { genre: "хоррор TPS", description: "Короткий шутер от третьего лица о лисичке Фоксетт, которая очнулась в туманном лесу с дробовиком в лапах, но без патронов." } },
+                content: [
+                    {
+                        type: CONTENT_TYPES.ROW,
+                        reverse: false,
+                        left: {
+                            type: CONTENT_TYPES.IMAGE,
+                            src: "/images/games/FoxsNightmer/foxIcon1.PNG",
+                            alt: "Foxette Character"
+                        },
+                        right: {
+                            type: CONTENT_TYPES.TEXT,
+                            title: "The Protagonist",
+                            text: "Meet Foxette - a mysterious fox lost in a nightmare forest. Armed with only a shotgun and her wits, she must survive the horrors that await.",
+                            translations: { ru: { title: "Героиня", text: "Знакомьтесь: Фоксетт - загадочная лисичка, заблудившаяся в кошмарном лесу. Только с дробовиком и смекалкой ей предстоит пережить ужасы, которые её ждут." } }
+                        }
+                    },
+                    {
+                        type: CONTENT_TYPES.ROW,
+                        reverse: true,
+                        left: {
+                            type: CONTENT_TYPES.TEXT,
+                            title: "Gameplay",
+                            text: "Third-person shooter mechanics combined with survival horror elements. Limited ammo forces strategic thinking.",
+                            translations: { ru: { title: "Геймплей", text: "Механики шутера от третьего лица вместе с элементами survival horror. Патронов мало, так что думать придётся наперёд." } }
+                        },
+                        right: {
+                            type: CONTENT_TYPES.IMAGE,
+                            src: "/images/games/FoxsNightmer/inGameScreenshoot.PNG",
+                            alt: "Gameplay Screenshot"
+                        }
+                    },
+                    {
+                        type: CONTENT_TYPES.GALLERY,
+                        images: [
+                            { src: "/images/games/FoxsNightmer/splash00.png", alt: "Forest Environment" },
+                            { src: "/images/games/FoxsNightmer/forestAndBullet.PNG", alt: "Misty Path" },
+                            { src: "/images/games/FoxsNightmer/background.png", alt: "Enemy Design" }
+                        ]
+                    }
+                ]
+            },
+            {
+                slug: "coffee-fall",
+                title: "Coffee? Fall!",
+                genre: "simulator",
+                description: "A prototype game from game jam from GUAP",
+                image: "/images/games/CoffeeFall/coffeeFallFoxAndCoffeeMachineAndCupAndSunSet.png",
+                platform: "PC",
+                release: "~",
+                // Игра пока недоступна для скачивания
+                download_link: null,
+                download_available: false,
+                translations: { ru: { genre: "симулятор", description: "Прототип игры с геймджема в ГУАП" } },
+                content: [
+                    {
+                        type: CONTENT_TYPES.IMAGE,
+                        src: "/images/games/CoffeeFall/coffeeFallFoxAndCoffeeMachineAndCupAndSunSet.png",
+                        alt: "Coffee Fall Main Art"
+                    },
+                    {
+                        type: CONTENT_TYPES.TEXT,
+                        title: "Game Jam Project",
+                        text: "Created during a 48-hour game jam at GUAP University. The theme was 'Morning Routine' which inspired this coffee-making simulator.",
+                        translations: { ru: { title: "Проект с геймджема", text: "Сделана за 48 часов на геймджеме в ГУАП. Тема «Утренняя рутина» вдохновила нас на симулятор приготовления кофе." } }
+                    },
+                    {
+                        type: CONTENT_TYPES.GALLERY,
+                        images: [
+                            { src: "/images/games/CoffeeFall/coffeeFallRabbitAndIngredients.png", alt: "Coffee Making" },
+                            { src: "/images/games/CoffeeFall/coffeFallWolfFogCup.png", alt: "Customer Service" }
+                        ]
+                    },
+                    {
+                        type: CONTENT_TYPES.TEXT,
+                        title: "Development Notes",
+                        text: "Despite being a prototype, the game features fully functional coffee physics, customer AI, and a charming art style.",
+                        translations: { ru: { title: "Заметки разработчиков", text: "Хоть это и прототип, в игре есть настоящая физика кофе, ИИ посетителей и милый рисованный стиль." } }
+                    }
+                ]
+            }
+        ];
+
+        try {
+            // Добавляем только отсутствующие игры: существующие редактируются через админку.
+            // Переводы дописываются в игры, у которых их ещё нет (базы до миграции 007)
+            let added = 0;
+            for (let i = 0; i < games.length; i++) {
+                const existing = await client.query('SELECT 1 FROM games WHERE slug = $1', [games[i].slug]);
+                if (existing.rows.length === 0) {
+                    await this.insertGame(client, { ...games[i], sort_order: i + 1 });
+                    added++;
+                } else {
                     await client.query(
-                        'INSERT INTO achievements (name, description, icon_path, category) VALUES ($1, $2, $3, $4)',
-                        [achievement.name, achievement.description, achievement.icon_path, achievement.category]
+                        'UPDATE games SET translations = $1 WHERE slug = $2 AND translations IS NULL',
+                        [JSON.stringify(games[i].translations), games[i].slug]
                     );
                 }
-                console.log('✅ Базовые достижения добавлены');
-            } else {
-                console.log(`✅ В базе уже есть ${count} достижений`);
+            }
+            logger.info('Games checked', { added: added });
+        } catch (error) {
+            logger.error('Failed to seed games', { error: error });
+        }
+    }
+
+    async initNews(client) {
+        try {
+            const result = await client.query(
+                `INSERT INTO news (slug, title, excerpt, body, cover_image, author_id, category, published_at, translations)
+                 VALUES ($1, $2, $3, $4, $5, (SELECT id FROM users WHERE username = $6), $7, $8, $9)
+                 ON CONFLICT (slug) DO NOTHING`,
+                [
+                    'jarvis-start-xtteam-site',
+                    "Jarvis start xtteam's site",
+                    'WDK just look at the gif above',
+                    '<p>WDK just look at the gif above</p>',
+                    '/images/news/Iron Man Smirk GIF.gif',
+                    'xttort',
+                    'announcement',
+                    '2025-12-26 12:00:00',
+                    JSON.stringify(FIRST_NEWS_TRANSLATIONS)
+                ]
+            );
+
+            // Перевод для баз, где новость появилась до миграции 007
+            await client.query(
+                "UPDATE news SET translations = $1 WHERE slug = 'jarvis-start-xtteam-site' AND translations IS NULL",
+                [JSON.stringify(FIRST_NEWS_TRANSLATIONS)]
+            );
+
+            if (result.rowCount > 0) {
+                logger.info('First news article added');
             }
         } catch (error) {
-            console.error('❌ Ошибка при добавлении достижений:', error);
+            logger.error('Failed to seed news', { error: error });
         }
     }
 
     // Методы для пользователей
-    async createUser(username, password, email = null) {
+    async createUser(username, password, email = null, locale = null) {
         const client = await this.pool.connect();
         try {
             const passwordHash = await bcrypt.hash(password, 10);
             
             const result = await client.query(
-                'INSERT INTO users (username, password_hash, email) VALUES ($1, $2, $3) RETURNING id',
-                [username, passwordHash, email]
+                'INSERT INTO users (username, password_hash, email, locale) VALUES ($1, $2, $3, $4) RETURNING id',
+                [username, passwordHash, email, locale]
             );
             
             return result.rows[0].id;
@@ -170,11 +433,234 @@ class Database {
         }
     }
 
+    async getAllUsers() {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(`
+                SELECT u.id, u.username, u.email, u.is_admin, u.is_banned, u.created_at,
+                       COUNT(ua.achievement_id) as achievement_count
+                FROM users u
+                LEFT JOIN user_achievements ua ON u.id = ua.user_id
+                GROUP BY u.id
+                ORDER BY u.id
+            `);
+            
+            return result.rows.map(row => ({
+                ...row,
+                achievement_count: parseInt(row.achievement_count)
+            }));
+        } finally {
+            client.release();
+        }
+    }
+
+    async setUserBanned(userId, banned) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(
+                'UPDATE users SET is_banned = $1 WHERE id = $2',
+                [banned, userId]
+            );
+            
+            return result.rowCount > 0;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Язык интерфейса, выбранный пользователем (null - по браузеру)
+    async setUserLocale(userId, locale) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(
+                'UPDATE users SET locale = $1 WHERE id = $2',
+                [locale, userId]
+            );
+            
+            return result.rowCount > 0;
+        } finally {
+            client.release();
+        }
+    }
+
+    // key - ключ миниатюр из avatars.js или null, чтобы убрать аватар
+    async setUserAvatar(userId, key) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(
+                'UPDATE users SET avatar_key = $1 WHERE id = $2',
+                [key, userId]
+            );
+            
+            return result.rowCount > 0;
+        } finally {
+            client.release();
+        }
+    }
+
+    async setProfilePublic(userId, isPublic) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(
+                'UPDATE users SET is_profile_public = $1 WHERE id = $2',
+                [isPublic, userId]
+            );
+            
+            return result.rowCount > 0;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Сброс прогресса: удаляем все полученные достижения пользователя и накопленные шаги
+    async resetUserAchievements(userId) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(
+                'DELETE FROM user_achievements WHERE user_id = $1',
+                [userId]
+            );
+            await client.query('DELETE FROM user_achievement_progress WHERE user_id = $1', [userId]);
+            
+            return result.rowCount;
+        } finally {
+            client.release();
+        }
+    }
+
     async verifyUser(username, password) {
         const user = await this.getUserByUsername(username);
-        if (!user) return false;
+        const isValid = await bcrypt.compare(password, user ? user.password_hash : DUMMY_PASSWORD_HASH);
         
-        return await bcrypt.compare(password, user.password_hash);
+        return Boolean(user) && isValid;
+    }
+
+    async getUserByEmail(email) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(
+                'SELECT * FROM users WHERE LOWER(email) = LOWER($1)',
+                [email]
+            );
+            
+            return result.rows[0] || null;
+        } finally {
+            client.release();
+        }
+    }
+
+    async updatePassword(userId, password) {
+        const client = await this.pool.connect();
+        try {
+            const passwordHash = await bcrypt.hash(password, 10);
+            
+            const result = await client.query(
+                'UPDATE users SET password_hash = $1 WHERE id = $2',
+                [passwordHash, userId]
+            );
+            
+            return result.rowCount > 0;
+        } finally {
+            client.release();
+        }
+    }
+
+    async setEmailVerified(userId) {
+        const client = await this.pool.connect();
+        try {
+            await client.query(
+                'UPDATE users SET email_verified = true WHERE id = $1',
+                [userId]
+            );
+        } finally {
+            client.release();
+        }
+    }
+
+    // Новый адрес ещё не подтверждён
+    async updateEmail(userId, email) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(
+                'UPDATE users SET email = $1, email_verified = false WHERE id = $2',
+                [email, userId]
+            );
+            
+            return result.rowCount > 0;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Достижения, события и токены удаляются каскадом, авторство новостей и релизов обнуляется
+    async deleteUser(userId) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(
+                'DELETE FROM users WHERE id = $1',
+                [userId]
+            );
+            
+            return result.rowCount > 0;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Одноразовые токены (verify_email, password_reset). Новый токен отменяет
+    // прежние неиспользованные того же типа, так что действует только последнее письмо.
+    async createUserToken(userId, type, tokenHash, expiresAt) {
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query(
+                'DELETE FROM user_tokens WHERE user_id = $1 AND type = $2 AND used_at IS NULL',
+                [userId, type]
+            );
+            await client.query(
+                'INSERT INTO user_tokens (user_id, type, token_hash, expires_at) VALUES ($1, $2, $3, $4)',
+                [userId, type, tokenHash, expiresAt]
+            );
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Погашает токен и возвращает id пользователя, либо null для неизвестного,
+    // уже использованного или просроченного токена
+    async consumeUserToken(type, tokenHash) {
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            
+            const result = await client.query(
+                'SELECT id, user_id, expires_at, used_at FROM user_tokens WHERE token_hash = $1 AND type = $2',
+                [tokenHash, type]
+            );
+            
+            const token = result.rows[0];
+            if (!token || token.used_at || new Date(token.expires_at) <= new Date()) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+            
+            const update = await client.query(
+                'UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = $1 AND used_at IS NULL',
+                [token.id]
+            );
+            
+            await client.query('COMMIT');
+            return update.rowCount > 0 ? token.user_id : null;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
     }
 
     // Методы для достижений
@@ -182,8 +668,13 @@ class Database {
         const client = await this.pool.connect();
         try {
             const result = await client.query(
-                'INSERT INTO achievements (name, description, icon_path, category) VALUES ($1, $2, $3, $4) RETURNING id',
-                [achievement.name, achievement.description, achievement.icon_path, achievement.category]
+                `INSERT INTO achievements (slug, name, description, icon_path, category, rule, translations, game_id, target, tier, points, is_hidden)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING id`,
+                [achievement.slug, achievement.name, achievement.description, achievement.icon_path, achievement.category,
+                 achievement.rule ? JSON.stringify(achievement.rule) : null,
+                 achievement.translations ? JSON.stringify(achievement.translations) : null,
+                 achievement.game_id || null, achievement.target || null,
+                 achievement.tier, achievement.points, achievement.is_hidden]
             );
             
             return result.rows[0].id;
@@ -192,59 +683,76 @@ class Database {
         }
     }
 
-    async unlockAchievement(userId, achievementName) {
+    async updateAchievement(achievementId, achievement) {
         const client = await this.pool.connect();
         try {
-            // Находим достижение
-            const achievementResult = await client.query(
-                'SELECT id FROM achievements WHERE name = $1',
-                [achievementName]
+            const result = await client.query(
+                `UPDATE achievements SET slug = $1, name = $2, description = $3, icon_path = $4, category = $5, rule = $6, translations = $7,
+                     game_id = $8, target = $9, tier = $10, points = $11, is_hidden = $12
+                 WHERE id = $13`,
+                [achievement.slug, achievement.name, achievement.description, achievement.icon_path, achievement.category,
+                 achievement.rule ? JSON.stringify(achievement.rule) : null,
+                 achievement.translations ? JSON.stringify(achievement.translations) : null,
+                 achievement.game_id || null, achievement.target || null,
+                 achievement.tier, achievement.points, achievement.is_hidden, achievementId]
             );
             
-            if (achievementResult.rows.length === 0) {
-                console.log(`Достижение "${achievementName}" не найдено`);
-                return false;
-            }
-            
-            const achievementId = achievementResult.rows[0].id;
+            return result.rowCount > 0;
+        } finally {
+            client.release();
+        }
+    }
+
+    async deleteAchievement(achievementId) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(
+                'DELETE FROM achievements WHERE id = $1',
+                [achievementId]
+            );
             
-            // Проверяем, не разблокировано ли уже
-            const checkResult = await client.query(
-                'SELECT 1 FROM user_achievements WHERE user_id = $1 AND achievement_id = $2',
-                [userId, achievementId]
+            return result.rowCount > 0;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Возвращает true, только если достижение разблокировано этим вызовом
+    // unlockedAt - время получения, если оно было раньше (достижения гостя при входе)
+    async unlockAchievementById(userId, achievementId, unlockedAt = null) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(
+                'INSERT INTO user_achievements (user_id, achievement_id, unlocked_at) VALUES ($1, $2, COALESCE($3, CURRENT_TIMESTAMP)) ON CONFLICT DO NOTHING',
+                [userId, achievementId, unlockedAt]
             );
             
-            if (checkResult.rows.length > 0) {
-                console.log(`Достижение "${achievementName}" уже разблокировано у пользователя ${userId}`);
+            if (result.rowCount === 0) {
+                logger.debug('Achievement already unlocked', { achievementId: achievementId, userId: userId });
                 return false;
             }
             
-            // Разблокируем
-            await client.query(
-                'INSERT INTO user_achievements (user_id, achievement_id) VALUES ($1, $2)',
-                [userId, achievementId]
-            );
-            
-            console.log(`🏆 Достижение "${achievementName}" разблокировано для пользователя ${userId}`);
+            logger.debug('Achievement unlocked', { achievementId: achievementId, userId: userId });
             return true;
             
         } catch (error) {
-            console.error('Ошибка разблокировки достижения:', error);
+            logger.error('Failed to unlock achievement', { error: error, achievementId: achievementId, userId: userId });
             return false;
         } finally {
             client.release();
         }
     }
 
-    async getUserAchievements(userId) {
+    // Достижения с правилами, которые пользователь ещё не получил
+    async getLockedAchievements(userId) {
         const client = await this.pool.connect();
         try {
             const result = await client.query(`
-                SELECT a.*, 
-                       CASE WHEN ua.user_id IS NOT NULL THEN true ELSE false END as unlocked
+                SELECT a.*
                 FROM achievements a
                 LEFT JOIN user_achievements ua ON a.id = ua.achievement_id AND ua.user_id = $1
-                ORDER BY a.category, a.id
+                WHERE ua.user_id IS NULL AND a.rule IS NOT NULL
+                ORDER BY a.id
             `, [userId]);
             
             return result.rows;
@@ -253,56 +761,1186 @@ class Database {
         }
     }
 
-    async getUserById(userId) {
+    // Прогресс многошаговых достижений (цель - см. achievementRules.progressTarget)
+    async setAchievementProgress(userId, achievementId, progress) {
         const client = await this.pool.connect();
         try {
-            const result = await client.query(
-                'SELECT id, username, email, created_at FROM users WHERE id = $1',
-                [userId]
-            );
-            
-            return result.rows[0] || null;
+            await client.query(`
+                INSERT INTO user_achievement_progress (user_id, achievement_id, progress) VALUES ($1, $2, $3)
+                ON CONFLICT (user_id, achievement_id) DO UPDATE SET progress = EXCLUDED.progress, updated_at = CURRENT_TIMESTAMP
+            `, [userId, achievementId, progress]);
         } finally {
             client.release();
         }
     }
 
-    async getAllAchievements() {
+    // Прибавляет шаги, но не больше target, и возвращает новый прогресс
+    async incrementAchievementProgress(userId, achievementId, amount, target) {
         const client = await this.pool.connect();
         try {
-            const result = await client.query(
-                'SELECT * FROM achievements ORDER BY category, id'
-            );
+            const result = await client.query(`
+                INSERT INTO user_achievement_progress (user_id, achievement_id, progress) VALUES ($1, $2, $3)
+                ON CONFLICT (user_id, achievement_id) DO UPDATE SET
+                    progress = CASE WHEN user_achievement_progress.progress + EXCLUDED.progress > $4
+                                    THEN $4 ELSE user_achievement_progress.progress + EXCLUDED.progress END,
+                    updated_at = CURRENT_TIMESTAMP
+                RETURNING progress
+            `, [userId, achievementId, Math.min(amount, target), target]);
             
-            return result.rows;
+            return result.rows[0].progress;
         } finally {
             client.release();
         }
     }
 
-    // Метод для проверки состояния БД
-    async checkDatabaseStatus() {
+    // Методы для событий пользователя
+    // unique - не записывать, если у пользователя уже есть такое событие с той же целью
+    async recordUserEvent(userId, type, target = null, createdAt = null, unique = false) {
         const client = await this.pool.connect();
         try {
-            const usersResult = await client.query('SELECT COUNT(*) as user_count FROM users');
-            const achievementsResult = await client.query('SELECT COUNT(*) as achievement_count FROM achievements');
-            const userAchievementsResult = await client.query('SELECT COUNT(*) as user_achievement_count FROM user_achievements');
-            
-            return {
-                users: parseInt(usersResult.rows[0].user_count),
-                achievements: parseInt(achievementsResult.rows[0].achievement_count),
-                user_achievements: parseInt(userAchievementsResult.rows[0].user_achievement_count),
-                status: 'OK'
-            };
+            if (unique) {
+                const existing = await client.query(
+                    'SELECT 1 FROM user_events WHERE user_id = $1 AND type = $2 AND (target = $3 OR (target IS NULL AND $3 IS NULL)) LIMIT 1',
+                    [userId, type, target]
+                );
+                if (existing.rows.length > 0) return false;
+            }
+
+            await client.query(
+                'INSERT INTO user_events (user_id, type, target, created_at) VALUES ($1, $2, $3, COALESCE($4, CURRENT_TIMESTAMP))',
+                [userId, type, target, createdAt]
+            );
+            return true;
         } finally {
             client.release();
         }
     }
 
-    // Закрытие соединения
+    async getUserEvents(userId, type) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(
+                'SELECT type, target, created_at FROM user_events WHERE user_id = $1 AND type = $2 ORDER BY id',
+                [userId, type]
+            );
+            
+            return result.rows;
+        } finally {
+            client.release();
+        }
+    }
+
+    async getUserAchievements(userId) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(`
+                SELECT a.*, ua.unlocked_at, COALESCE(p.progress, 0) as progress,
+                       CASE WHEN ua.user_id IS NOT NULL THEN true ELSE false END as unlocked
+                FROM achievements a
+                LEFT JOIN user_achievements ua ON a.id = ua.achievement_id AND ua.user_id = $1
+                LEFT JOIN user_achievement_progress p ON a.id = p.achievement_id AND p.user_id = $1
+                ORDER BY a.category, a.id
+            `, [userId]);
+            
+            return result.rows;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Данные для публичной страницы /u/:username: только полученные достижения
+    async getPublicProfile(username) {
+        const client = await this.pool.connect();
+        try {
+            const userResult = await client.query(
+                'SELECT id, username, is_banned, is_profile_public, avatar_key, created_at FROM users WHERE username = $1',
+                [username]
+            );
+            
+            const user = userResult.rows[0];
+            if (!user) return null;
+            
+            const achievementsResult = await client.query(`
+                SELECT a.id, a.slug, a.name, a.description, a.icon_path, a.category, a.tier, a.points, a.translations, ua.unlocked_at
+                FROM user_achievements ua
+                JOIN achievements a ON a.id = ua.achievement_id
+                WHERE ua.user_id = $1
+                ORDER BY ua.unlocked_at DESC, a.id
+            `, [user.id]);
+            
+            const totalResult = await client.query('SELECT COUNT(*) as count FROM achievements');
+            
+            return {
+                user: user,
+                achievements: achievementsResult.rows,
+                totalAchievements: parseInt(totalResult.rows[0].count)
+            };
+        } finally {
+            client.release();
+        }
+    }
+
+    // Методы для игр
+    async insertGame(client, game) {
+        const result = await client.query(
+            `INSERT INTO games (slug, title, genre, description, image, platform, release, download_link, download_available, sort_order, translations)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING id`,
+            [game.slug, game.title, game.genre, game.description, game.image, game.platform,
+             game.release, game.download_link, game.download_available, game.sort_order || 0,
+             game.translations ? JSON.stringify(game.translations) : null]
+        );
+
+        const gameId = result.rows[0].id;
+        await this.insertGameContent(client, gameId, game.content || []);
+
+        return gameId;
+    }
+
+    async insertGameContent(client, gameId, content) {
+        for (let i = 0; i < content.length; i++) {
+            const { type, ...data } = content[i];
+            await client.query(
+                'INSERT INTO game_content_blocks (game_id, position, type, data) VALUES ($1, $2, $3, $4)',
+                [gameId, i, type, JSON.stringify(data)]
+            );
+        }
+    }
+
+    async getAllGames() {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(`
+                SELECT g.*,
+                       (SELECT COALESCE(SUM(r.download_count), 0) FROM game_releases r
+                        WHERE r.game_id = g.id) as download_count,
+                       (SELECT r.version FROM game_releases r WHERE r.game_id = g.id
+                        ORDER BY r.created_at DESC, r.id DESC LIMIT 1) as latest_version,
+                       (SELECT AVG(r.rating) FROM game_reviews r JOIN users ru ON ru.id = r.user_id
+                        WHERE r.game_id = g.id AND ${VISIBLE_REVIEW}) as average_rating,
+                       (SELECT COUNT(*) FROM game_reviews r JOIN users ru ON ru.id = r.user_id
+                        WHERE r.game_id = g.id AND ${VISIBLE_REVIEW}) as review_count
+                FROM games g
+                ORDER BY g.sort_order, g.id
+            `);
+
+            return result.rows.map(game => ({
+                ...game,
+                download_count: parseInt(game.download_count),
+                ...mapRatingStats(game)
+            }));
+        } finally {
+            client.release();
+        }
+    }
+
+    // Игра вместе с упорядоченными контентными блоками
+    async getGame(idOrSlug) {
+        const client = await this.pool.connect();
+        try {
+            const isId = /^\d+$/.test(String(idOrSlug));
+            const result = await client.query(
+                `SELECT * FROM games WHERE ${isId ? 'id' : 'slug'} = $1`,
+                [isId ? parseInt(idOrSlug) : idOrSlug]
+            );
+
+            const game = result.rows[0];
+            if (!game) return null;
+
+            const blocksResult = await client.query(
+                'SELECT type, data FROM game_content_blocks WHERE game_id = $1 ORDER BY position, id',
+                [game.id]
+            );
+
+            game.content = blocksResult.rows.map(block => ({
+                type: block.type,
+                ...block.data
+            }));
+
+            const releasesResult = await client.query(
+                'SELECT * FROM game_releases WHERE game_id = $1 ORDER BY created_at DESC, id DESC',
+                [game.id]
+            );
+
+            game.releases = releasesResult.rows.map(mapRelease);
+
+            const statsResult = await client.query(`
+                SELECT AVG(r.rating) as average_rating, COUNT(*) as review_count
+                FROM game_reviews r
+                JOIN users ru ON ru.id = r.user_id
+                WHERE r.game_id = $1 AND ${VISIBLE_REVIEW}
+            `, [game.id]);
+
+            Object.assign(game, mapRatingStats(statsResult.rows[0]));
+
+            return game;
+        } finally {
+            client.release();
+        }
+    }
+
+    async createGame(game) {
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            const gameId = await this.insertGame(client, game);
+            await client.query('COMMIT');
+            
+            return gameId;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Обновление игры; контентные блоки заменяются целиком
+    async updateGame(gameId, game) {
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            
+            const result = await client.query(
+                `UPDATE games SET slug = $1, title = $2, genre = $3, description = $4, image = $5, platform = $6,
+                        release = $7, download_link = $8, download_available = $9, sort_order = $10, translations = $11
+                 WHERE id = $12`,
+                [game.slug, game.title, game.genre, game.description, game.image, game.platform,
+                 game.release, game.download_link, game.download_available, game.sort_order || 0,
+                 game.translations ? JSON.stringify(game.translations) : null, gameId]
+            );
+            
+            if (result.rowCount === 0) {
+                await client.query('ROLLBACK');
+                return false;
+            }
+            
+            await client.query('DELETE FROM game_content_blocks WHERE game_id = $1', [gameId]);
+            await this.insertGameContent(client, gameId, game.content || []);
+            
+            await client.query('COMMIT');
+            return true;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async deleteGame(gameId) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(
+                'DELETE FROM games WHERE id = $1',
+                [gameId]
+            );
+            
+            return result.rowCount > 0;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Методы для релизов игр
+    async getRelease(gameId, version) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(
+                'SELECT * FROM game_releases WHERE game_id = $1 AND version = $2',
+                [gameId, version]
+            );
+            
+            return result.rows[0] ? mapRelease(result.rows[0]) : null;
+        } finally {
+            client.release();
+        }
+    }
+
+    async getLatestRelease(gameId) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(
+                'SELECT * FROM game_releases WHERE game_id = $1 ORDER BY created_at DESC, id DESC LIMIT 1',
+                [gameId]
+            );
+            
+            return result.rows[0] ? mapRelease(result.rows[0]) : null;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Новый релиз сразу делает игру доступной для скачивания
+    async createRelease(release) {
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            
+            const result = await client.query(
+                `INSERT INTO game_releases (game_id, version, changelog, file_name, file_size, sha256, uploaded_by)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id`,
+                [release.game_id, release.version, release.changelog, release.file_name,
+                 release.file_size, release.sha256, release.uploaded_by]
+            );
+            
+            await client.query('UPDATE games SET download_available = true WHERE id = $1', [release.game_id]);
+            await client.query('COMMIT');
+            
+            return result.rows[0].id;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async updateRelease(releaseId, changelog) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(
+                'UPDATE game_releases SET changelog = $1 WHERE id = $2',
+                [changelog, releaseId]
+            );
+            
+            return result.rowCount > 0;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Возвращает удалённую запись, чтобы вызывающий код убрал файл с диска
+    async deleteRelease(releaseId) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(
+                'DELETE FROM game_releases WHERE id = $1 RETURNING *',
+                [releaseId]
+            );
+            
+            return result.rows[0] ? mapRelease(result.rows[0]) : null;
+        } finally {
+            client.release();
+        }
+    }
+
+    async incrementReleaseDownloads(releaseId) {
+        const client = await this.pool.connect();
+        try {
+            await client.query(
+                'UPDATE game_releases SET download_count = download_count + 1 WHERE id = $1',
+                [releaseId]
+            );
+        } finally {
+            client.release();
+        }
+    }
+
+    // Методы для отзывов об играх
+    // ID игры по ID или slug (как в getGame), без загрузки контента
+    async findGameId(idOrSlug) {
+        const client = await this.pool.connect();
+        try {
+            const isId = /^\d+$/.test(String(idOrSlug));
+            const result = await client.query(
+                `SELECT id FROM games WHERE ${isId ? 'id' : 'slug'} = $1`,
+                [isId ? parseInt(idOrSlug) : idOrSlug]
+            );
+
+            return result.rows[0] ? result.rows[0].id : null;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Видимые отзывы об игре постранично, новые сверху
+    async getGameReviews(gameId, { page = 1, pageSize = 10 } = {}) {
+        const client = await this.pool.connect();
+        try {
+            const statsResult = await client.query(`
+                SELECT AVG(r.rating) as average_rating, COUNT(*) as review_count
+                FROM game_reviews r
+                JOIN users ru ON ru.id = r.user_id
+                WHERE r.game_id = $1 AND ${VISIBLE_REVIEW}
+            `, [gameId]);
+
+            const result = await client.query(`
+                SELECT r.id, r.rating, r.body, r.created_at, r.updated_at, ru.username, ru.avatar_key
+                FROM game_reviews r
+                JOIN users ru ON ru.id = r.user_id
+                WHERE r.game_id = $1 AND ${VISIBLE_REVIEW}
+                ORDER BY r.created_at DESC, r.id DESC
+                LIMIT $2 OFFSET $3
+            `, [gameId, pageSize, (page - 1) * pageSize]);
+
+            return {
+                items: result.rows,
+                ...mapRatingStats(statsResult.rows[0])
+            };
+        } finally {
+            client.release();
+        }
+    }
+
+    async getReview(reviewId) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query('SELECT * FROM game_reviews WHERE id = $1', [reviewId]);
+            
+            return result.rows[0] || null;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Отзыв игрока об игре (в том числе скрытый модератором) или null
+    async getUserReview(gameId, userId) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(
+                'SELECT id, rating, body, is_hidden, created_at, updated_at FROM game_reviews WHERE game_id = $1 AND user_id = $2',
+                [gameId, userId]
+            );
+            
+            return result.rows[0] || null;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Все отзывы игрока - для выгрузки данных аккаунта
+    async getUserReviews(userId) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(`
+                SELECT g.slug as game, r.rating, r.body, r.is_hidden, r.created_at, r.updated_at
+                FROM game_reviews r
+                JOIN games g ON g.id = r.game_id
+                WHERE r.user_id = $1
+                ORDER BY r.created_at
+            `, [userId]);
+            
+            return result.rows;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Второй отзыв на ту же игру упирается в UNIQUE (game_id, user_id) - ошибка duplicate key
+    async createReview(review) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(
+                'INSERT INTO game_reviews (game_id, user_id, rating, body) VALUES ($1, $2, $3, $4) RETURNING id',
+                [review.game_id, review.user_id, review.rating, review.body]
+            );
+            
+            return result.rows[0].id;
+        } finally {
+            client.release();
+        }
+    }
+
+    async updateReview(reviewId, rating, body) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(
+                'UPDATE game_reviews SET rating = $1, body = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3',
+                [rating, body, reviewId]
+            );
+            
+            return result.rowCount > 0;
+        } finally {
+            client.release();
+        }
+    }
+
+    async deleteReview(reviewId) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query('DELETE FROM game_reviews WHERE id = $1', [reviewId]);
+            
+            return result.rowCount > 0;
+        } finally {
+            client.release();
+        }
+    }
+
+    async setReviewHidden(reviewId, hidden) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(
+                'UPDATE game_reviews SET is_hidden = $1 WHERE id = $2',
+                [hidden, reviewId]
+            );
+            
+            return result.rowCount > 0;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Все отзывы для модерации, включая скрытые, новые сверху
+    async getAllReviews({ page = 1, pageSize = 50 } = {}) {
+        const client = await this.pool.connect();
+        try {
+            const countResult = await client.query('SELECT COUNT(*) as count FROM game_reviews');
+
+            const result = await client.query(`
+                SELECT r.id, r.rating, r.body, r.is_hidden, r.created_at, r.updated_at,
+                       g.title as game_title, u.username
+                FROM game_reviews r
+                JOIN games g ON g.id = r.game_id
+                JOIN users u ON u.id = r.user_id
+                ORDER BY r.created_at DESC, r.id DESC
+                LIMIT $1 OFFSET $2
+            `, [pageSize, (page - 1) * pageSize]);
+
+            return {
+                items: result.rows,
+                total: parseInt(countResult.rows[0].count)
+            };
+        } finally {
+            client.release();
+        }
+    }
+
+    // Методы для API игр
+    // Набор достижений игры; с userId - с отметкой, какие из них игрок уже получил
+    async getGameAchievements(gameId, userId = null) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(`
+                SELECT a.id, a.slug, a.name, a.description, a.icon_path, a.category, a.translations, a.target,
+                       a.tier, a.points, a.is_hidden, ua.unlocked_at, COALESCE(p.progress, 0) as progress,
+                       CASE WHEN ua.user_id IS NOT NULL THEN true ELSE false END as unlocked
+                FROM achievements a
+                LEFT JOIN user_achievements ua ON a.id = ua.achievement_id AND ua.user_id = $2
+                LEFT JOIN user_achievement_progress p ON a.id = p.achievement_id AND p.user_id = $2
+                WHERE a.game_id = $1
+                ORDER BY a.category, a.id
+            `, [gameId, userId]);
+            
+            return result.rows;
+        } finally {
+            client.release();
+        }
+    }
+
+    async getGameAchievement(gameId, slug) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(
+                'SELECT id, slug, name, description, icon_path, category, tier, points, translations, target FROM achievements WHERE game_id = $1 AND slug = $2',
+                [gameId, slug]
+            );
+            
+            return result.rows[0] || null;
+        } finally {
+            client.release();
+        }
+    }
+
+    async createGameApiKey(apiKey) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(
+                'INSERT INTO game_api_keys (game_id, key_id, secret, name, created_by) VALUES ($1, $2, $3, $4, $5) RETURNING id',
+                [apiKey.game_id, apiKey.key_id, apiKey.secret, apiKey.name, apiKey.created_by]
+            );
+            
+            return result.rows[0].id;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Ключи игры для админки - без секретов
+    async getGameApiKeys(gameId) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(`
+                SELECT k.id, k.key_id, k.name, k.created_at, k.last_used_at, k.revoked_at, u.username as created_by
+                FROM game_api_keys k
+                LEFT JOIN users u ON u.id = k.created_by
+                WHERE k.game_id = $1
+                ORDER BY k.created_at DESC, k.id DESC
+            `, [gameId]);
+            
+            return result.rows;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Действующий (не отозванный) ключ вместе с секретом - для проверки подписи
+    async getActiveGameApiKey(keyId) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(
+                'SELECT id, game_id, key_id, secret FROM game_api_keys WHERE key_id = $1 AND revoked_at IS NULL',
+                [keyId]
+            );
+            
+            return result.rows[0] || null;
+        } finally {
+            client.release();
+        }
+    }
+
+    async touchGameApiKey(apiKeyId) {
+        const client = await this.pool.connect();
+        try {
+            await client.query('UPDATE game_api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1', [apiKeyId]);
+        } finally {
+            client.release();
+        }
+    }
+
+    async revokeGameApiKey(apiKeyId) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(
+                'UPDATE game_api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1 AND revoked_at IS NULL',
+                [apiKeyId]
+            );
+            
+            return result.rowCount > 0;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Запоминает nonce подписанного запроса игры; false - запрос с этим nonce уже был.
+    // Просроченные nonce заодно удаляются, чтобы таблица не росла
+    async useGameRequestNonce(apiKeyId, nonce, expiresAt) {
+        const client = await this.pool.connect();
+        try {
+            await client.query('DELETE FROM game_request_nonces WHERE expires_at <= $1', [new Date()]);
+            const result = await client.query(
+                'INSERT INTO game_request_nonces (api_key_id, nonce, expires_at) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING',
+                [apiKeyId, nonce, expiresAt]
+            );
+            
+            return result.rowCount > 0;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Новый код привязки; заодно убираем просроченные, чтобы не копились и не занимали user_code
+    async createDeviceCode(deviceCode) {
+        const client = await this.pool.connect();
+        try {
+            await client.query('DELETE FROM game_device_codes WHERE expires_at <= $1', [new Date()]);
+            await client.query(
+                'INSERT INTO game_device_codes (game_id, device_code_hash, user_code, expires_at) VALUES ($1, $2, $3, $4)',
+                [deviceCode.game_id, deviceCode.device_code_hash, deviceCode.user_code, deviceCode.expires_at]
+            );
+        } finally {
+            client.release();
+        }
+    }
+
+    // Действующий код, который вводит игрок на сайте, вместе с названием игры
+    async getDeviceCodeByUserCode(userCode) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(`
+                SELECT d.id, d.game_id, d.user_id, g.slug as game_slug, g.title as game_title
+                FROM game_device_codes d
+                JOIN games g ON g.id = d.game_id
+                WHERE d.user_code = $1 AND d.expires_at > $2
+            `, [userCode, new Date()]);
+            
+            return result.rows[0] || null;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Код подтверждает только первый игрок, который его ввёл
+    async confirmDeviceCode(deviceCodeId, userId) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(
+                'UPDATE game_device_codes SET user_id = $1 WHERE id = $2 AND user_id IS NULL AND expires_at > $3',
+                [userId, deviceCodeId, new Date()]
+            );
+            
+            return result.rowCount > 0;
+        } finally {
+            client.release();
+        }
+    }
+
+    async getDeviceCode(gameId, deviceCodeHash) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(
+                'SELECT id, game_id, user_id, expires_at FROM game_device_codes WHERE game_id = $1 AND device_code_hash = $2',
+                [gameId, deviceCodeHash]
+            );
+            
+            return result.rows[0] || null;
+        } finally {
+            client.release();
+        }
+    }
+
+    async deleteDeviceCode(deviceCodeId) {
+        const client = await this.pool.connect();
+        try {
+            await client.query('DELETE FROM game_device_codes WHERE id = $1', [deviceCodeId]);
+        } finally {
+            client.release();
+        }
+    }
+
+    // Подтверждённый код меняется на привязку; код одноразовый, поэтому удаляется в той же транзакции.
+    // Возвращает id привязки или null, если код уже обменяли
+    async exchangeDeviceCode(deviceCode, tokenHash) {
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const deleted = await client.query('DELETE FROM game_device_codes WHERE id = $1', [deviceCode.id]);
+            if (deleted.rowCount === 0) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+
+            const result = await client.query(
+                'INSERT INTO game_links (game_id, user_id, token_hash) VALUES ($1, $2, $3) RETURNING id',
+                [deviceCode.game_id, deviceCode.user_id, tokenHash]
+            );
+
+            await client.query('COMMIT');
+            return result.rows[0].id;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Привязка по токену игрока вместе с состоянием аккаунта
+    async getGameLink(gameId, tokenHash) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(`
+                SELECT l.id, l.game_id, l.user_id, u.username, u.is_banned
+                FROM game_links l
+                JOIN users u ON u.id = l.user_id
+                WHERE l.game_id = $1 AND l.token_hash = $2
+            `, [gameId, tokenHash]);
+            
+            return result.rows[0] || null;
+        } finally {
+            client.release();
+        }
+    }
+
+    async touchGameLink(linkId) {
+        const client = await this.pool.connect();
+        try {
+            await client.query('UPDATE game_links SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1', [linkId]);
+        } finally {
+            client.release();
+        }
+    }
+
+    async getUserGameLinks(userId) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(`
+                SELECT l.id, l.created_at, l.last_used_at, g.id as game_id, g.slug as game_slug, g.title as game_title
+                FROM game_links l
+                JOIN games g ON g.id = l.game_id
+                WHERE l.user_id = $1
+                ORDER BY l.created_at DESC, l.id DESC
+            `, [userId]);
+            
+            return result.rows;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Отвязка: токен игрока перестаёт действовать
+    async deleteGameLink(linkId, userId) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(
+                'DELETE FROM game_links WHERE id = $1 AND user_id = $2',
+                [linkId, userId]
+            );
+            
+            return result.rowCount > 0;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Методы для новостей
+    // Опубликованные новости постранично, с необязательным фильтром по категории
+    async getPublishedNews({ page = 1, pageSize = 6, category = null } = {}) {
+        const client = await this.pool.connect();
+        try {
+            const where = `n.is_draft = false AND n.published_at <= CURRENT_TIMESTAMP
+                           ${category ? 'AND n.category = $1' : ''}`;
+            const params = category ? [category] : [];
+            
+            const countResult = await client.query(
+                `SELECT COUNT(*) as count FROM news n WHERE ${where}`,
+                params
+            );
+            
+            const result = await client.query(`
+                SELECT n.id, n.slug, n.title, n.excerpt, n.cover_image, n.category, n.published_at, n.translations,
+                       u.username as author
+                FROM news n
+                LEFT JOIN users u ON n.author_id = u.id
+                WHERE ${where}
+                ORDER BY n.published_at DESC, n.id DESC
+                LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+            `, [...params, pageSize, (page - 1) * pageSize]);
+            
+            return {
+                items: result.rows,
+                total: parseInt(countResult.rows[0].count)
+            };
+        } finally {
+            client.release();
+        }
+    }
+
+    async getNewsCategories() {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(`
+                SELECT DISTINCT category FROM news
+                WHERE is_draft = false AND published_at <= CURRENT_TIMESTAMP AND category IS NOT NULL
+                ORDER BY category
+            `);
+            
+            return result.rows.map(row => row.category);
+        } finally {
+            client.release();
+        }
+    }
+
+    // Новость по slug; черновики и отложенные новости отдаются только при includeDrafts
+    async getNewsBySlug(slug, includeDrafts = false) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(`
+                SELECT n.*, u.username as author
+                FROM news n
+                LEFT JOIN users u ON n.author_id = u.id
+                WHERE n.slug = $1
+                ${includeDrafts ? '' : 'AND n.is_draft = false AND n.published_at <= CURRENT_TIMESTAMP'}
+            `, [slug]);
+            
+            return result.rows[0] || null;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Адреса опубликованных новостей для sitemap.xml
+    async getPublishedNewsSlugs() {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(`
+                SELECT slug, published_at
+                FROM news
+                WHERE is_draft = false AND published_at <= CURRENT_TIMESTAMP
+                ORDER BY published_at DESC, id DESC
+            `);
+            
+            return result.rows;
+        } finally {
+            client.release();
+        }
+    }
+
+    async getAllNews() {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(`
+                SELECT n.*, u.username as author
+                FROM news n
+                LEFT JOIN users u ON n.author_id = u.id
+                ORDER BY n.published_at DESC, n.id DESC
+            `);
+            
+            return result.rows;
+        } finally {
+            client.release();
+        }
+    }
+
+    async createNews(news) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(
+                `INSERT INTO news (slug, title, excerpt, body, cover_image, author_id, category, published_at, is_draft, translations)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, COALESCE($8, CURRENT_TIMESTAMP), $9, $10) RETURNING id`,
+                [news.slug, news.title, news.excerpt, news.body, news.cover_image, news.author_id,
+                 news.category, news.published_at, news.is_draft,
+                 news.translations ? JSON.stringify(news.translations) : null]
+            );
+            
+            return result.rows[0].id;
+        } finally {
+            client.release();
+        }
+    }
+
+    async updateNews(newsId, news) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(
+                `UPDATE news SET slug = $1, title = $2, excerpt = $3, body = $4, cover_image = $5, category = $6,
+                        published_at = COALESCE($7, published_at), is_draft = $8, translations = $9
+                 WHERE id = $10`,
+                [news.slug, news.title, news.excerpt, news.body, news.cover_image, news.category,
+                 news.published_at, news.is_draft, news.translations ? JSON.stringify(news.translations) : null, newsId]
+            );
+            
+            return result.rowCount > 0;
+        } finally {
+            client.release();
+        }
+    }
+
+    async deleteNews(newsId) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(
+                'DELETE FROM news WHERE id = $1',
+                [newsId]
+            );
+            
+            return result.rowCount > 0;
+        } finally {
+            client.release();
+        }
+    }
+
+    async getUserById(userId) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(
+                'SELECT id, username, email, email_verified, is_admin, is_banned, is_profile_public, locale, avatar_key, created_at FROM users WHERE id = $1',
+                [userId]
+            );
+            
+            return result.rows[0] || null;
+        } finally {
+            client.release();
+        }
+    }
+
+    async getAllAchievements() {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(
+                'SELECT * FROM achievements ORDER BY category, id'
+            );
+            
+            return result.rows;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Рейтинг игроков: больше достижений выше, при равенстве - кто раньше получил последнее.
+    // Заблокированные и скрытые профили в рейтинг не попадают.
+    async getLeaderboard(limit) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(`
+                SELECT u.username, u.avatar_key, COUNT(ua.achievement_id) as achievement_count,
+                       MAX(ua.unlocked_at) as last_unlocked_at
+                FROM users u
+                JOIN user_achievements ua ON ua.user_id = u.id
+                WHERE u.is_banned = false AND u.is_profile_public = true
+                GROUP BY u.id, u.username, u.avatar_key
+                ORDER BY achievement_count DESC, last_unlocked_at ASC, u.id ASC
+                LIMIT $1
+            `, [limit]);
+            
+            return result.rows.map((row, index) => ({
+                rank: index + 1,
+                username: row.username,
+                avatar_key: row.avatar_key,
+                achievement_count: parseInt(row.achievement_count),
+                last_unlocked_at: row.last_unlocked_at
+            }));
+        } finally {
+            client.release();
+        }
+    }
+
+    // Редкость достижений: доля незаблокированных игроков, получивших каждое из них
+    async getAchievementRarity() {
+        const client = await this.pool.connect();
+        try {
+            const usersResult = await client.query(
+                'SELECT COUNT(*) as user_count FROM users WHERE is_banned = false'
+            );
+            const result = await client.query(`
+                SELECT a.id, COUNT(u.id) as unlock_count
+                FROM achievements a
+                LEFT JOIN user_achievements ua ON ua.achievement_id = a.id
+                LEFT JOIN users u ON u.id = ua.user_id AND u.is_banned = false
+                GROUP BY a.id
+            `);
+            
+            const userCount = parseInt(usersResult.rows[0].user_count);
+            const rarity = new Map();
+            
+            result.rows.forEach(row => {
+                const unlockCount = parseInt(row.unlock_count);
+                rarity.set(row.id, {
+                    unlock_count: unlockCount,
+                    unlock_percentage: userCount > 0 ? Math.round(unlockCount / userCount * 1000) / 10 : 0
+                });
+            });
+            
+            return rarity;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Сессии (хранилище express-session, см. sessionStore.js)
+    async getSession(sid) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(
+                'SELECT data FROM sessions WHERE sid = $1 AND expires_at > $2',
+                [sid, new Date()]
+            );
+            
+            return result.rows[0] ? result.rows[0].data : null;
+        } finally {
+            client.release();
+        }
+    }
+
+    async saveSession(sid, data, expiresAt) {
+        const client = await this.pool.connect();
+        try {
+            await client.query(`
+                INSERT INTO sessions (sid, user_id, data, expires_at)
+                VALUES ($1, $2, $3, $4)
+                ON CONFLICT (sid) DO UPDATE SET
+                    user_id = EXCLUDED.user_id,
+                    data = EXCLUDED.data,
+                    expires_at = EXCLUDED.expires_at
+            `, [sid, data.userId || null, JSON.stringify(data), expiresAt]);
+        } finally {
+            client.release();
+        }
+    }
+
+    async touchSession(sid, expiresAt) {
+        const client = await this.pool.connect();
+        try {
+            await client.query(
+                'UPDATE sessions SET expires_at = $1 WHERE sid = $2',
+                [expiresAt, sid]
+            );
+        } finally {
+            client.release();
+        }
+    }
+
+    async deleteSession(sid) {
+        const client = await this.pool.connect();
+        try {
+            await client.query('DELETE FROM sessions WHERE sid = $1', [sid]);
+        } finally {
+            client.release();
+        }
+    }
+
+    // Все сессии пользователя, кроме exceptSid (текущей), если он передан
+    async deleteUserSessions(userId, exceptSid = null) {
+        const client = await this.pool.connect();
+        try {
+            const result = exceptSid
+                ? await client.query('DELETE FROM sessions WHERE user_id = $1 AND sid <> $2', [userId, exceptSid])
+                : await client.query('DELETE FROM sessions WHERE user_id = $1', [userId]);
+            
+            return result.rowCount;
+        } finally {
+            client.release();
+        }
+    }
+
+    async deleteExpiredSessions() {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(
+                'DELETE FROM sessions WHERE expires_at <= $1',
+                [new Date()]
+            );
+            
+            return result.rowCount;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Метод для проверки состояния БД
+    async checkDatabaseStatus() {
+        const client = await this.pool.connect();
+        try {
+            const usersResult = await client.query('SELECT COUNT(*) as user_count FROM users');
+            const achievementsResult = await client.query('SELECT COUNT(*) as achievement_count FROM achievements');
+            const userAchievementsResult = await client.query('SELECT COUNT(*) as user_achievement_count FROM user_achievements');
+            
+            return {
+                users: parseInt(usersResult.rows[0].user_count),
+                achievements: parseInt(achievementsResult.rows[0].achievement_count),
+                user_achievements: parseInt(userAchievementsResult.rows[0].user_achievement_count),
+                status: 'OK'
+            };
+        } finally {
+            client.release();
+        }
+    }
+
+    // Проверка готовности: база отвечает на простой запрос
+    async ping() {
+        const client = await this.pool.connect();
+        try {
+            await client.query('SELECT 1');
+        } finally {
+            client.release();
+        }
+    }
+
+    // Состояние пула соединений (у SQLite - одно соединение и очередь клиентов)
+    getPoolStats() {
+        return {
+            total: this.pool.totalCount,
+            idle: this.pool.idleCount,
+            waiting: this.pool.waitingCount
+        };
+    }
+
+    // Закрытие соединения
     async close() {
         await this.pool.end();
     }
 }
 
-module.exports = new Database();
\ No newline at end of file
+Database.CONTENT_TYPES = CONTENT_TYPES;
+
+module.exports = Database;
\ No newline at end of file
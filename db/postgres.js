@@ -0,0 +1,14 @@
+// Хранилище на PostgreSQL (продакшен на Render).
+// pg.Pool уже реализует интерфейс хранилища: connect/release/query/end.
+function createPostgresAdapter(connectionString) {
+    const { Pool } = require('pg');
+
+    return new Pool({
+        connectionString: connectionString,
+        ssl: process.env.NODE_ENV === 'production' ? {
+            rejectUnauthorized: false
+        } : false
+    });
+}
+
+module.exports = { createPostgresAdapter };
@@ -0,0 +1,161 @@
+const path = require('path');
+const sqlite3 = require('sqlite3');
+
+// Встроенное хранилище на SQLite для локальной разработки и тестов.
+// Повторяет интерфейс pg.Pool (connect/release/query/end), поэтому запросы
+// в db.js пишутся один раз на диалекте PostgreSQL и переводятся здесь.
+
+// Колонки, которые в PostgreSQL имеют тип JSONB / BOOLEAN
+const JSON_COLUMNS = ['rule', 'data', 'translations'];
+const BOOLEAN_COLUMNS = ['is_admin', 'is_banned', 'is_profile_public', 'email_verified', 'is_draft', 'download_available', 'unlocked', 'is_hidden'];
+
+const SQLITE_TIMESTAMP = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+const ADD_COLUMN_IF_NOT_EXISTS = /^\s*ALTER TABLE (\w+) ADD COLUMN IF NOT EXISTS (\w+)/i;
+
+// Перевод диалекта PostgreSQL в SQLite
+function translateSql(sql) {
+    return sql
+        .replace(/\$(\d+)/g, '?$1')
+        .replace(/\bSERIAL PRIMARY KEY\b/gi, 'INTEGER PRIMARY KEY AUTOINCREMENT')
+        .replace(/\bJSONB\b/gi, 'TEXT')
+        .replace(/ADD COLUMN IF NOT EXISTS/gi, 'ADD COLUMN');
+}
+
+// CURRENT_TIMESTAMP в SQLite - строка 'YYYY-MM-DD HH:MM:SS' в UTC,
+// даты из параметров приводим к тому же виду, чтобы сравнения работали
+function toParam(value) {
+    if (value === undefined) return null;
+    if (value instanceof Date) return value.toISOString().replace('T', ' ').slice(0, 19);
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    return value;
+}
+
+function fromRow(row) {
+    for (const [column, value] of Object.entries(row)) {
+        if (value === null) continue;
+
+        if (JSON_COLUMNS.includes(column) && typeof value === 'string') {
+            try {
+                row[column] = JSON.parse(value);
+            } catch (error) {
+                // Не JSON - оставляем строку как есть
+            }
+        } else if (BOOLEAN_COLUMNS.includes(column)) {
+            row[column] = Boolean(value);
+        } else if (column.endsWith('_at') && SQLITE_TIMESTAMP.test(value)) {
+            row[column] = new Date(value.replace(' ', 'T') + 'Z');
+        }
+    }
+    return row;
+}
+
+// Ошибки уникальности приводим к тексту PostgreSQL, на который опирается server.js
+function toPgError(error) {
+    if (error.code === 'SQLITE_CONSTRAINT' && error.message.includes('UNIQUE constraint failed')) {
+        const columns = error.message.split('UNIQUE constraint failed:')[1].trim();
+        const pgError = new Error(`duplicate key value violates unique constraint (${columns})`);
+        pgError.code = '23505';
+        return pgError;
+    }
+    return error;
+}
+
+class SqliteClient {
+    constructor(adapter) {
+        this.adapter = adapter;
+    }
+
+    async query(sql, params = []) {
+        const match = sql.match(ADD_COLUMN_IF_NOT_EXISTS);
+        if (match) {
+            const columns = await this.adapter.all(`PRAGMA table_info(${match[1]})`, []);
+            if (columns.some(column => column.name === match[2])) {
+                return { rows: [], rowCount: 0 };
+            }
+        }
+
+        const statement = translateSql(sql);
+        const values = params.map(toParam);
+
+        try {
+            if (/^\s*(SELECT|WITH|PRAGMA)\b/i.test(statement) || /\bRETURNING\b/i.test(statement)) {
+                const rows = (await this.adapter.all(statement, values)).map(fromRow);
+                return { rows, rowCount: rows.length };
+            }
+
+            const changes = await this.adapter.run(statement, values);
+            return { rows: [], rowCount: changes };
+        } catch (error) {
+            throw toPgError(error);
+        }
+    }
+
+    release() {
+        this.adapter.releaseClient(this);
+    }
+}
+
+class SqliteAdapter {
+    constructor(filename) {
+        this.filename = filename === ':memory:' ? filename : path.resolve(filename);
+        this.db = new sqlite3.Database(this.filename);
+        this.db.run('PRAGMA foreign_keys = ON');
+
+        // Соединение одно, поэтому клиенты выдаются по очереди -
+        // иначе запросы соседних транзакций перемешаются
+        this.activeClient = null;
+        this.waiting = [];
+    }
+
+    connect() {
+        const client = new SqliteClient(this);
+        if (!this.activeClient) {
+            this.activeClient = client;
+            return Promise.resolve(client);
+        }
+        return new Promise(resolve => this.waiting.push({ client, resolve }));
+    }
+
+    // Счётчики как у pg.Pool (для метрик): соединение одно, остальные клиенты ждут в очереди
+    get totalCount() {
+        return 1;
+    }
+
+    get idleCount() {
+        return this.activeClient ? 0 : 1;
+    }
+
+    get waitingCount() {
+        return this.waiting.length;
+    }
+
+    releaseClient(client) {
+        if (this.activeClient !== client) return;
+
+        const next = this.waiting.shift();
+        this.activeClient = next ? next.client : null;
+        if (next) next.resolve(next.client);
+    }
+
+    all(sql, params) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (error, rows) => error ? reject(error) : resolve(rows));
+        });
+    }
+
+    run(sql, params) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function (error) {
+                error ? reject(error) : resolve(this.changes);
+            });
+        });
+    }
+
+    end() {
+        return new Promise((resolve, reject) => {
+            this.db.close(error => error ? reject(error) : resolve());
+        });
+    }
+}
+
+module.exports = { SqliteAdapter };
@@ -0,0 +1,87 @@
+// API для самих игр: ключи, подпись запросов и коды привязки.
+//
+// У каждой игры свои ключи (админка -> игра -> API keys): key_id и secret.
+// Каждый запрос игры подписывается HMAC-SHA256 секретом ключа:
+//   X-Api-Key:   key_id
+//   X-Timestamp: время в секундах Unix
+//   X-Nonce:     свой у каждого запроса случайный id (16-64 символа: буквы, цифры, - и _)
+//   X-Signature: hex(HMAC-SHA256(secret, timestamp + "\n" + nonce + "\n" + METHOD + "\n" + путь с query + "\n" + тело))
+// Запросы старше SIGNATURE_MAX_AGE отклоняются, а nonce сервер помнит столько же и второй раз не принимает,
+// так что перехваченный запрос нельзя повторить ни позже, ни сразу.
+//
+// Привязка игры к аккаунту (как вход на телевизоре):
+//   1. игра: POST /api/games/:id/device-codes -> device_code (секрет игры) и user_code (показать игроку)
+//   2. игрок вводит user_code на сайте, на странице /link
+//   3. игра опрашивает POST /api/games/:id/device-codes/token с device_code и получает player_token
+//   4. дальше игра шлёт достижения с этим player_token: .../achievements/unlock сразу выдаёт достижение,
+//      .../achievements/progress прибавляет шаги многошаговому (с target) и выдаёт его на цели
+const crypto = require('crypto');
+
+const SIGNATURE_MAX_AGE = 5 * 60; // секунды
+const NONCE_PATTERN = /^[\w-]{16,64}$/;
+const DEVICE_CODE_TTL = 10 * 60 * 1000; // Код привязки действует 10 минут
+const DEVICE_CODE_INTERVAL = 5; // Как часто игре опрашивать сервер, секунды
+
+// Без похожих символов (0/O, 1/I/L), чтобы код было легко переписать с экрана
+const USER_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const USER_CODE_LENGTH = 8;
+
+function generateApiKey() {
+    return {
+        key_id: `gk_${crypto.randomBytes(12).toString('hex')}`,
+        secret: crypto.randomBytes(32).toString('hex')
+    };
+}
+
+function signRequest(secret, { timestamp, nonce, method, path, body = '' }) {
+    return crypto
+        .createHmac('sha256', secret)
+        .update(`${timestamp}\n${nonce}\n${method.toUpperCase()}\n${path}\n${body}`)
+        .digest('hex');
+}
+
+// Сравнение подписи за постоянное время; false для просроченного или кривого запроса.
+// Повтор nonce здесь не проверяется - это делает сервер по своей таблице
+function verifySignature(secret, { timestamp, nonce, method, path, body, signature }, now = Date.now()) {
+    const seconds = Number(timestamp);
+    if (!/^\d+$/.test(String(timestamp)) || Math.abs(now / 1000 - seconds) > SIGNATURE_MAX_AGE) {
+        return false;
+    }
+    if (!NONCE_PATTERN.test(String(nonce || ''))) {
+        return false;
+    }
+
+    const expected = Buffer.from(signRequest(secret, { timestamp, nonce, method, path, body }), 'hex');
+    const actual = Buffer.from(String(signature || ''), 'hex');
+
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Код для игрока вида ABCD-EF23
+function generateUserCode() {
+    let code = '';
+    for (let i = 0; i < USER_CODE_LENGTH; i++) {
+        code += USER_CODE_ALPHABET[crypto.randomInt(USER_CODE_ALPHABET.length)];
+    }
+    return `${code.slice(0, 4)}-${code.slice(4)}`;
+}
+
+// Ввод игрока приводится к виду из БД: регистр, пробелы и дефис не важны; null - если не похоже на код
+function normalizeUserCode(input) {
+    const code = String(input || '').toUpperCase().replace(/[\s-]/g, '');
+    if (code.length !== USER_CODE_LENGTH || [...code].some(char => !USER_CODE_ALPHABET.includes(char))) {
+        return null;
+    }
+    return `${code.slice(0, 4)}-${code.slice(4)}`;
+}
+
+module.exports = {
+    SIGNATURE_MAX_AGE,
+    DEVICE_CODE_TTL,
+    DEVICE_CODE_INTERVAL,
+    generateApiKey,
+    signRequest,
+    verifySignature,
+    generateUserCode,
+    normalizeUserCode
+};
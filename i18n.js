@@ -0,0 +1,132 @@
+// Локализация: каталоги переводов лежат в locales/<locale>.json.
+// Английский каталог - основной: если в другом языке нет строки, берётся английская.
+//   pages/client/mail - тексты страниц, скриптов в браузере и писем
+//   errors            - переводы сообщений API, ключ - английский текст ошибки
+const path = require('path');
+
+const SUPPORTED_LOCALES = ['en', 'ru'];
+const DEFAULT_LOCALE = 'en';
+const LOCALE_COOKIE = 'lang';
+
+const catalogues = {};
+for (const locale of SUPPORTED_LOCALES) {
+    catalogues[locale] = require(path.join(__dirname, 'locales', `${locale}.json`));
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function mergeDeep(base, override) {
+    const result = { ...base };
+    for (const [key, value] of Object.entries(override || {})) {
+        result[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeDeep(base[key], value) : value;
+    }
+    return result;
+}
+
+// Каталог с подставленными английскими строками вместо отсутствующих
+const merged = new Map();
+
+function getCatalogue(locale) {
+    const key = normalizeLocale(locale) || DEFAULT_LOCALE;
+    if (!merged.has(key)) {
+        merged.set(key, mergeDeep(catalogues[DEFAULT_LOCALE], catalogues[key]));
+    }
+    return merged.get(key);
+}
+
+// 'ru-RU' -> 'ru'; неподдерживаемый язык -> null
+function normalizeLocale(value) {
+    if (typeof value !== 'string') return null;
+
+    const language = value.trim().toLowerCase().split(/[-_]/)[0];
+    return SUPPORTED_LOCALES.includes(language) ? language : null;
+}
+
+// Первый поддерживаемый язык из Accept-Language с учётом q
+function negotiateLocale(header) {
+    if (!header) return DEFAULT_LOCALE;
+
+    const languages = String(header).split(',')
+        .map((part, index) => {
+            const [tag, ...params] = part.trim().split(';');
+            const q = params.map(param => param.trim().match(/^q=([\d.]+)$/)).find(Boolean);
+            return { tag, q: q ? parseFloat(q[1]) : 1, index };
+        })
+        .filter(language => language.q > 0)
+        .sort((a, b) => b.q - a.q || a.index - b.index);
+
+    for (const language of languages) {
+        const locale = normalizeLocale(language.tag);
+        if (locale) return locale;
+    }
+    return DEFAULT_LOCALE;
+}
+
+// Язык запроса: выбор пользователя (в сессии), затем cookie гостя, затем заголовок браузера
+function resolveLocale(req) {
+    return normalizeLocale(req.session && req.session.locale)
+        || normalizeLocale(req.cookies && req.cookies[LOCALE_COOKIE])
+        || negotiateLocale(req.get('Accept-Language'));
+}
+
+// Строка по ключу вида 'client.auth.loginFailed'; {name} в строке заменяется на params.name
+function translate(locale, key, params = {}) {
+    const value = key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), getCatalogue(locale));
+    if (typeof value !== 'string') return key;
+
+    return value.replace(/\{(\w+)\}/g, (match, name) => (params[name] == null ? match : String(params[name])));
+}
+
+// Перевод сообщения API; неизвестные сообщения остаются английскими
+function translateError(locale, message) {
+    const errors = getCatalogue(locale).errors || {};
+    return errors[message] || message;
+}
+
+// Переведённые поля записи из БД: translations = { ru: { name: '...', description: '...' } }.
+// Пустые переводы не затирают основной текст
+function localize(record, locale, fields) {
+    const translation = record && record.translations && record.translations[locale];
+    if (!translation) return record;
+
+    const localized = { ...record };
+    for (const field of fields) {
+        if (typeof translation[field] === 'string' && translation[field].trim()) {
+            localized[field] = translation[field];
+        }
+    }
+    return localized;
+}
+
+// Проверка translations из админки: только известные языки и строковые поля
+function validateTranslations(translations, fields) {
+    if (translations == null) return null;
+    if (!isPlainObject(translations)) return 'translations must be an object';
+
+    for (const [locale, values] of Object.entries(translations)) {
+        if (!SUPPORTED_LOCALES.includes(locale)) return `Unsupported locale: ${locale}`;
+        if (!isPlainObject(values)) return `Translations for ${locale} must be an object`;
+
+        for (const [field, value] of Object.entries(values)) {
+            if (!fields.includes(field)) return `Field ${field} cannot be translated`;
+            if (typeof value !== 'string') return `Translation of ${field} must be a string`;
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    SUPPORTED_LOCALES,
+    DEFAULT_LOCALE,
+    LOCALE_COOKIE,
+    getCatalogue,
+    normalizeLocale,
+    negotiateLocale,
+    resolveLocale,
+    translate,
+    translateError,
+    localize,
+    validateTranslations
+};
@@ -0,0 +1,80 @@
+// Серверные шаблоны страниц.
+// Страница лежит в views/pages/<name>.html и подключает общие части из views/partials:
+//   {{> header}}  - вставка views/partials/header.html с отступом строки, где стоит вставка
+//   {{title}}     - значение из locals, экранируется (можно через точку: {{nav.news}})
+//   {{t.auth.login}} - строка из каталога переводов языка страницы (см. i18n.js)
+const fs = require('fs');
+const path = require('path');
+const { getCatalogue, normalizeLocale, DEFAULT_LOCALE, SUPPORTED_LOCALES } = require('./i18n.js');
+
+const viewsDir = path.join(__dirname, 'views');
+
+// Пункты меню в шапке (подписи - nav.* в каталоге); активный выделяется восклицательными знаками
+const NAV_ITEMS = ['news', 'games', 'about'];
+
+// В production шаблоны читаются с диска один раз, при разработке - на каждый запрос
+const cache = new Map();
+
+function readTemplate(file) {
+    if (cache.has(file)) return cache.get(file);
+
+    const template = fs.readFileSync(file, 'utf8');
+    if (process.env.NODE_ENV === 'production') {
+        cache.set(file, template);
+    }
+    return template;
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function includePartials(template, depth = 0) {
+    if (depth > 5) throw new Error('Too deep partial nesting');
+
+    return template.replace(/^([ \t]*)\{\{>\s*([\w-]+)\s*\}\}[ \t]*$/gm, (match, indent, name) => {
+        const partial = includePartials(readTemplate(path.join(viewsDir, 'partials', `${name}.html`)), depth + 1);
+
+        return partial
+            .replace(/\n$/, '')
+            .split('\n')
+            .map(line => (line ? indent + line : line))
+            .join('\n');
+    });
+}
+
+function lookup(locals, key) {
+    return key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), locals);
+}
+
+// locals.page - пункт меню текущей страницы (news, games, about), locals.locale - язык
+function renderPage(name, locals = {}) {
+    const locale = normalizeLocale(locals.locale) || DEFAULT_LOCALE;
+    const t = getCatalogue(locale);
+
+    const nav = {};
+    for (const key of NAV_ITEMS) {
+        nav[key] = key === locals.page ? `!${t.nav[key]}!` : t.nav[key];
+    }
+
+    // Активный язык в переключателе: {{localeClass.ru}} -> ' active'
+    const localeClass = {};
+    for (const code of SUPPORTED_LOCALES) {
+        localeClass[code] = code === locale ? ' active' : '';
+    }
+
+    const template = includePartials(readTemplate(path.join(viewsDir, 'pages', `${name}.html`)));
+    const values = { ...locals, locale, t, nav, localeClass };
+
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) => {
+        const value = lookup(values, key);
+        return value == null ? '' : escapeHtml(value);
+    });
+}
+
+module.exports = { renderPage };
@@ -0,0 +1,88 @@
+// Структурированные логи: одна строка JSON на событие.
+//   {"time":"...","level":"info","msg":"User registered","requestId":"...","userId":5}
+// LOG_LEVEL задаёт минимальный уровень (debug, info, warn, error, silent), по умолчанию info.
+// warn и error пишутся в stderr, остальное - в stdout.
+
+const LEVELS = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+    silent: 100
+};
+
+// Error не сериализуется в JSON сам по себе - берём сообщение, код и стек
+function serializeError(error) {
+    return {
+        name: error.name,
+        message: error.message,
+        code: error.code,
+        stack: error.stack
+    };
+}
+
+function writeLine(level, line) {
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(line + '\n');
+}
+
+class Logger {
+    // fields - поля, которые попадают в каждую строку (например, requestId);
+    // write(level, line) - куда писать, в тестах подменяется
+    constructor({ level = process.env.LOG_LEVEL || 'info', fields = {}, write = writeLine } = {}) {
+        this.level = LEVELS[level] ? level : 'info';
+        this.fields = fields;
+        this.write = write;
+    }
+
+    // Логгер с дополнительными постоянными полями
+    child(fields) {
+        return new Logger({
+            level: this.level,
+            fields: { ...this.fields, ...fields },
+            write: this.write
+        });
+    }
+
+    isEnabled(level) {
+        return LEVELS[level] >= LEVELS[this.level];
+    }
+
+    log(level, msg, fields = {}) {
+        if (!this.isEnabled(level)) return;
+
+        const entry = {
+            time: new Date().toISOString(),
+            level: level,
+            msg: msg,
+            ...this.fields
+        };
+
+        for (const [key, value] of Object.entries(fields)) {
+            entry[key] = value instanceof Error ? serializeError(value) : value;
+        }
+
+        this.write(level, JSON.stringify(entry));
+    }
+
+    debug(msg, fields) {
+        this.log('debug', msg, fields);
+    }
+
+    info(msg, fields) {
+        this.log('info', msg, fields);
+    }
+
+    warn(msg, fields) {
+        this.log('warn', msg, fields);
+    }
+
+    error(msg, fields) {
+        this.log('error', msg, fields);
+    }
+}
+
+// Общий логгер процесса; createApp принимает свой через options.logger
+const logger = new Logger();
+
+module.exports = { Logger, logger, LEVELS };
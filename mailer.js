@@ -0,0 +1,85 @@
+// Отправка писем через сменный транспорт: у каждого транспорта один метод send({ to, subject, text }).
+// MAIL_TRANSPORT выбирает транспорт:
+//   console - пишет в лог только адресата и тему (по умолчанию для локального запуска)
+//   file    - складывает письма в MAIL_DIR, удобно смотреть ссылки из писем
+//   smtp    - настоящая отправка через nodemailer (SMTP_URL или SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS)
+// В production транспорт обязателен: без него сервер не запустится, а не будет молча терять письма
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger.js');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'xtteam <no-reply@xtteam.local>';
+
+// Текст письма в лог не попадает: в нём одноразовые ссылки сброса пароля и подтверждения email.
+// Чтобы пройти по ссылке при локальной разработке, есть транспорт file
+class ConsoleTransport {
+    async send(message) {
+        logger.info('Mail', { to: message.to, subject: message.subject });
+    }
+}
+
+class FileTransport {
+    constructor(directory) {
+        this.directory = directory;
+    }
+
+    async send(message) {
+        await fs.promises.mkdir(this.directory, { recursive: true });
+
+        const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${message.to.replace(/[^\w.@-]/g, '_')}.txt`;
+        const content = `From: ${MAIL_FROM}\nTo: ${message.to}\nSubject: ${message.subject}\n\n${message.text}\n`;
+
+        await fs.promises.writeFile(path.join(this.directory, fileName), content);
+        logger.info('Mail saved', { to: message.to, file: fileName });
+    }
+}
+
+class SmtpTransport {
+    constructor() {
+        const nodemailer = require('nodemailer');
+
+        this.transporter = nodemailer.createTransport(process.env.SMTP_URL || {
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT) || 587,
+            secure: parseInt(process.env.SMTP_PORT) === 465,
+            auth: process.env.SMTP_USER ? {
+                user: process.env.SMTP_USER,
+                pass: process.env.SMTP_PASS
+            } : undefined
+        });
+    }
+
+    async send(message) {
+        await this.transporter.sendMail({
+            from: MAIL_FROM,
+            to: message.to,
+            subject: message.subject,
+            text: message.text
+        });
+    }
+}
+
+function createMailer() {
+    const configured = process.env.MAIL_TRANSPORT || (process.env.SMTP_URL || process.env.SMTP_HOST ? 'smtp' : null);
+    if (!configured && process.env.NODE_ENV === 'production') {
+        throw new Error('Mail transport is not configured: set MAIL_TRANSPORT or SMTP_URL/SMTP_HOST');
+    }
+    const transport = configured || 'console';
+
+    switch (transport) {
+        case 'smtp':
+            logger.info('Mail transport', { transport: 'smtp' });
+            return new SmtpTransport();
+        case 'file': {
+            const directory = process.env.MAIL_DIR || path.join(__dirname, 'mail');
+            logger.info('Mail transport', { transport: 'file', directory: directory });
+            return new FileTransport(directory);
+        }
+        case 'console':
+            return new ConsoleTransport();
+        default:
+            throw new Error(`Unknown MAIL_TRANSPORT: ${transport}`);
+    }
+}
+
+module.exports = { createMailer, ConsoleTransport, FileTransport, SmtpTransport };
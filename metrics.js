@@ -0,0 +1,136 @@
+// Метрики в текстовом формате Prometheus (GET /metrics).
+// Счётчики живут в памяти процесса и обнуляются при перезапуске - Prometheus это учитывает сам.
+
+// Значения меток экранируются по правилам формата: \ " и перевод строки
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+class Metric {
+    constructor(type, { name, help, labelNames = [] }) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.values = new Map(); // ключ из значений меток -> { labels, value }
+    }
+
+    // Метки приводятся к объявленному набору: лишние отбрасываются, недостающие - пустые
+    entry(labels, initial) {
+        const normalized = {};
+        for (const name of this.labelNames) {
+            normalized[name] = labels[name] == null ? '' : String(labels[name]);
+        }
+
+        const key = JSON.stringify(this.labelNames.map(name => normalized[name]));
+        if (!this.values.has(key)) {
+            this.values.set(key, { labels: normalized, value: initial() });
+        }
+        return this.values.get(key);
+    }
+
+    header() {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    }
+
+    lines() {
+        return [...this.values.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+    }
+}
+
+class Counter extends Metric {
+    constructor(options) {
+        super('counter', options);
+    }
+
+    inc(labels = {}, value = 1) {
+        this.entry(labels, () => 0).value += value;
+    }
+}
+
+// Gauge со снимком на момент запроса: collect(gauge) вызывается перед выводом
+class Gauge extends Metric {
+    constructor({ collect, ...options }) {
+        super('gauge', options);
+        this.collect = collect;
+    }
+
+    set(labels, value) {
+        this.entry(labels, () => 0).value = value;
+    }
+}
+
+class Histogram extends Metric {
+    constructor({ buckets, ...options }) {
+        super('histogram', options);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    observe(labels, value) {
+        const entry = this.entry(labels, () => ({
+            counts: this.buckets.map(() => 0),
+            sum: 0,
+            count: 0
+        }));
+
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) entry.value.counts[index]++;
+        });
+        entry.value.sum += value;
+        entry.value.count++;
+    }
+
+    lines() {
+        const lines = [];
+        for (const { labels, value } of this.values.values()) {
+            this.buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${value.counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${value.sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${value.count}`);
+        }
+        return lines;
+    }
+}
+
+class Registry {
+    constructor() {
+        this.metrics = [];
+    }
+
+    register(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    counter(options) {
+        return this.register(new Counter(options));
+    }
+
+    gauge(options) {
+        return this.register(new Gauge(options));
+    }
+
+    histogram(options) {
+        return this.register(new Histogram(options));
+    }
+
+    async render() {
+        const lines = [];
+        for (const metric of this.metrics) {
+            if (metric.collect) {
+                await metric.collect(metric);
+            }
+            lines.push(...metric.header(), ...metric.lines());
+        }
+        return lines.join('\n') + '\n';
+    }
+}
+
+module.exports = { Registry, Counter, Gauge, Histogram };
@@ -0,0 +1,15 @@
+// Применяет миграции и сиды: npm run migrate
+const Database = require('./db.js');
+const { logger } = require('./logger.js');
+
+const db = new Database();
+
+db.migrate()
+    .then(async () => {
+        await db.close();
+    })
+    .catch(async (error) => {
+        logger.error('Migration failed', { error: error });
+        await db.close();
+        process.exit(1);
+    });
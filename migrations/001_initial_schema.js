@@ -0,0 +1,104 @@
+// Исходная схема. Все таблицы создаются с IF NOT EXISTS, чтобы миграция
+// спокойно применилась к базе, созданной ещё старым initTables().
+module.exports = {
+    async up(client) {
+        // Таблица пользователей
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS users (
+                id SERIAL PRIMARY KEY,
+                username VARCHAR(50) UNIQUE NOT NULL,
+                password_hash VARCHAR(255) NOT NULL,
+                email VARCHAR(100) UNIQUE,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Роль администратора и блокировка аккаунтов
+        await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS is_admin BOOLEAN DEFAULT false');
+        await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS is_banned BOOLEAN DEFAULT false');
+
+        // Таблица достижений
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS achievements (
+                id SERIAL PRIMARY KEY,
+                name VARCHAR(100) NOT NULL,
+                description TEXT NOT NULL,
+                icon_path VARCHAR(255),
+                category VARCHAR(50),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Правило разблокировки, проверяемое сервером (см. achievementRules.js)
+        await client.query('ALTER TABLE achievements ADD COLUMN IF NOT EXISTS rule JSONB');
+
+        // Таблица связей пользователь-достижение
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS user_achievements (
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                achievement_id INTEGER REFERENCES achievements(id) ON DELETE CASCADE,
+                unlocked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (user_id, achievement_id)
+            )
+        `);
+
+        // Таблица событий пользователя (посещения страниц, скачивания и т.д.)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS user_events (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                type VARCHAR(50) NOT NULL,
+                target VARCHAR(100),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await client.query('CREATE INDEX IF NOT EXISTS idx_user_events_user_type ON user_events (user_id, type)');
+
+        // Таблица игр
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS games (
+                id SERIAL PRIMARY KEY,
+                slug VARCHAR(100) UNIQUE NOT NULL,
+                title VARCHAR(100) NOT NULL,
+                genre VARCHAR(100),
+                description TEXT,
+                image VARCHAR(255),
+                platform VARCHAR(50),
+                release VARCHAR(20),
+                download_link VARCHAR(255),
+                download_available BOOLEAN DEFAULT false,
+                sort_order INTEGER DEFAULT 0,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Таблица контентных блоков игр (image/text/gallery/row)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS game_content_blocks (
+                id SERIAL PRIMARY KEY,
+                game_id INTEGER REFERENCES games(id) ON DELETE CASCADE,
+                position INTEGER NOT NULL DEFAULT 0,
+                type VARCHAR(20) NOT NULL,
+                data JSONB NOT NULL DEFAULT '{}'
+            )
+        `);
+
+        // Таблица новостей
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS news (
+                id SERIAL PRIMARY KEY,
+                slug VARCHAR(150) UNIQUE NOT NULL,
+                title VARCHAR(200) NOT NULL,
+                excerpt TEXT,
+                body TEXT,
+                cover_image VARCHAR(255),
+                author_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                category VARCHAR(50),
+                published_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                is_draft BOOLEAN DEFAULT false,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await client.query('CREATE INDEX IF NOT EXISTS idx_news_published ON news (published_at DESC)');
+    }
+};
@@ -0,0 +1,31 @@
+// Стабильный slug у достижений: по нему сиды обновляют уже существующие строки,
+// так что переименование достижения больше не создаёт дубликат.
+const BASE_SLUGS = {
+    'Team Introduction': 'team-introduction',
+    'First News': 'first-news',
+    'Game Observer': 'game-observer',
+    'GameR': 'gamer',
+    'With Registration!': 'with-registration',
+    'Curious': 'curious',
+    'Letter to Developer': 'letter-to-developer',
+    'YouTube Subscriber': 'youtube-subscriber'
+};
+
+module.exports = {
+    async up(client) {
+        await client.query('ALTER TABLE achievements ADD COLUMN slug VARCHAR(100)');
+
+        for (const [name, slug] of Object.entries(BASE_SLUGS)) {
+            await client.query(
+                `UPDATE achievements SET slug = $1
+                 WHERE id = (SELECT MIN(id) FROM achievements WHERE name = $2)`,
+                [slug, name]
+            );
+        }
+
+        // Достижения, добавленные через админку
+        await client.query(`UPDATE achievements SET slug = 'achievement-' || id WHERE slug IS NULL`);
+
+        await client.query('CREATE UNIQUE INDEX idx_achievements_slug ON achievements (slug)');
+    }
+};
@@ -0,0 +1,6 @@
+// Публичные профили /u/:username: пользователь может скрыть свой профиль
+module.exports = {
+    async up(client) {
+        await client.query('ALTER TABLE users ADD COLUMN is_profile_public BOOLEAN DEFAULT true');
+    }
+};
@@ -0,0 +1,26 @@
+// Версии игр, которые раздаёт сам сайт (GET /downloads/:gameSlug/:version).
+// Файлы лежат на диске в RELEASES_DIR, здесь только метаданные и счётчик скачиваний.
+module.exports = {
+    async up(client) {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS game_releases (
+                id SERIAL PRIMARY KEY,
+                game_id INTEGER NOT NULL REFERENCES games(id) ON DELETE CASCADE,
+                version VARCHAR(50) NOT NULL,
+                changelog TEXT,
+                file_name VARCHAR(255) NOT NULL,
+                file_size BIGINT NOT NULL,
+                sha256 VARCHAR(64) NOT NULL,
+                download_count INTEGER DEFAULT 0,
+                uploaded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (game_id, version)
+            )
+        `);
+
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_game_releases_game
+            ON game_releases (game_id, created_at DESC)
+        `);
+    }
+};
@@ -0,0 +1,19 @@
+// Подтверждение email и восстановление пароля.
+// В user_tokens хранится только SHA-256 токена, сам токен уходит пользователю в письме.
+module.exports = {
+    async up(client) {
+        await client.query('ALTER TABLE users ADD COLUMN email_verified BOOLEAN DEFAULT false');
+
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS user_tokens (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                type VARCHAR(20) NOT NULL,
+                token_hash VARCHAR(64) UNIQUE NOT NULL,
+                expires_at TIMESTAMP NOT NULL,
+                used_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    }
+};
@@ -0,0 +1,16 @@
+// Сессии в БД вместо MemoryStore: переживают перезапуск сервера.
+// user_id нужен, чтобы завершить все сессии пользователя ("выйти на всех устройствах").
+module.exports = {
+    async up(client) {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS sessions (
+                sid VARCHAR(255) PRIMARY KEY,
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                data JSONB NOT NULL,
+                expires_at TIMESTAMP NOT NULL
+            )
+        `);
+        await client.query('CREATE INDEX IF NOT EXISTS idx_sessions_expires_at ON sessions (expires_at)');
+        await client.query('CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions (user_id)');
+    }
+};
@@ -0,0 +1,11 @@
+// Локализация: язык, выбранный пользователем, и переводы текстов достижений, игр и новостей.
+// translations = { "ru": { "name": "...", "description": "..." } }; английский текст - в основных колонках
+module.exports = {
+    async up(client) {
+        await client.query('ALTER TABLE users ADD COLUMN locale VARCHAR(5)');
+
+        await client.query('ALTER TABLE achievements ADD COLUMN translations JSONB');
+        await client.query('ALTER TABLE games ADD COLUMN translations JSONB');
+        await client.query('ALTER TABLE news ADD COLUMN translations JSONB');
+    }
+};
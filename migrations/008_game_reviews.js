@@ -0,0 +1,24 @@
+// Оценки и отзывы игроков об играх: один отзыв от игрока на игру.
+// is_hidden - отзыв скрыт модератором: не показывается и не входит в средний рейтинг
+module.exports = {
+    async up(client) {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS game_reviews (
+                id SERIAL PRIMARY KEY,
+                game_id INTEGER NOT NULL REFERENCES games(id) ON DELETE CASCADE,
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                rating INTEGER NOT NULL CHECK (rating BETWEEN 1 AND 5),
+                body TEXT,
+                is_hidden BOOLEAN DEFAULT false,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (game_id, user_id)
+            )
+        `);
+
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_game_reviews_game
+            ON game_reviews (game_id, created_at DESC)
+        `);
+    }
+};
@@ -0,0 +1,6 @@
+// Аватары: ключ загруженной картинки, сами миниатюры лежат на диске (см. avatars.js)
+module.exports = {
+    async up(client) {
+        await client.query('ALTER TABLE users ADD COLUMN avatar_key VARCHAR(32)');
+    }
+};
@@ -0,0 +1,53 @@
+// Достижения из самих игр.
+// achievements.game_id - набор достижений игры (NULL - достижения сайта); такие достижения
+// разблокирует только игра через POST /api/games/:id/achievements/unlock, подписанный ключом игры.
+// Игрок привязывает игру к аккаунту кодом с экрана игры (game_device_codes -> game_links).
+module.exports = {
+    async up(client) {
+        await client.query('ALTER TABLE achievements ADD COLUMN game_id INTEGER REFERENCES games(id) ON DELETE CASCADE');
+        await client.query('CREATE INDEX IF NOT EXISTS idx_achievements_game ON achievements (game_id)');
+
+        // Секрет нужен серверу целиком, чтобы проверять HMAC-подпись, поэтому хранится как есть;
+        // наружу он отдаётся один раз - при создании ключа
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS game_api_keys (
+                id SERIAL PRIMARY KEY,
+                game_id INTEGER NOT NULL REFERENCES games(id) ON DELETE CASCADE,
+                key_id VARCHAR(32) UNIQUE NOT NULL,
+                secret VARCHAR(64) NOT NULL,
+                name VARCHAR(100),
+                created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                last_used_at TIMESTAMP,
+                revoked_at TIMESTAMP
+            )
+        `);
+
+        // Незавершённые привязки: игра показывает user_code, игрок вводит его на сайте,
+        // игра по device_code забирает токен игрока. Хранится только SHA-256 device_code
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS game_device_codes (
+                id SERIAL PRIMARY KEY,
+                game_id INTEGER NOT NULL REFERENCES games(id) ON DELETE CASCADE,
+                device_code_hash VARCHAR(64) UNIQUE NOT NULL,
+                user_code VARCHAR(9) UNIQUE NOT NULL,
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                expires_at TIMESTAMP NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Привязанные игры: по токену игрока (тоже только SHA-256) игра сообщает о достижениях
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS game_links (
+                id SERIAL PRIMARY KEY,
+                game_id INTEGER NOT NULL REFERENCES games(id) ON DELETE CASCADE,
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                token_hash VARCHAR(64) UNIQUE NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                last_used_at TIMESTAMP
+            )
+        `);
+        await client.query('CREATE INDEX IF NOT EXISTS idx_game_links_user ON game_links (user_id)');
+    }
+};
@@ -0,0 +1,20 @@
+// Прогресс многошаговых достижений.
+// achievements.target - сколько шагов нужно для достижения игры (прогресс сообщает игра);
+// у достижений сайта цель задаёт правило (min или число доступных игр).
+// user_achievement_progress - сколько шагов игрок уже сделал; достижение разблокируется,
+// когда progress дойдёт до цели. Прогресс по старым событиям пересчитается при следующем событии.
+module.exports = {
+    async up(client) {
+        await client.query('ALTER TABLE achievements ADD COLUMN target INTEGER');
+
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS user_achievement_progress (
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                achievement_id INTEGER NOT NULL REFERENCES achievements(id) ON DELETE CASCADE,
+                progress INTEGER NOT NULL DEFAULT 0,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (user_id, achievement_id)
+            )
+        `);
+    }
+};
@@ -0,0 +1,10 @@
+// Очки и уровни достижений, секретные достижения.
+// points - сколько очков даёт достижение, tier - bronze, silver или gold.
+// is_hidden - секретное: пока игрок его не получил, название и описание не показываются
+module.exports = {
+    async up(client) {
+        await client.query('ALTER TABLE achievements ADD COLUMN points INTEGER NOT NULL DEFAULT 10');
+        await client.query("ALTER TABLE achievements ADD COLUMN tier VARCHAR(10) NOT NULL DEFAULT 'bronze'");
+        await client.query('ALTER TABLE achievements ADD COLUMN is_hidden BOOLEAN DEFAULT false');
+    }
+};
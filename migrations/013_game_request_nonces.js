@@ -0,0 +1,16 @@
+// Защита API игр от повтора запросов.
+// Каждый подписанный запрос игры несёт свой X-Nonce; сервер помнит его, пока запрос не устарел
+// по X-Timestamp, и отклоняет второй запрос с тем же nonce (см. gameApi.js)
+module.exports = {
+    async up(client) {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS game_request_nonces (
+                api_key_id INTEGER NOT NULL REFERENCES game_api_keys(id) ON DELETE CASCADE,
+                nonce VARCHAR(64) NOT NULL,
+                expires_at TIMESTAMP NOT NULL,
+                PRIMARY KEY (api_key_id, nonce)
+            )
+        `);
+        await client.query('CREATE INDEX IF NOT EXISTS idx_game_request_nonces_expires ON game_request_nonces (expires_at)');
+    }
+};
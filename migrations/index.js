@@ -0,0 +1,61 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../logger.js');
+
+// Файлы миграций: NNN_description.js, применяются по возрастанию номера
+const MIGRATION_FILE = /^(\d+)_[\w-]+\.js$/;
+
+function loadMigrations() {
+    return fs.readdirSync(__dirname)
+        .filter(file => MIGRATION_FILE.test(file))
+        .sort()
+        .map(file => ({
+            version: file.match(MIGRATION_FILE)[1],
+            name: file.replace(/\.js$/, ''),
+            ...require(path.join(__dirname, file))
+        }));
+}
+
+// Применяет все ещё не применённые миграции, каждую в своей транзакции.
+// Возвращает список имён применённых миграций.
+async function runMigrations(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version VARCHAR(20) PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    const result = await client.query('SELECT version FROM schema_migrations');
+    const applied = new Set(result.rows.map(row => row.version));
+    const pending = loadMigrations().filter(migration => !applied.has(migration.version));
+
+    for (const migration of pending) {
+        logger.info('Applying migration', { migration: migration.name });
+
+        try {
+            await client.query('BEGIN');
+            await migration.up(client);
+            await client.query(
+                'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+                [migration.version, migration.name]
+            );
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            logger.error('Migration failed', { migration: migration.name, error: error });
+            throw error;
+        }
+
+        logger.info('Migration applied', { migration: migration.name });
+    }
+
+    if (pending.length === 0) {
+        logger.info('Database schema is up to date');
+    }
+
+    return pending.map(migration => migration.name);
+}
+
+module.exports = { loadMigrations, runMigrations };
@@ -0,0 +1,106 @@
+// Карточки достижений: личный профиль (/profile) и публичная страница (/u/:username)
+
+// Иконки для разных категорий
+const ACHIEVEMENT_ICONS = {
+    'news': '📰',
+    'games': '🎮',
+    'about': '👥',
+    'main': '🏠',
+    'contact': '📧'
+};
+
+// Уровни достижений
+const TIER_ICONS = {
+    'bronze': '🥉',
+    'silver': '🥈',
+    'gold': '🥇'
+};
+
+// Категории задаёт админка; для незнакомых перевода нет - показываем как есть
+function categoryLabel(category) {
+    if (!category) return t('categories.other');
+    const key = `categories.${category}`;
+    const label = t(key);
+    return label === key ? category : label;
+}
+
+function createAchievementElement(tag, className, text) {
+    const element = document.createElement(tag);
+    element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+}
+
+// Карточки группируются по категориям в порядке первого появления
+function groupByCategory(achievements) {
+    const groups = new Map();
+    achievements.forEach(achievement => {
+        const category = achievement.category || null;
+        if (!groups.has(category)) groups.set(category, []);
+        groups.get(category).push(achievement);
+    });
+    return groups;
+}
+
+function displayAchievements(achievements, grid = document.getElementById('achievementsGrid')) {
+    grid.innerHTML = '';
+    
+    groupByCategory(achievements).forEach((items, category) => {
+        grid.appendChild(createAchievementElement('h3', 'achievement-group-title', categoryLabel(category)));
+        items.forEach(achievement => grid.appendChild(createAchievementCard(achievement)));
+    });
+}
+
+function createAchievementCard(achievement) {
+    const tier = achievement.tier || 'bronze';
+    const card = createAchievementElement('div', `achievement-card tier-${tier}`);
+    const iconClass = achievement.unlocked ? 'unlocked' : 'locked';
+    // Секретное достижение сервер присылает без названия и описания
+    const secret = achievement.is_hidden && !achievement.unlocked;
+    const icon = secret ? '❓' : (ACHIEVEMENT_ICONS[achievement.category] || '🏆');
+    
+    const content = createAchievementElement('div', 'achievement-content');
+    content.appendChild(createAchievementElement('h3', 'achievement-name', achievement.name));
+    content.appendChild(createAchievementElement('p', 'achievement-description', achievement.description));
+    
+    const meta = createAchievementElement('div', 'achievement-meta');
+    meta.appendChild(createAchievementElement('span', `achievement-tier tier-${tier}`, `${TIER_ICONS[tier] || ''} ${t(`achievements.tiers.${tier}`)}`));
+    if (achievement.points !== undefined) {
+        meta.appendChild(createAchievementElement('span', 'achievement-points', t('achievements.points', { points: achievement.points })));
+    }
+    content.appendChild(meta);
+    
+    // Сколько игроков получили достижение; редкие отмечаем бейджем
+    if (achievement.unlock_percentage !== undefined) {
+        const rarity = createAchievementElement('span', 'achievement-rarity', t('achievements.players', { percent: achievement.unlock_percentage }));
+        if (achievement.rare) {
+            rarity.prepend(createAchievementElement('span', 'achievement-rare-badge', t('achievements.rare')));
+        }
+        content.appendChild(rarity);
+    }
+    
+    // Многошаговое достижение, которое ещё не получено: полоса прогресса
+    if (!achievement.unlocked && achievement.progress) {
+        const { current, target } = achievement.progress;
+        const progress = createAchievementElement('div', 'achievement-progress');
+        const bar = createAchievementElement('div', 'achievement-progress-bar');
+        const fill = createAchievementElement('div', 'achievement-progress-fill');
+        fill.style.width = `${Math.round(current / target * 100)}%`;
+        bar.appendChild(fill);
+        progress.appendChild(bar);
+        progress.appendChild(createAchievementElement('span', 'achievement-progress-text', t('achievements.progress', { current, target })));
+        content.appendChild(progress);
+    }
+    
+    // Дата получения, если сервер её прислал
+    if (achievement.unlocked && achievement.unlocked_at) {
+        const date = new Date(achievement.unlocked_at).toLocaleDateString(LOCALE, {
+            day: 'numeric', month: 'short', year: 'numeric'
+        });
+        content.appendChild(createAchievementElement('span', 'achievement-date', t('achievements.unlockedAt', { date })));
+    }
+    
+    card.appendChild(createAchievementElement('div', `achievement-icon ${iconClass}`, icon));
+    card.appendChild(content);
+    return card;
+}
@@ -0,0 +1,61 @@
+// Общий клиент API для всех страниц.
+// Запросы, которые что-то меняют (POST/PUT/DELETE), сервер принимает только
+// с заголовком X-CSRF-Token. Токен привязан к сессии и запрашивается один раз на страницу.
+
+let csrfTokenRequest = null;
+
+function getCsrfToken() {
+    if (!csrfTokenRequest) {
+        csrfTokenRequest = fetch('/api/csrf-token', { credentials: 'include' })
+            .then(response => response.json())
+            .then(data => data.token)
+            .catch(error => {
+                csrfTokenRequest = null;
+                throw error;
+            });
+    }
+    return csrfTokenRequest;
+}
+
+// Вход и регистрация начинают новую сессию со своим токеном
+function resetCsrfToken() {
+    csrfTokenRequest = null;
+}
+
+// fetch с CSRF-токеном: те же аргументы, что и у обычного fetch (нужен для загрузки файлов)
+async function csrfFetch(url, options = {}) {
+    const token = await getCsrfToken();
+
+    return fetch(url, {
+        credentials: 'include',
+        ...options,
+        headers: {
+            ...options.headers,
+            'X-CSRF-Token': token
+        }
+    });
+}
+
+// JSON-запрос к API; возвращает ответ сервера как есть ({ success, error, ... })
+async function apiRequest(method, url, body) {
+    const options = {
+        method: method,
+        credentials: 'include',
+        headers: { 'Accept': 'application/json' }
+    };
+
+    if (body !== undefined) {
+        options.headers['Content-Type'] = 'application/json';
+        options.body = JSON.stringify(body);
+    }
+
+    const response = method === 'GET' ? await fetch(url, options) : await csrfFetch(url, options);
+    return response.json();
+}
+
+const api = {
+    get: url => apiRequest('GET', url),
+    post: (url, body) => apiRequest('POST', url, body),
+    put: (url, body) => apiRequest('PUT', url, body),
+    delete: (url, body) => apiRequest('DELETE', url, body)
+};
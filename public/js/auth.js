@@ -0,0 +1,340 @@
+// Шапка и окно входа/регистрации, общие для всех страниц.
+// Разметка приходит из серверных шаблонов (views/partials/header.html и auth-modal.html).
+
+let currentUserRequest = null;
+
+// Текущий пользователь или null для гостя; запрос к /api/me один на страницу
+function getCurrentUser() {
+    if (!currentUserRequest) {
+        currentUserRequest = api.get('/api/me')
+            .then(data => (data.authenticated ? data.user : null))
+            .catch(error => {
+                console.error('Auth check failed:', error);
+                return null;
+            });
+    }
+    return currentUserRequest;
+}
+
+// Аватар пользователя в element: загруженная картинка нужного размера
+// (small, medium или large) или, если её нет, первая буква имени
+function fillAvatar(element, user, size = 'small') {
+    element.textContent = '';
+
+    if (user.avatar) {
+        const image = document.createElement('img');
+        image.src = user.avatar[size];
+        image.alt = user.username;
+        element.appendChild(image);
+    } else {
+        element.textContent = user.username.charAt(0).toUpperCase();
+    }
+}
+
+// Маленький круглый аватар для списков (рейтинг, отзывы)
+function createAvatar(user) {
+    const element = document.createElement('span');
+    element.className = 'user-avatar';
+    fillAvatar(element, user);
+    return element;
+}
+
+// Кнопка "Sign in" для гостя или аватар с именем для пользователя
+async function checkAuth() {
+    const user = await getCurrentUser();
+
+    const authButton = document.getElementById('authButton');
+    const profileButton = document.getElementById('profileButton');
+
+    if (user) {
+        authButton.style.display = 'none';
+        profileButton.style.display = 'flex';
+        fillAvatar(document.getElementById('profileAvatar'), user);
+        document.getElementById('profileName').textContent = user.username;
+    } else {
+        authButton.style.display = 'block';
+        profileButton.style.display = 'none';
+    }
+
+    return user;
+}
+
+class AuthModal {
+    constructor(modal) {
+        this.modal = modal;
+        this.tabs = modal.querySelectorAll('.auth-tab');
+        this.forms = modal.querySelectorAll('.auth-form');
+        this.closeBtn = modal.querySelector('#closeAuthModal');
+        this.switchLinks = modal.querySelectorAll('.switch-link');
+
+        this.init();
+    }
+
+    init() {
+        // Обработчики вкладок
+        this.tabs.forEach(tab => {
+            tab.addEventListener('click', () => this.switchTab(tab.dataset.tab));
+        });
+
+        // Обработчики переключения форм
+        this.switchLinks.forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.switchTab(link.dataset.switch);
+            });
+        });
+
+        // Закрытие модального окна
+        this.closeBtn.addEventListener('click', () => this.hide());
+
+        // Закрытие по клику на фон
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) {
+                this.hide();
+            }
+        });
+
+        document.getElementById('loginBtn').addEventListener('click', () => this.handleLogin());
+        document.getElementById('registerBtn').addEventListener('click', () => this.handleRegister());
+
+        // Enter key submission
+        ['loginUsername', 'loginPassword', 'registerUsername', 'registerPassword', 'registerConfirmPassword'].forEach(id => {
+            document.getElementById(id).addEventListener('keypress', (e) => {
+                if (e.key !== 'Enter') return;
+
+                if (id.startsWith('login')) {
+                    this.handleLogin();
+                } else {
+                    this.handleRegister();
+                }
+            });
+        });
+    }
+
+    switchTab(tabName) {
+        this.tabs.forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.tab === tabName);
+        });
+
+        this.forms.forEach(form => {
+            form.classList.toggle('active', form.id === `${tabName}Form`);
+        });
+
+        this.clearMessages();
+        this.clearErrors();
+    }
+
+    async handleLogin() {
+        const username = document.getElementById('loginUsername').value.trim();
+        const password = document.getElementById('loginPassword').value.trim();
+        const remember = document.getElementById('loginRemember').checked;
+
+        this.clearErrors();
+        this.clearMessages();
+
+        let isValid = true;
+
+        if (!username) {
+            this.showError('loginUsernameError', t('auth.usernameRequired'));
+            isValid = false;
+        }
+
+        if (!password) {
+            this.showError('loginPasswordError', t('auth.passwordRequired'));
+            isValid = false;
+        }
+
+        if (!isValid) return;
+
+        const loginBtn = document.getElementById('loginBtn');
+        const originalText = loginBtn.textContent;
+        loginBtn.disabled = true;
+        loginBtn.textContent = t('auth.loggingIn');
+
+        try {
+            const data = await api.post('/api/login', { username, password, remember });
+
+            if (data.success) {
+                resetCsrfToken();
+                this.showMessage('loginMessage', t('auth.loginSuccess'), 'success');
+                this.reloadAfterAuth();
+            } else {
+                this.showMessage('loginMessage', data.error || t('auth.loginFailed'), 'error');
+            }
+        } catch (error) {
+            console.error('Network error:', error);
+            this.showMessage('loginMessage', t('common.networkError'), 'error');
+        } finally {
+            loginBtn.disabled = false;
+            loginBtn.textContent = originalText;
+        }
+    }
+
+    async handleRegister() {
+        const username = document.getElementById('registerUsername').value.trim();
+        const email = document.getElementById('registerEmail').value.trim();
+        const password = document.getElementById('registerPassword').value.trim();
+        const confirmPassword = document.getElementById('registerConfirmPassword').value.trim();
+
+        this.clearErrors();
+        this.clearMessages();
+
+        let isValid = true;
+
+        if (!username) {
+            this.showError('registerUsernameError', t('auth.usernameRequired'));
+            isValid = false;
+        } else if (username.length < 3) {
+            this.showError('registerUsernameError', t('auth.usernameTooShort'));
+            isValid = false;
+        }
+
+        if (email && !this.validateEmail(email)) {
+            this.showError('registerEmailError', t('auth.invalidEmail'));
+            isValid = false;
+        }
+
+        if (!password) {
+            this.showError('registerPasswordError', t('auth.passwordRequired'));
+            isValid = false;
+        } else if (password.length < 6) {
+            this.showError('registerPasswordError', t('auth.passwordTooShort'));
+            isValid = false;
+        }
+
+        if (!confirmPassword) {
+            this.showError('registerConfirmPasswordError', t('auth.confirmPassword'));
+            isValid = false;
+        } else if (password !== confirmPassword) {
+            this.showError('registerConfirmPasswordError', t('auth.passwordsMismatch'));
+            isValid = false;
+        }
+
+        if (!isValid) return;
+
+        const registerBtn = document.getElementById('registerBtn');
+        const originalText = registerBtn.textContent;
+        registerBtn.disabled = true;
+        registerBtn.textContent = t('auth.creatingAccount');
+
+        try {
+            const data = await api.post('/api/register', {
+                username,
+                password,
+                email: email || null
+            });
+
+            if (data.success) {
+                resetCsrfToken();
+                this.showMessage('registerMessage', t('auth.registerSuccess'), 'success');
+                this.reloadAfterAuth();
+            } else {
+                this.showMessage('registerMessage', data.error || t('auth.registerFailed'), 'error');
+
+                // Подсвечиваем поле, к которому относится ошибка сервера (текст уже переведён)
+                const fieldErrors = {
+                    username: 'registerUsernameError',
+                    email: 'registerEmailError',
+                    password: 'registerPasswordError'
+                };
+                if (fieldErrors[data.field]) {
+                    this.showError(fieldErrors[data.field], data.error);
+                }
+            }
+        } catch (error) {
+            console.error('Registration error:', error);
+            this.showMessage('registerMessage', t('common.networkError'), 'error');
+        } finally {
+            registerBtn.disabled = false;
+            registerBtn.textContent = originalText;
+        }
+    }
+
+    // После входа страница перезагружается: шапка, поток достижений и события страницы
+    // (например, посещение "About us") подхватят новую сессию
+    reloadAfterAuth() {
+        setTimeout(() => {
+            this.hide();
+            window.location.reload();
+        }, 1000);
+    }
+
+    validateEmail(email) {
+        const re = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+        return re.test(email);
+    }
+
+    showError(elementId, message) {
+        const element = document.getElementById(elementId);
+        element.textContent = message;
+        element.classList.add('active');
+
+        // Подсвечиваем поле ввода
+        const input = document.getElementById(elementId.replace('Error', ''));
+        if (input) input.classList.add('error');
+    }
+
+    clearErrors() {
+        this.modal.querySelectorAll('.form-error').forEach(error => {
+            error.textContent = '';
+            error.classList.remove('active');
+        });
+        this.modal.querySelectorAll('.form-input.error').forEach(input => {
+            input.classList.remove('error');
+        });
+    }
+
+    showMessage(elementId, message, type) {
+        const element = document.getElementById(elementId);
+        element.textContent = message;
+        element.className = `auth-message ${type}`;
+    }
+
+    clearMessages() {
+        this.modal.querySelectorAll('.auth-message').forEach(message => {
+            message.className = 'auth-message';
+            message.textContent = '';
+        });
+    }
+
+    show() {
+        this.modal.classList.add('active');
+        document.body.style.overflow = 'hidden';
+
+        // Сбрасываем инпуты
+        this.modal.querySelectorAll('.form-input').forEach(input => {
+            input.value = '';
+        });
+
+        this.switchTab('login');
+
+        setTimeout(() => document.getElementById('loginUsername').focus(), 100);
+    }
+
+    hide() {
+        this.modal.classList.remove('active');
+        document.body.style.overflow = 'auto';
+    }
+}
+
+// Глобальная функция для вызова из HTML
+window.showAuthModal = function() {
+    if (window.authModal) {
+        window.authModal.show();
+    }
+    return false;
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+    const modal = document.getElementById('authModal');
+    if (modal) {
+        window.authModal = new AuthModal(modal);
+    }
+
+    document.getElementById('signInBtn').addEventListener('click', (e) => {
+        e.preventDefault();
+        window.showAuthModal();
+    });
+
+    checkAuth();
+});
@@ -0,0 +1,37 @@
+// Переводы для скриптов страниц.
+// Раньше этого файла подключается /i18n/<locale>.js: он задаёт I18N = { locale, messages }
+// с разделом client каталога locales/<locale>.json.
+
+const LOCALE = (window.I18N && window.I18N.locale) || 'en';
+
+// t('auth.loginFailed') или t('achievements.players', { percent: 10 })
+function t(key, params = {}) {
+    const messages = (window.I18N && window.I18N.messages) || {};
+    const value = key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), messages);
+    if (typeof value !== 'string') return key;
+
+    return value.replace(/\{(\w+)\}/g, (match, name) => (params[name] == null ? match : String(params[name])));
+}
+
+// Выбор языка сохраняется в cookie, а у вошедшего пользователя - ещё и в профиле
+async function setLocale(locale) {
+    try {
+        const data = await api.put('/api/locale', { locale });
+        if (data.success) {
+            window.location.reload();
+        }
+    } catch (error) {
+        console.error('Locale change error:', error);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.querySelectorAll('.lang-option').forEach(link => {
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            if (!link.classList.contains('active')) {
+                setLocale(link.dataset.locale);
+            }
+        });
+    });
+});
@@ -0,0 +1,71 @@
+// Всплывающие уведомления о новых достижениях.
+// Слушает поток GET /api/events: разблокировка в любой вкладке сразу показывается здесь.
+// Иконки берутся из /js/achievements.js (ACHIEVEMENT_ICONS), он подключается раньше.
+
+const TOAST_DURATION = 5000;
+
+function getToastContainer() {
+    let container = document.getElementById('achievementToasts');
+    if (!container) {
+        container = document.createElement('div');
+        container.id = 'achievementToasts';
+        container.className = 'achievement-toasts';
+        document.body.appendChild(container);
+    }
+    return container;
+}
+
+// hint - строка под описанием (гостю: войдите, чтобы сохранить достижение)
+function showAchievementToast(achievement, hint) {
+    const toast = document.createElement('div');
+    toast.className = 'achievement-toast';
+
+    const icon = document.createElement('div');
+    icon.className = 'achievement-icon unlocked';
+    icon.textContent = ACHIEVEMENT_ICONS[achievement.category] || '🏆';
+
+    const content = document.createElement('div');
+    content.className = 'achievement-toast-content';
+
+    const label = document.createElement('span');
+    label.className = 'achievement-toast-label';
+    label.textContent = t('achievements.unlocked');
+
+    const name = document.createElement('h3');
+    name.className = 'achievement-name';
+    name.textContent = achievement.name;
+
+    const description = document.createElement('p');
+    description.className = 'achievement-description';
+    description.textContent = achievement.description;
+
+    content.append(label, name, description);
+    if (hint) {
+        const note = document.createElement('span');
+        note.className = 'achievement-toast-label';
+        note.textContent = hint;
+        content.appendChild(note);
+    }
+    toast.append(icon, content);
+    getToastContainer().appendChild(toast);
+
+    // Скрываем по таймеру или по клику
+    const hide = () => {
+        toast.classList.add('hiding');
+        setTimeout(() => toast.remove(), 300);
+    };
+    toast.addEventListener('click', hide);
+    setTimeout(hide, TOAST_DURATION);
+}
+
+// Гостю сервер отвечает 401, и EventSource сам закрывает соединение без переподключения
+function connectAchievementStream() {
+    if (!window.EventSource) return;
+
+    const source = new EventSource('/api/events', { withCredentials: true });
+    source.addEventListener('achievement', (event) => {
+        showAchievementToast(JSON.parse(event.data));
+    });
+}
+
+document.addEventListener('DOMContentLoaded', connectAchievementStream);
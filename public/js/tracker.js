@@ -0,0 +1,31 @@
+// Трекер событий для достижений: страница сообщает серверу, что сделал игрок,
+// а какие достижения разблокировать, решают правила на сервере.
+// Новые достижения показывает toast.js через поток /api/events. У гостя потока нет:
+// сервер копит его события в сессии и переносит в аккаунт при входе, а уведомление
+// показываем прямо по ответу.
+
+async function trackEvent(type, target) {
+    try {
+        const data = await api.post('/api/events', { type, target });
+        if (data.success && data.guest) {
+            data.unlocked.forEach(a => showAchievementToast(a, t('achievements.guestHint')));
+        }
+        return data;
+    } catch (error) {
+        console.error('Event tracking error:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// "Letter to Developer" и "YouTube Subscriber": ссылки на почту и каналы разработчиков
+function trackContactLinks() {
+    document.querySelectorAll('a[href*="mail.google.com"]').forEach(link => {
+        link.addEventListener('click', () => trackEvent('contact_click', 'mail'));
+    });
+
+    document.querySelectorAll('a[href*="youtube.com"]').forEach(link => {
+        link.addEventListener('click', () => trackEvent('contact_click', 'youtube'));
+    });
+}
+
+document.addEventListener('DOMContentLoaded', trackContactLinks);
@@ -0,0 +1,59 @@
+// Ограничение числа попыток (вход, регистрация, письма) с временной блокировкой.
+// Счётчики живут в памяти процесса, как и подписки в achievementStream.js:
+// рассчитано на один инстанс сервера.
+
+class RateLimiter {
+    // limit попыток за windowMs, после чего ключ блокируется на lockoutMs
+    constructor({ limit, windowMs, lockoutMs = windowMs }) {
+        this.limit = limit;
+        this.windowMs = windowMs;
+        this.lockoutMs = lockoutMs;
+        this.entries = new Map(); // key -> { count, windowStart, lockedUntil }
+        this.lastPrune = 0;
+    }
+
+    // Сколько миллисекунд ключ ещё заблокирован (0 - можно пробовать)
+    retryAfter(key) {
+        const entry = this.entries.get(key);
+        if (!entry || !entry.lockedUntil) return 0;
+
+        return Math.max(0, entry.lockedUntil - Date.now());
+    }
+
+    // Учитывает попытку; возвращает true, если ключ после неё заблокирован
+    hit(key) {
+        const now = Date.now();
+        this.prune(now);
+
+        let entry = this.entries.get(key);
+        if (!entry || now - entry.windowStart >= this.windowMs) {
+            entry = { count: 0, windowStart: now, lockedUntil: 0 };
+            this.entries.set(key, entry);
+        }
+
+        entry.count++;
+        if (entry.count >= this.limit) {
+            entry.lockedUntil = now + this.lockoutMs;
+        }
+
+        return entry.lockedUntil > now;
+    }
+
+    reset(key) {
+        this.entries.delete(key);
+    }
+
+    // Раз в окно убираем ключи с истёкшим окном и блокировкой, чтобы карта не росла бесконечно
+    prune(now = Date.now()) {
+        if (now - this.lastPrune < this.windowMs) return;
+        this.lastPrune = now;
+
+        for (const [key, entry] of this.entries) {
+            if (now - entry.windowStart >= this.windowMs && entry.lockedUntil <= now) {
+                this.entries.delete(key);
+            }
+        }
+    }
+}
+
+module.exports = { RateLimiter };
@@ -0,0 +1,94 @@
+// Хранение файлов релизов игр на диске.
+// Файл лежит в <releasesDir>/<game_id>/<version>/<file_name>: id игры не меняется
+// при переименовании slug, а версия уникальна в пределах игры.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const VERSION_REGEX = /^[0-9A-Za-z][0-9A-Za-z._-]{0,49}$/;
+
+// Имя файла из заголовка/запроса: без путей и служебных символов
+function sanitizeFileName(fileName) {
+    const base = path.basename(String(fileName || '')).replace(/[^0-9A-Za-z._-]/g, '_');
+    return base.replace(/^\.+/, '').slice(0, 255);
+}
+
+function releasePath(releasesDir, release) {
+    return path.join(releasesDir, String(release.game_id), release.version, release.file_name);
+}
+
+// Пишет тело запроса во временный файл, по пути считая размер и SHA-256.
+// Файл переезжает на место только после успешной загрузки.
+function saveUpload(stream, releasesDir, release, maxSize) {
+    const target = releasePath(releasesDir, release);
+    const temp = `${target}.${crypto.randomBytes(6).toString('hex')}.upload`;
+
+    return new Promise((resolve, reject) => {
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+
+        const hash = crypto.createHash('sha256');
+        const output = fs.createWriteStream(temp);
+        let size = 0;
+        let failed = false;
+
+        const fail = (error) => {
+            if (failed) return;
+            failed = true;
+            stream.unpipe(output);
+            output.destroy();
+            fs.rm(temp, { force: true }, () => reject(error));
+        };
+
+        stream.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > maxSize) {
+                const error = new Error('File is too large');
+                error.code = 'RELEASE_TOO_LARGE';
+                fail(error);
+                return;
+            }
+            hash.update(chunk);
+        });
+
+        stream.on('error', fail);
+        stream.on('close', () => {
+            if (!stream.complete) fail(new Error('Upload aborted'));
+        });
+        output.on('error', fail);
+
+        output.on('finish', () => {
+            if (failed) return;
+
+            if (size === 0) {
+                const error = new Error('File is empty');
+                error.code = 'RELEASE_EMPTY';
+                fs.rm(temp, { force: true }, () => reject(error));
+                return;
+            }
+
+            fs.rename(temp, target, (error) => {
+                if (error) return fail(error);
+                resolve({ file_size: size, sha256: hash.digest('hex') });
+            });
+        });
+
+        stream.pipe(output);
+    });
+}
+
+async function removeRelease(releasesDir, release) {
+    await fs.promises.rm(path.dirname(releasePath(releasesDir, release)), { recursive: true, force: true });
+}
+
+async function removeGameReleases(releasesDir, gameId) {
+    await fs.promises.rm(path.join(releasesDir, String(gameId)), { recursive: true, force: true });
+}
+
+module.exports = {
+    VERSION_REGEX,
+    sanitizeFileName,
+    releasePath,
+    saveUpload,
+    removeRelease,
+    removeGameReleases
+};
@@ -3,531 +3,3790 @@ const session = require('express-session');
 const cookieParser = require('cookie-parser');
 const path = require('path');
 const fs = require('fs');
-const db = require('./db.js');
+const crypto = require('crypto');
+const Database = require('./db.js');
+const achievementRules = require('./achievementRules.js');
+const { AchievementStream } = require('./achievementStream.js');
+const releases = require('./releases.js');
+const avatars = require('./avatars.js');
+const gameApi = require('./gameApi.js');
+const { createMailer } = require('./mailer.js');
+const { RateLimiter } = require('./rateLimiter.js');
+const { DbSessionStore } = require('./sessionStore.js');
+const { renderPage } = require('./layout.js');
+const i18n = require('./i18n.js');
+const { logger: defaultLogger } = require('./logger.js');
+const { Registry } = require('./metrics.js');
 
-const app = express();
 const PORT = process.env.PORT || 3000;
+const NEWS_PAGE_SIZE = 6;
+const REVIEWS_PAGE_SIZE = 10;
+const ADMIN_REVIEWS_PAGE_SIZE = 50;
+const REVIEW_MAX_LENGTH = 2000;
+const SLUG_REGEX = /^[a-z0-9-]+$/;
+const LEADERBOARD_SIZE = 50;
+const RARE_ACHIEVEMENT_PERCENT = 10; // "Редкое" - есть не больше чем у 10% игроков
+const ACHIEVEMENT_TIERS = ['bronze', 'silver', 'gold'];
+const DEFAULT_ACHIEVEMENT_POINTS = 10;
+const MAX_ACHIEVEMENT_POINTS = 1000;
+const GUEST_EVENTS_LIMIT = 200; // Событий гостя в одной сессии; дальше не записываем
+const META_DESCRIPTION_LENGTH = 200; // Описание страницы для поисковиков и превью ссылок
+const OG_LOCALES = { en: 'en_US', ru: 'ru_RU' };
+// Страницы сайта в sitemap.xml, кроме игр и новостей
+const SITEMAP_PAGES = ['/', '/games', '/about', '/leaderboard'];
+// Страницы, которые поисковикам не нужны (robots.txt)
+const ROBOTS_DISALLOW = ['/api/', '/admin', '/profile', '/link', '/downloads/', '/verify-email', '/reset-password', '/forgot-password'];
+const EMAIL_TOKEN_TTL = 48 * 60 * 60 * 1000; // Ссылка подтверждения email живёт 48 часов
+const RESET_TOKEN_TTL = 60 * 60 * 1000; // Ссылка сброса пароля - 1 час
+const SESSION_MAX_AGE = 24 * 60 * 60 * 1000; // Обычный вход - сутки
+const REMEMBER_ME_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // "Remember me" - 30 дней
+const LOCALE_COOKIE_MAX_AGE = 365 * 24 * 60 * 60 * 1000; // Выбор языка гостем - год
+const CSRF_SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const REQUEST_ID_REGEX = /^[\w.-]{1,64}$/; // X-Request-Id от прокси принимаем, только если он похож на ID
+const HTTP_DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]; // секунды
 
-// Middleware
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-app.use(cookieParser());
-
-// Настройка сессий для Render
-const sessionConfig = {
-    secret: process.env.SESSION_SECRET || 'xtteam-secret-key-2025',
-    resave: false,
-    saveUninitialized: false,
-    cookie: {
-        secure: process.env.NODE_ENV === 'production',
-        httpOnly: true,
-        maxAge: 24 * 60 * 60 * 1000,
-        sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax'
+// Ограничения частоты попыток; в тестах переопределяются через createApp(db, { rateLimits })
+const RATE_LIMITS = {
+    loginIp: { limit: 20, windowMs: 15 * 60 * 1000 }, // Неудачные входы с одного IP
+    loginUser: { limit: 5, windowMs: 15 * 60 * 1000 }, // Неудачные входы в один аккаунт
+    register: { limit: 10, windowMs: 60 * 60 * 1000 }, // Регистрации с одного IP
+    mail: { limit: 5, windowMs: 60 * 60 * 1000 }, // Письма (сброс пароля, повторное подтверждение) с одного IP
+    deviceLink: { limit: 10, windowMs: 15 * 60 * 1000 }, // Неверные коды привязки игры от одного пользователя
+    events: { limit: 120, windowMs: 60 * 1000 } // События для достижений от одного пользователя (гостя - по IP)
+};
+const RELEASE_MAX_SIZE = parseInt(process.env.RELEASE_MAX_SIZE) || 2 * 1024 * 1024 * 1024; // 2 ГБ
+const AVATAR_MAX_SIZE = parseInt(process.env.AVATAR_MAX_SIZE) || 2 * 1024 * 1024; // 2 МБ
+
+// Определяем пути
+const rootDir = __dirname; // Папка где server.js
+const publicDir = path.join(rootDir, 'public'); // Статика: стили, скрипты, картинки
+const viewsDir = path.join(rootDir, 'views'); // Шаблоны страниц (не раздаются статикой)
+const releasesDir = process.env.RELEASES_DIR || path.join(rootDir, 'releases'); // Файлы релизов игр
+const avatarsDir = process.env.AVATARS_DIR || path.join(rootDir, 'avatars'); // Миниатюры аватаров
+
+// Добавляет к достижениям долю получивших их игроков и флаг редкости
+function withRarity(achievements, rarity) {
+    return achievements.map(achievement => {
+        const stats = rarity.get(achievement.id) || { unlock_count: 0, unlock_percentage: 0 };
+        return {
+            ...achievement,
+            ...stats,
+            rare: stats.unlock_percentage <= RARE_ACHIEVEMENT_PERCENT
+        };
+    });
+}
+
+// Прогресс многошаговых достижений: { current, target } вместо накопленного числа шагов;
+// null - достижение получают за один шаг
+function withProgress(achievements, context) {
+    return achievements.map(({ progress, ...achievement }) => {
+        const target = achievementRules.progressTarget(achievement, context);
+        return {
+            ...achievement,
+            progress: target
+                ? { current: achievement.unlocked ? target : Math.min(progress || 0, target), target: target }
+                : null
+        };
+    });
+}
+
+// Поля, у которых в translations может быть перевод
+const TRANSLATABLE_FIELDS = {
+    achievement: ['name', 'description'],
+    game: ['title', 'genre', 'description'],
+    contentBlock: ['title', 'text', 'alt'],
+    news: ['title', 'excerpt', 'body']
+};
+
+function localizeAchievement(achievement, locale) {
+    return i18n.localize(achievement, locale, TRANSLATABLE_FIELDS.achievement);
+}
+
+// Секретное достижение до получения: видно только, что оно есть, его уровень и очки
+function presentAchievement(achievement, locale) {
+    if (!achievement.is_hidden || achievement.unlocked) {
+        return localizeAchievement(achievement, locale);
+    }
+
+    return {
+        ...achievement,
+        slug: null,
+        name: i18n.translate(locale, 'achievements.hidden.name'),
+        description: i18n.translate(locale, 'achievements.hidden.description'),
+        icon_path: null,
+        rule: null,
+        translations: null,
+        progress: null
+    };
+}
+
+// Очки игрока и сколько достижений каждого уровня получено из скольких
+function achievementScore(achievements) {
+    const score = { points: 0, total_points: 0, tiers: {} };
+    ACHIEVEMENT_TIERS.forEach(tier => {
+        score.tiers[tier] = { unlocked: 0, total: 0 };
+    });
+
+    for (const achievement of achievements) {
+        const tier = score.tiers[achievement.tier];
+
+        score.total_points += achievement.points;
+        if (tier) tier.total++;
+
+        if (achievement.unlocked) {
+            score.points += achievement.points;
+            if (tier) tier.unlocked++;
+        }
+    }
+
+    return score;
+}
+
+// Блок row содержит два вложенных блока, у каждого свои переводы
+function localizeContentBlock(block, locale) {
+    const localized = i18n.localize(block, locale, TRANSLATABLE_FIELDS.contentBlock);
+    if (block.type !== 'row') return localized;
+
+    return {
+        ...localized,
+        left: block.left && localizeContentBlock(block.left, locale),
+        right: block.right && localizeContentBlock(block.right, locale)
+    };
+}
+
+function localizeGame(game, locale) {
+    const localized = i18n.localize(game, locale, TRANSLATABLE_FIELDS.game);
+    if (!game.content) return localized;
+
+    return { ...localized, content: game.content.map(block => localizeContentBlock(block, locale)) };
+}
+
+function localizeNews(article, locale) {
+    return i18n.localize(article, locale, TRANSLATABLE_FIELDS.news);
+}
+
+// В письмо уходит случайный токен, в БД хранится только его SHA-256:
+// утечка таблицы user_tokens не даёт готовых ссылок
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+async function issueUserToken(db, userId, type, ttl) {
+    const token = crypto.randomBytes(32).toString('hex');
+    await db.createUserToken(userId, type, hashToken(token), new Date(Date.now() + ttl));
+    return token;
+}
+
+function publicUrl(req) {
+    return (process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+}
+
+// Картинки игр хранятся путём от корня сайта, а превью ссылок нужен полный адрес
+function absoluteUrl(req, url) {
+    if (!url) return '';
+    return /^https?:\/\//i.test(url) ? url : `${publicUrl(req)}${encodeURI(url)}`;
+}
+
+// Описание для meta: текст в одну строку, длинный обрезается по границе слова
+function summarize(text, maxLength = META_DESCRIPTION_LENGTH) {
+    const clean = String(text || '').replace(/\s+/g, ' ').trim();
+    if (clean.length <= maxLength) return clean;
+
+    const cut = clean.slice(0, maxLength - 1);
+    const lastSpace = cut.lastIndexOf(' ');
+    return `${lastSpace > 0 ? cut.slice(0, lastSpace) : cut}…`;
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function tooManyAttempts(res, retryAfterMs) {
+    res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+    return res.status(429).json({
+        success: false,
+        error: 'Too many attempts. Please try again later'
+    });
+}
+
+// Изменяющий запрос должен нести токен своей сессии в заголовке X-CSRF-Token:
+// чужой сайт может отправить запрос с нашей cookie, но не может прочитать токен
+function requireCsrfToken(req, res, next) {
+    if (CSRF_SAFE_METHODS.includes(req.method)) return next();
+
+    const expected = Buffer.from(req.session.csrfToken || '');
+    const actual = Buffer.from(req.get('X-CSRF-Token') || '');
+
+    if (expected.length === 0 || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return res.status(403).json({
+            success: false,
+            error: 'Invalid CSRF token'
+        });
+    }
+
+    next();
+}
+
+// Ссылки на скачивание для релизов игры
+function withDownloadUrls(game) {
+    return {
+        ...game,
+        releases: game.releases.map(release => ({
+            ...release,
+            download_url: `/downloads/${encodeURIComponent(game.slug)}/${encodeURIComponent(release.version)}`
+        }))
+    };
+}
+
+// avatar_key из БД наружу не отдаём - вместо него URL миниатюр (или null)
+function withAvatar(user) {
+    const { avatar_key, ...rest } = user;
+    return {
+        ...rest,
+        avatar: avatars.avatarUrls(avatar_key)
+    };
+}
+
+// Метрики приложения для GET /metrics
+function createAppMetrics(db) {
+    const registry = new Registry();
+
+    return {
+        registry: registry,
+        httpRequests: registry.counter({
+            name: 'http_requests_total',
+            help: 'HTTP requests by method, route and status',
+            labelNames: ['method', 'route', 'status']
+        }),
+        httpDuration: registry.histogram({
+            name: 'http_request_duration_seconds',
+            help: 'HTTP request latency by method and route',
+            labelNames: ['method', 'route'],
+            buckets: HTTP_DURATION_BUCKETS
+        }),
+        registrations: registry.counter({
+            name: 'xtteam_registrations_total',
+            help: 'Registered users'
+        }),
+        unlocks: registry.counter({
+            name: 'xtteam_achievement_unlocks_total',
+            help: 'Unlocked achievements by slug',
+            labelNames: ['achievement']
+        }),
+        dbPool: registry.gauge({
+            name: 'xtteam_db_pool_connections',
+            help: 'Database pool connections by state',
+            labelNames: ['state'],
+            collect: gauge => {
+                const stats = db.getPoolStats();
+                gauge.set({ state: 'total' }, stats.total);
+                gauge.set({ state: 'idle' }, stats.idle);
+                gauge.set({ state: 'waiting' }, stats.waiting);
+            }
+        }),
+        uptime: registry.gauge({
+            name: 'process_uptime_seconds',
+            help: 'Process uptime',
+            collect: gauge => gauge.set({}, process.uptime())
+        }),
+        memory: registry.gauge({
+            name: 'process_resident_memory_bytes',
+            help: 'Resident memory size',
+            collect: gauge => gauge.set({}, process.memoryUsage().rss)
+        })
+    };
+}
+
+// Метка маршрута для метрик - шаблон пути Express (/api/games/:id), а не сам путь,
+// иначе число серий растёт с каждым новым адресом
+function routeLabel(req, res) {
+    if (req.route) {
+        const routePath = Array.isArray(req.route.path) ? req.route.path.join(',') : req.route.path;
+        return req.baseUrl + routePath;
+    }
+    return res.statusCode === 404 ? 'not_found' : 'static';
+}
+
+// Приложение создаётся с переданной БД, чтобы тесты могли подставить SQLite в памяти.
+// options.releasesDir - папка для файлов релизов (по умолчанию RELEASES_DIR),
+// options.avatarsDir - папка для миниатюр аватаров (по умолчанию AVATARS_DIR),
+// options.logger - логгер (по умолчанию из logger.js), options.metricsToken - токен для /metrics
+function createApp(db, options = {}) {
+    const app = express();
+    const logger = options.logger || defaultLogger;
+    const metrics = createAppMetrics(db);
+    const metricsToken = options.metricsToken !== undefined ? options.metricsToken : process.env.METRICS_TOKEN;
+    const gameReleasesDir = options.releasesDir || releasesDir;
+    const userAvatarsDir = options.avatarsDir || avatarsDir;
+    const achievementStream = new AchievementStream();
+    const mailer = options.mailer || createMailer();
+
+    const rateLimits = { ...RATE_LIMITS, ...options.rateLimits };
+    const loginIpLimiter = new RateLimiter(rateLimits.loginIp);
+    const loginUserLimiter = new RateLimiter(rateLimits.loginUser);
+    const registerLimiter = new RateLimiter(rateLimits.register);
+    const mailLimiter = new RateLimiter(rateLimits.mail);
+    const deviceLinkLimiter = new RateLimiter(rateLimits.deviceLink);
+    const eventLimiter = new RateLimiter(rateLimits.events);
+
+    async function sendVerificationEmail(req, userId, username, email) {
+        const token = await issueUserToken(db, userId, 'verify_email', EMAIL_TOKEN_TTL);
+        await mailer.send({
+            to: email,
+            subject: i18n.translate(req.locale, 'mail.verify.subject'),
+            text: i18n.translate(req.locale, 'mail.verify.text', {
+                username: username,
+                link: `${publicUrl(req)}/verify-email?token=${token}`
+            })
+        });
+    }
+
+    // Новые достижения уходят в поток /api/events (уведомление на открытых страницах) и в метрики
+    function publishUnlocks(req, userId, unlocked, fields) {
+        achievementStream.publish(userId, unlocked);
+
+        for (const achievement of unlocked) {
+            metrics.unlocks.inc({ achievement: achievement.slug });
+            req.log.info('Achievement unlocked', { userId: userId, achievement: achievement.slug, ...fields });
+        }
+    }
+
+    // Событие пользователя: правила на сервере решают, что разблокировать
+    async function processEvent(req, userId, type, target) {
+        const unlocked = await achievementRules.processEvent(db, userId, type, target);
+        publishUnlocks(req, userId, unlocked, { event: type });
+        return unlocked;
+    }
+
+    // События гостя хранятся в его сессии, пока он не войдёт или не зарегистрируется.
+    // Возвращает false, если лимит сессии исчерпан
+    function recordGuestEvent(req, type, target) {
+        const events = req.session.guestEvents || [];
+        if (events.length >= GUEST_EVENTS_LIMIT) return false;
+
+        req.session.guestEvents = [...events, { type: type, target: target, created_at: new Date().toISOString() }];
+        return true;
+    }
+
+    // Вход или регистрация начинают новую сессию: ID гостевой сессии мог быть подброшен
+    // заранее (session fixation) и не должен стать ID сессии аккаунта. Из гостевой сессии
+    // переносятся только события для достижений, CSRF-токен выдаётся новый
+    function startUserSession(req, user) {
+        const guestEvents = req.session.guestEvents;
+
+        return new Promise((resolve, reject) => {
+            req.session.regenerate((error) => {
+                if (error) return reject(error);
+
+                if (guestEvents) req.session.guestEvents = guestEvents;
+                req.session.csrfToken = crypto.randomBytes(32).toString('hex');
+                req.session.userId = user.id;
+                req.session.username = user.username;
+                resolve();
+            });
+        });
+    }
+
+    // Вход или регистрация: то, что гость сделал в этой сессии, переходит в аккаунт
+    async function mergeGuestEvents(req, userId) {
+        const events = req.session.guestEvents || [];
+        if (events.length === 0) return [];
+
+        delete req.session.guestEvents;
+
+        const unlocked = await achievementRules.mergeGuestEvents(db, userId, events);
+        req.log.info('Guest events merged', { userId: userId, events: events.length, unlocked: unlocked.length });
+        publishUnlocks(req, userId, unlocked, { event: 'guest' });
+        return unlocked;
+    }
+
+    // Каждому запросу - ID (из X-Request-Id прокси или новый) и логгер с этим ID;
+    // по завершении - строка лога и метрики. Статика пишется в лог только на уровне debug
+    app.use((req, res, next) => {
+        const started = process.hrtime.bigint();
+        const incomingId = req.get('X-Request-Id');
+
+        req.id = incomingId && REQUEST_ID_REGEX.test(incomingId) ? incomingId : crypto.randomUUID();
+        req.log = logger.child({ requestId: req.id });
+        res.set('X-Request-Id', req.id);
+
+        res.on('finish', () => {
+            const duration = Number(process.hrtime.bigint() - started) / 1e9;
+            const route = routeLabel(req, res);
+
+            metrics.httpRequests.inc({ method: req.method, route: route, status: res.statusCode });
+            metrics.httpDuration.observe({ method: req.method, route: route }, duration);
+
+            const level = res.statusCode >= 500 ? 'error' : route === 'static' ? 'debug' : 'info';
+            req.log[level]('Request completed', {
+                method: req.method,
+                path: req.path,
+                route: route,
+                status: res.statusCode,
+                durationMs: Math.round(duration * 1000 * 10) / 10,
+                userId: req.session ? req.session.userId : undefined
+            });
+        });
+
+        next();
+    });
+
+    // Middleware
+    // Сырое тело JSON сохраняем для проверки подписи запросов от игр
+    app.use(express.json({
+        verify: (req, res, buffer) => {
+            req.rawBody = buffer;
+        }
+    }));
+    app.use(express.urlencoded({ extended: true }));
+    app.use(cookieParser());
+
+    // Настройка сессий для Render; сессии хранятся в БД и переживают перезапуск
+    const sessionConfig = {
+        store: options.sessionStore || new DbSessionStore(db),
+        secret: process.env.SESSION_SECRET || 'xtteam-secret-key-2025',
+        resave: false,
+        saveUninitialized: false,
+        cookie: {
+            secure: process.env.NODE_ENV === 'production',
+            httpOnly: true,
+            maxAge: SESSION_MAX_AGE,
+            sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax'
+        }
+    };
+
+    // Настройка proxy для HTTPS на Render
+    if (process.env.NODE_ENV === 'production') {
+        app.set('trust proxy', 1);
+        sessionConfig.cookie.secure = true;
+        sessionConfig.cookie.sameSite = 'none';
+        sessionConfig.proxy = true;
+    }
+
+    app.use(session(sessionConfig));
+
+    // Язык запроса; сообщения об ошибках в ответах API переводятся на него
+    app.use((req, res, next) => {
+        req.locale = i18n.resolveLocale(req);
+
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            if (body && typeof body === 'object') {
+                if (typeof body.error === 'string') body = { ...body, error: i18n.translateError(req.locale, body.error) };
+                if (typeof body.message === 'string') body = { ...body, message: i18n.translateError(req.locale, body.message) };
+            }
+            return json(body);
+        };
+
+        next();
+    });
+
+    // Проверяем существование папки public
+    if (!fs.existsSync(publicDir)) {
+        logger.error('Public directory not found, creating it', { directory: publicDir });
+        fs.mkdirSync(publicDir, { recursive: true });
+    }
+
+    // Статические файлы из папки public
+    app.use(express.static(publicDir));
+
+    // Статические файлы из подпапок
+    app.use('/images', express.static(path.join(publicDir, 'images')));
+    app.use('/fonts', express.static(path.join(publicDir, 'fonts')));
+
+    // Аватары: у каждой загрузки свой ключ в имени файла, поэтому кэш не устаревает.
+    // Удалённый аватар - пустой 404, а не страница 404 сайта
+    app.use('/avatars', express.static(userAvatarsDir, { maxAge: '365d', immutable: true }));
+    app.use('/avatars', (req, res) => res.status(404).end());
+
+    // CORS для Render
+    app.use((req, res, next) => {
+        const allowedOrigins = [
+            `https://${process.env.RENDER_EXTERNAL_HOSTNAME}`,
+            'http://localhost:3000',
+            'http://localhost:' + PORT
+        ];
+
+        const origin = req.headers.origin;
+        if (allowedOrigins.includes(origin)) {
+            res.header('Access-Control-Allow-Origin', origin);
+        }
+
+        res.header('Access-Control-Allow-Credentials', 'true');
+        res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-CSRF-Token');
+        res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+        next();
+    });
+
+    // API: CSRF token of the current session (страницы берут его через /js/api.js)
+    app.get('/api/csrf-token', (req, res) => {
+        if (!req.session.csrfToken) {
+            req.session.csrfToken = crypto.randomBytes(32).toString('hex');
+        }
+
+        res.json({
+            success: true,
+            token: req.session.csrfToken
+        });
+    });
+
+    // Запрос от игры: действующий ключ этой игры и верная подпись (см. gameApi.js)
+    const requireGameSignature = async (req, res, next) => {
+        try {
+            const gameId = await db.findGameId(req.params.id);
+
+            if (!gameId) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Game not found'
+                });
+            }
+
+            const apiKey = await db.getActiveGameApiKey(String(req.get('X-Api-Key') || ''));
+
+            if (!apiKey || apiKey.game_id !== gameId) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Invalid API key'
+                });
+            }
+
+            const signed = gameApi.verifySignature(apiKey.secret, {
+                timestamp: req.get('X-Timestamp'),
+                nonce: req.get('X-Nonce'),
+                method: req.method,
+                path: req.originalUrl,
+                body: req.rawBody ? req.rawBody.toString('utf8') : '',
+                signature: req.get('X-Signature')
+            });
+
+            if (!signed) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Invalid request signature'
+                });
+            }
+
+            // Подпись верна, но такой запрос уже был: повтор перехваченного запроса.
+            // nonce хранится, пока запрос с ним ещё мог бы пройти по времени (с запасом на расхождение часов)
+            const fresh = await db.useGameRequestNonce(
+                apiKey.id,
+                req.get('X-Nonce'),
+                new Date(Date.now() + 2 * gameApi.SIGNATURE_MAX_AGE * 1000)
+            );
+
+            if (!fresh) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Request has already been used'
+                });
+            }
+
+            await db.touchGameApiKey(apiKey.id);
+
+            req.gameId = gameId;
+            req.log = req.log.child({ gameId: gameId, apiKey: apiKey.key_id });
+            next();
+
+        } catch (error) {
+            req.log.error('Game signature check error', { error: error });
+            res.status(500).json({
+                success: false,
+                error: 'Internal server error'
+            });
+        }
+    };
+
+    // Игрок, от имени которого пишет игра: player_token из тела запроса (после requireGameSignature)
+    const requireGamePlayer = async (req, res, next) => {
+        try {
+            const playerToken = req.body.player_token;
+
+            if (typeof playerToken !== 'string' || !playerToken) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Player token is required'
+                });
+            }
+
+            const link = await db.getGameLink(req.gameId, hashToken(playerToken));
+
+            if (!link) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Invalid player token'
+                });
+            }
+
+            if (link.is_banned) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Account is banned'
+                });
+            }
+
+            await db.touchGameLink(link.id);
+
+            req.gameLink = link;
+            next();
+
+        } catch (error) {
+            req.log.error('Game player check error', { error: error });
+            res.status(500).json({
+                success: false,
+                error: 'Internal server error'
+            });
+        }
+    };
+
+    // API игр: запросы подписаны ключом игры, а не сессией браузера, поэтому они
+    // объявлены до проверки CSRF-токена
+
+    // Game API: start linking - the game shows user_code to the player and polls with device_code
+    app.post('/api/games/:id/device-codes', requireGameSignature, async (req, res) => {
+        try {
+            const deviceCode = crypto.randomBytes(32).toString('hex');
+            let userCode;
+
+            // user_code короткий, совпадение с действующим кодом возможно - пробуем ещё раз
+            for (let attempt = 1; ; attempt++) {
+                userCode = gameApi.generateUserCode();
+                try {
+                    await db.createDeviceCode({
+                        game_id: req.gameId,
+                        device_code_hash: hashToken(deviceCode),
+                        user_code: userCode,
+                        expires_at: new Date(Date.now() + gameApi.DEVICE_CODE_TTL)
+                    });
+                    break;
+                } catch (error) {
+                    const duplicate = error.message && error.message.includes('duplicate key');
+                    if (!duplicate || attempt >= 3) throw error;
+                }
+            }
+
+            res.json({
+                success: true,
+                device_code: deviceCode,
+                user_code: userCode,
+                verification_url: `${publicUrl(req)}/link`,
+                verification_url_complete: `${publicUrl(req)}/link?code=${userCode}`,
+                expires_in: gameApi.DEVICE_CODE_TTL / 1000,
+                interval: gameApi.DEVICE_CODE_INTERVAL
+            });
+
+        } catch (error) {
+            req.log.error('Device code error', { error: error });
+            res.status(500).json({
+                success: false,
+                error: 'Failed to create link code'
+            });
+        }
+    });
+
+    // Game API: exchange a confirmed device_code for the player token (once)
+    app.post('/api/games/:id/device-codes/token', requireGameSignature, async (req, res) => {
+        try {
+            const deviceCode = req.body.device_code;
+
+            if (typeof deviceCode !== 'string' || !deviceCode) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Device code is required'
+                });
+            }
+
+            const record = await db.getDeviceCode(req.gameId, hashToken(deviceCode));
+
+            if (!record) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Unknown device code'
+                });
+            }
+
+            if (new Date(record.expires_at) <= new Date()) {
+                await db.deleteDeviceCode(record.id);
+                return res.status(410).json({
+                    success: false,
+                    error: 'Device code has expired'
+                });
+            }
+
+            // Игрок ещё не ввёл код - игра спросит снова через interval секунд
+            if (!record.user_id) {
+                return res.status(400).json({
+                    success: false,
+                    pending: true,
+                    error: 'Authorization pending'
+                });
+            }
+
+            const playerToken = crypto.randomBytes(32).toString('hex');
+            const linkId = await db.exchangeDeviceCode(record, hashToken(playerToken));
+
+            if (!linkId) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Unknown device code'
+                });
+            }
+
+            const user = await db.getUserById(record.user_id);
+
+            req.log.info('Game linked', { userId: record.user_id, linkId: linkId });
+
+            res.json({
+                success: true,
+                player_token: playerToken,
+                username: user.username
+            });
+
+        } catch (error) {
+            req.log.error('Device token error', { error: error });
+            res.status(500).json({
+                success: false,
+                error: 'Failed to link game'
+            });
+        }
+    });
+
+    // Game API: unlock an achievement of this game for the linked player
+    app.post('/api/games/:id/achievements/unlock', requireGameSignature, requireGamePlayer, async (req, res) => {
+        try {
+            const slug = req.body.achievement;
+            const link = req.gameLink;
+
+            if (typeof slug !== 'string' || !slug) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Achievement is required'
+                });
+            }
+
+            const achievement = await db.getGameAchievement(req.gameId, slug);
+
+            if (!achievement) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Achievement not found'
+                });
+            }
+
+            const unlocked = await db.unlockAchievementById(link.user_id, achievement.id);
+
+            if (unlocked) {
+                publishUnlocks(req, link.user_id, [achievement], { gameId: req.gameId });
+            }
+
+            // unlocked: false - у игрока это достижение уже было, повтор запроса безопасен
+            res.json({
+                success: true,
+                unlocked: unlocked,
+                achievement: localizeAchievement(achievement, req.locale)
+            });
+
+        } catch (error) {
+            req.log.error('Game unlock error', { error: error });
+            res.status(500).json({
+                success: false,
+                error: 'Failed to unlock achievement'
+            });
+        }
+    });
+
+    // Game API: add steps to a multi-step achievement; it unlocks when the target is reached
+    app.post('/api/games/:id/achievements/progress', requireGameSignature, requireGamePlayer, async (req, res) => {
+        try {
+            const slug = req.body.achievement;
+            const increment = req.body.increment === undefined ? 1 : req.body.increment;
+            const link = req.gameLink;
+
+            if (typeof slug !== 'string' || !slug) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Achievement is required'
+                });
+            }
+
+            if (!Number.isInteger(increment) || increment < 1) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Increment must be a positive integer'
+                });
+            }
+
+            const achievement = await db.getGameAchievement(req.gameId, slug);
+
+            if (!achievement) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Achievement not found'
+                });
+            }
+
+            if (!achievement.target) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Achievement has no progress target'
+                });
+            }
+
+            // Прогресс не растёт выше цели; повтор после разблокировки вернёт unlocked: false
+            const progress = await db.incrementAchievementProgress(link.user_id, achievement.id, increment, achievement.target);
+            const unlocked = progress >= achievement.target &&
+                await db.unlockAchievementById(link.user_id, achievement.id);
+
+            if (unlocked) {
+                publishUnlocks(req, link.user_id, [achievement], { gameId: req.gameId });
+            }
+
+            res.json({
+                success: true,
+                unlocked: unlocked,
+                progress: { current: progress, target: achievement.target },
+                achievement: localizeAchievement(achievement, req.locale)
+            });
+
+        } catch (error) {
+            req.log.error('Game progress error', { error: error });
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update achievement progress'
+            });
+        }
+    });
+
+    app.use(requireCsrfToken);
+
+    // Каталог строк для скриптов страниц (раздел client), подключается как /i18n/ru.js
+    app.get('/i18n/:locale.js', (req, res) => {
+        const locale = i18n.normalizeLocale(req.params.locale);
+        if (!locale || locale !== req.params.locale) {
+            return res.status(404).type('application/javascript').send('');
+        }
+
+        const messages = i18n.getCatalogue(locale).client;
+        res.type('application/javascript');
+        res.send(`window.I18N = ${JSON.stringify({ locale, messages })};\n`);
+    });
+
+    // API: Choose interface language (cookie for guests, also saved to the profile of a signed-in user)
+    app.put('/api/locale', async (req, res) => {
+        try {
+            const locale = i18n.normalizeLocale(req.body.locale);
+
+            if (!locale || locale !== req.body.locale) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Unsupported language'
+                });
+            }
+
+            if (req.session.userId) {
+                await db.setUserLocale(req.session.userId, locale);
+                req.session.locale = locale;
+            }
+
+            res.cookie(i18n.LOCALE_COOKIE, locale, {
+                maxAge: LOCALE_COOKIE_MAX_AGE,
+                sameSite: 'lax'
+            });
+
+            res.json({
+                success: true,
+                locale: locale
+            });
+
+        } catch (error) {
+            req.log.error('Locale error', { error: error });
+            res.status(500).json({
+                success: false,
+                error: 'Failed to change language'
+            });
+        }
+    });
+
+    // Middleware для маршрутов администратора
+    const requireAdmin = async (req, res, next) => {
+        try {
+            const userId = req.session.userId;
+
+            if (!userId) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Authentication required'
+                });
+            }
+
+            const user = await db.getUserById(userId);
+
+            if (!user || !user.is_admin || user.is_banned) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Admin access required'
+                });
+            }
+
+            req.user = user;
+            next();
+
+        } catch (error) {
+            req.log.error('Admin check error', { error: error });
+            res.status(500).json({
+                success: false,
+                error: 'Internal server error'
+            });
+        }
+    };
+
+    // Health check для балансировщика (Render healthCheckPath): сервер жив и база отвечает.
+    // Подробности - в /api/admin/health
+    app.get('/api/health', async (req, res) => {
+        try {
+            await db.ping();
+
+            res.json({
+                success: true,
+                status: 'ok',
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            req.log.error('Health check error', { error: error });
+            res.status(503).json({
+                success: false,
+                status: 'unavailable',
+                error: 'Database connection failed'
+            });
+        }
+    });
+
+    // Метрики читает скрейпер с METRICS_TOKEN (Authorization: Bearer <token>) или админ из своей сессии.
+    // Без токена метрики открыты всем только вне production - для локального запуска
+    async function canReadMetrics(req) {
+        if (metricsToken) {
+            const expected = Buffer.from(`Bearer ${metricsToken}`);
+            const given = Buffer.from(req.get('Authorization') || '');
+
+            if (given.length === expected.length && crypto.timingSafeEqual(given, expected)) {
+                return true;
+            }
+        } else if (process.env.NODE_ENV !== 'production') {
+            return true;
+        }
+
+        if (!req.session.userId) return false;
+
+        const user = await db.getUserById(req.session.userId);
+        return Boolean(user && user.is_admin && !user.is_banned);
+    }
+
+    // Метрики Prometheus
+    app.get('/metrics', async (req, res) => {
+        try {
+            if (!(await canReadMetrics(req))) {
+                return res.status(401).type('text/plain').send('Unauthorized\n');
+            }
+
+            res.type('text/plain; version=0.0.4');
+            res.send(await metrics.registry.render());
+        } catch (error) {
+            req.log.error('Metrics error', { error: error });
+            res.status(500).type('text/plain').send('Failed to collect metrics\n');
+        }
+    });
+
+    // API: Register
+    app.post('/api/register', async (req, res) => {
+        try {
+            const { username, password, email } = req.body;
+
+            const retryAfter = registerLimiter.retryAfter(req.ip);
+            if (retryAfter > 0) {
+                return tooManyAttempts(res, retryAfter);
+            }
+            registerLimiter.hit(req.ip);
+
+            if (!username || !password) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Username and password are required'
+                });
+            }
+
+            if (username.length < 3) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Username must be at least 3 characters',
+                    field: 'username'
+                });
+            }
+
+            if (password.length < 6) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Password must be at least 6 characters',
+                    field: 'password'
+                });
+            }
+
+            // Email validation
+            let cleanEmail = null;
+            if (email && email.trim() !== '') {
+                cleanEmail = email.trim();
+                const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+                if (!emailRegex.test(cleanEmail)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Invalid email format',
+                        field: 'email'
+                    });
+                }
+            }
+
+            // Check if user exists
+            const existingUser = await db.getUserByUsername(username);
+            if (existingUser) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Username already taken',
+                    field: 'username'
+                });
+            }
+
+            // Create user
+            // Язык, выбранный гостем в переключателе, становится настройкой профиля
+            const chosenLocale = i18n.normalizeLocale(req.cookies[i18n.LOCALE_COOKIE]);
+            const userId = await db.createUser(username, password, cleanEmail, chosenLocale);
+
+            await startUserSession(req, { id: userId, username: username });
+            if (chosenLocale) req.session.locale = chosenLocale;
+
+            metrics.registrations.inc();
+            req.log.info('User registered', { userId: userId, username: username });
+
+            // Registration event unlocks "With Registration!"
+            await processEvent(req, userId, 'register');
+            const merged = await mergeGuestEvents(req, userId);
+
+            // Письмо не должно ломать регистрацию: его можно запросить повторно
+            if (cleanEmail) {
+                try {
+                    await sendVerificationEmail(req, userId, username, cleanEmail);
+                } catch (error) {
+                    req.log.error('Verification email error', { error: error });
+                }
+            }
+
+            res.json({
+                success: true,
+                user: {
+                    id: userId,
+                    username: username
+                },
+                unlocked: merged.map(achievement => localizeAchievement(achievement, req.locale))
+            });
+
+        } catch (error) {
+            req.log.error('Registration error', { error: error });
+
+            let status = 500;
+            let errorMessage = 'Internal server error';
+            let field;
+
+            if (error.message && error.message.includes('duplicate key')) {
+                if (error.message.includes('email')) {
+                    status = 400;
+                    errorMessage = 'Email already registered';
+                    field = 'email';
+                } else if (error.message.includes('username')) {
+                    status = 400;
+                    errorMessage = 'Username already taken';
+                    field = 'username';
+                }
+            }
+
+            res.status(status).json({
+                success: false,
+                error: errorMessage,
+                field: field
+            });
+        }
+    });
+
+    // API: Login
+    app.post('/api/login', async (req, res) => {
+        try {
+            const { username, password, remember } = req.body;
+
+            if (!username || !password) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Username and password are required'
+                });
+            }
+
+            // Блокировка по IP и по имени; ответ одинаковый, есть такой пользователь или нет
+            const userKey = String(username).toLowerCase();
+            const retryAfter = Math.max(loginIpLimiter.retryAfter(req.ip), loginUserLimiter.retryAfter(userKey));
+            if (retryAfter > 0) {
+                return tooManyAttempts(res, retryAfter);
+            }
+
+            // Verify user
+            const isValid = await db.verifyUser(username, password);
+            if (!isValid) {
+                loginIpLimiter.hit(req.ip);
+                loginUserLimiter.hit(userKey);
+                return res.status(401).json({
+                    success: false,
+                    error: 'Invalid username or password'
+                });
+            }
+
+            loginUserLimiter.reset(userKey);
+
+            // Get user
+            const user = await db.getUserByUsername(username);
+
+            if (user.is_banned) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Account is banned'
+                });
+            }
+
+            await startUserSession(req, user);
+            if (i18n.normalizeLocale(user.locale)) req.session.locale = user.locale;
+            req.session.cookie.maxAge = remember === true ? REMEMBER_ME_MAX_AGE : SESSION_MAX_AGE;
+
+            req.log.info('User logged in', { userId: user.id, username: username });
+
+            const merged = await mergeGuestEvents(req, user.id);
+
+            res.json({
+                success: true,
+                user: {
+                    id: user.id,
+                    username: user.username
+                },
+                unlocked: merged.map(achievement => localizeAchievement(achievement, req.locale))
+            });
+
+        } catch (error) {
+            req.log.error('Login error', { error: error });
+            res.status(500).json({
+                success: false,
+                error: 'Internal server error'
+            });
+        }
+    });
+
+    // API: Logout
+    app.post('/api/logout', (req, res) => {
+        const username = req.session.username;
+
+        req.session.destroy((err) => {
+            if (err) {
+                req.log.error('Logout error', { error: err });
+                return res.status(500).json({
+                    success: false,
+                    error: 'Logout failed'
+                });
+            }
+
+            res.clearCookie('connect.sid');
+            req.log.info('User logged out', { username: username });
+            res.json({
+                success: true
+            });
+        });
+    });
+
+    // API: Confirm email by token from the letter
+    app.post('/api/email/verify', async (req, res) => {
+        try {
+            const { token } = req.body;
+
+            if (!token || typeof token !== 'string') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Token is required'
+                });
+            }
+
+            const userId = await db.consumeUserToken('verify_email', hashToken(token));
+            if (!userId) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid or expired link'
+                });
+            }
+
+            await db.setEmailVerified(userId);
+            req.log.info('Email verified', { userId: userId });
+
+            res.json({
+                success: true
+            });
+
+        } catch (error) {
+            req.log.error('Email verify error', { error: error });
+            res.status(500).json({
+                success: false,
+                error: 'Internal server error'
+            });
+        }
+    });
+
+    // API: Send the verification letter again
+    app.post('/api/email/verify/resend', async (req, res) => {
+        try {
+            const userId = req.session.userId;
+
+            if (!userId) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Not authenticated'
+                });
+            }
+
+            const retryAfter = mailLimiter.retryAfter(req.ip);
+            if (retryAfter > 0) {
+                return tooManyAttempts(res, retryAfter);
+            }
+
+            const user = await db.getUserById(userId);
+
+            if (!user || !user.email) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'No email on this account'
+                });
+            }
+
+            if (user.email_verified) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Email is already verified'
+                });
+            }
+
+            mailLimiter.hit(req.ip);
+            await sendVerificationEmail(req, user.id, user.username, user.email);
+
+            res.json({
+                success: true
+            });
+
+        } catch (error) {
+            req.log.error('Resend verification error', { error: error });
+            res.status(500).json({
+                success: false,
+                error: 'Internal server error'
+            });
+        }
+    });
+
+    // API: Request a password reset letter.
+    // Ответ одинаковый для любого email, чтобы по нему нельзя было проверить, есть ли аккаунт
+    app.post('/api/password/forgot', async (req, res) => {
+        try {
+            const email = typeof req.body.email === 'string' ? req.body.email.trim() : '';
+
+            if (!email) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Email is required'
+                });
+            }
+
+            const retryAfter = mailLimiter.retryAfter(req.ip);
+            if (retryAfter > 0) {
+                return tooManyAttempts(res, retryAfter);
+            }
+            mailLimiter.hit(req.ip);
+
+            const user = await db.getUserByEmail(email);
+
+            if (user && !user.is_banned) {
+                const token = await issueUserToken(db, user.id, 'password_reset', RESET_TOKEN_TTL);
+                // Письмо на языке, выбранном в профиле; если его нет - на языке запроса
+                const locale = i18n.normalizeLocale(user.locale) || req.locale;
+                await mailer.send({
+                    to: user.email,
+                    subject: i18n.translate(locale, 'mail.reset.subject'),
+                    text: i18n.translate(locale, 'mail.reset.text', {
+                        username: user.username,
+                        link: `${publicUrl(req)}/reset-password?token=${token}`
+                    })
+                });
+                req.log.info('Password reset requested', { userId: user.id });
+            }
+
+            res.json({
+                success: true
+            });
+
+        } catch (error) {
+            req.log.error('Password forgot error', { error: error });
+            res.status(500).json({
+                success: false,
+                error: 'Internal server error'
+            });
+        }
+    });
+
+    // API: Set a new password by reset token
+    app.post('/api/password/reset', async (req, res) => {
+        try {
+            const { token, password } = req.body;
+
+            if (!token || typeof token !== 'string' || !password || typeof password !== 'string') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Token and password are required'
+                });
+            }
+
+            if (password.length < 6) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Password must be at least 6 characters'
+                });
+            }
+
+            const userId = await db.consumeUserToken('password_reset', hashToken(token));
+            if (!userId) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid or expired link'
+                });
+            }
+
+            await db.updatePassword(userId, password);
+            // Кто бы ни был залогинен со старым паролем - выходит
+            await db.deleteUserSessions(userId);
+            // Письмо со ссылкой пришло на этот адрес, значит он заодно подтверждён
+            await db.setEmailVerified(userId);
+            req.log.info('Password reset', { userId: userId });
+
+            res.json({
+                success: true
+            });
+
+        } catch (error) {
+            req.log.error('Password reset error', { error: error });
+            res.status(500).json({
+                success: false,
+                error: 'Internal server error'
+            });
+        }
+    });
+
+    // API: Logout on all devices (все сессии пользователя, включая текущую)
+    app.post('/api/logout/all', async (req, res) => {
+        try {
+            const userId = req.session.userId;
+
+            if (!userId) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Authentication required'
+                });
+            }
+
+            const count = await db.deleteUserSessions(userId);
+
+            req.log.info('User logged out of all devices', { userId: userId, sessions: count });
+
+            req.session.destroy(() => {
+                res.clearCookie('connect.sid');
+                res.json({
+                    success: true
+                });
+            });
+
+        } catch (error) {
+            req.log.error('Logout all error', { error: error });
+            res.status(500).json({
+                success: false,
+                error: 'Logout failed'
+            });
+        }
+    });
+
+    // API: Get user achievements
+    app.get('/api/achievements', async (req, res) => {
+        try {
+            const userId = req.session.userId;
+
+            let achievements = [];
+            let user = null;
+
+            if (userId) {
+                achievements = await db.getUserAchievements(userId);
+                user = await db.getUserById(userId);
+            } else {
+                // Гость видит, что уже заработал в этой сессии; при входе это перейдёт в аккаунт
+                const earned = await achievementRules.evaluateGuestEvents(db, req.session.guestEvents || []);
+                const allAchievements = await db.getAllAchievements();
+                achievements = allAchievements.map(a => {
+                    const guest = earned.get(a.id);
+                    return {
+                        ...a,
+                        unlocked: Boolean(guest && guest.unlocked_at),
+                        unlocked_at: guest ? guest.unlocked_at : null,
+                        progress: guest ? guest.progress : 0
+                    };
+                });
+            }
+
+            const context = await achievementRules.loadContext(db, achievements);
+
+            res.json({
+                success: true,
+                achievements: withRarity(withProgress(achievements, context), await db.getAchievementRarity())
+                    .map(achievement => presentAchievement(achievement, req.locale)),
+                score: achievementScore(achievements),
+                user: user && withAvatar(user)
+            });
+
+        } catch (error) {
+            req.log.error('Achievements error', { error: error });
+            res.status(500).json({
+                success: false,
+                error: 'Failed to load achievements'
+            });
+        }
+    });
+
+    // API: Stream of achievement unlocks for the current session (Server-Sent Events)
+    app.get('/api/events', (req, res) => {
+        const userId = req.session.userId;
+
+        if (!userId) {
+            return res.status(401).json({
+                success: false,
+                error: 'Authentication required'
+            });
+        }
+
+        achievementStream.subscribe(userId, req, res);
+    });
+
+    // API: Report user event (achievements are unlocked by server-side rules)
+    app.post('/api/events', async (req, res) => {
+        try {
+            const userId = req.session.userId;
+            const { type } = req.body;
+            const target = req.body.target || null;
+
+            const limiterKey = userId ? `user:${userId}` : `ip:${req.ip}`;
+            const retryAfter = eventLimiter.retryAfter(limiterKey);
+            if (retryAfter > 0) {
+                return tooManyAttempts(res, retryAfter);
+            }
+            eventLimiter.hit(limiterKey);
+
+            const validationError = achievementRules.validateClientEvent(type, target);
+            if (validationError) {
+                return res.status(400).json({
+                    success: false,
+                    error: validationError
+                });
+            }
+
+            // Прочитать можно только опубликованную новость
+            if (type === 'news_view') {
+                const article = target ? await db.getNewsBySlug(target) : null;
+                if (!article) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Unknown event target'
+                    });
+                }
+            }
+
+            // Скачать можно только существующую и доступную игру
+            if (type === 'game_download') {
+                const game = target ? await db.getGame(target) : null;
+                if (!game || !game.download_available) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Unknown event target'
+                    });
+                }
+
+                // Скачивания с нашего сервера засчитывает /downloads, а не браузер
+                if (game.releases.length > 0) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Downloads of hosted releases are tracked by the server'
+                    });
+                }
+            }
+
+            // Гость: событие ждёт в сессии входа или регистрации, а в ответе - то, что оно выполнило
+            if (!userId) {
+                const before = await achievementRules.evaluateGuestEvents(db, req.session.guestEvents || []);
+                const unlocked = [];
+
+                if (recordGuestEvent(req, type, target)) {
+                    const after = await achievementRules.evaluateGuestEvents(db, req.session.guestEvents);
+                    after.forEach((guest, id) => {
+                        const previous = before.get(id);
+                        if (guest.unlocked_at && !(previous && previous.unlocked_at)) {
+                            unlocked.push({ ...guest.achievement, unlocked_at: guest.unlocked_at });
+                        }
+                    });
+                }
+
+                return res.json({
+                    success: true,
+                    guest: true,
+                    unlocked: unlocked.map(achievement => localizeAchievement(achievement, req.locale))
+                });
+            }
+
+            const unlocked = await processEvent(req, userId, type, target);
+
+            res.json({
+                success: true,
+                unlocked: unlocked.map(achievement => localizeAchievement(achievement, req.locale))
+            });
+
+        } catch (error) {
+            req.log.error('Event error', { error: error });
+            res.status(500).json({
+                success: false,
+                error: 'Failed to record event'
+            });
+        }
+    });
+
+    // API: Get current user info
+    app.get('/api/me', async (req, res) => {
+        try {
+            const userId = req.session.userId;
+
+            if (!userId) {
+                return res.json({
+                    authenticated: false,
+                    message: 'Not authenticated'
+                });
+            }
+
+            const user = await db.getUserById(userId);
+
+            if (!user) {
+                req.session.destroy();
+                return res.json({
+                    authenticated: false,
+                    message: 'User not found'
+                });
+            }
+
+            if (user.is_banned) {
+                req.session.destroy();
+                return res.json({
+                    authenticated: false,
+                    message: 'Account is banned'
+                });
+            }
+
+            res.json({
+                authenticated: true,
+                user: {
+                    id: user.id,
+                    username: user.username,
+                    email: user.email || '',
+                    email_verified: user.email_verified,
+                    is_admin: user.is_admin,
+                    is_profile_public: user.is_profile_public,
+                    locale: user.locale || null,
+                    avatar: avatars.avatarUrls(user.avatar_key)
+                }
+            });
+
+        } catch (error) {
+            req.log.error('Get user error', { error: error });
+            res.status(500).json({
+                success: false,
+                error: 'Internal server error'
+            });
+        }
+    });
+
+    // API: Show or hide own public profile
+    app.put('/api/me/profile', async (req, res) => {
+        try {
+            const userId = req.session.userId;
+            const isPublic = req.body.is_public;
+
+            if (!userId) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Authentication required'
+                });
+            }
+
+            if (typeof isPublic !== 'boolean') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'is_public must be true or false'
+                });
+            }
+
+            await db.setProfilePublic(userId, isPublic);
+
+            req.log.info('Profile visibility changed', { userId: userId, isPublic: isPublic });
+
+            res.json({
+                success: true,
+                is_public: isPublic
+            });
+
+        } catch (error) {
+            req.log.error('Profile settings error', { error: error });
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update profile'
+            });
+        }
+    });
+
+    // API: Upload own avatar.
+    // Тело запроса - сам файл (PNG, JPEG или GIF) с его Content-Type; сервер пережимает его в миниатюры
+    app.post('/api/me/avatar', async (req, res) => {
+        try {
+            const userId = req.session.userId;
+
+            if (!userId) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Authentication required'
+                });
+            }
+
+            const contentType = (req.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+            if (!avatars.ALLOWED_CONTENT_TYPES.includes(contentType)) {
+                return res.status(415).json({
+                    success: false,
+                    error: 'Only PNG, JPEG and GIF images are allowed'
+                });
+            }
+
+            if (parseInt(req.headers['content-length']) > AVATAR_MAX_SIZE) {
+                return res.status(413).json({
+                    success: false,
+                    error: 'File is too large'
+                });
+            }
+
+            let key;
+            try {
+                const image = await avatars.readUpload(req, AVATAR_MAX_SIZE);
+                key = await avatars.saveAvatar(userAvatarsDir, image);
+            } catch (error) {
+                if (error.code === 'AVATAR_TOO_LARGE') {
+                    return res.status(413).json({
+                        success: false,
+                        error: error.message
+                    });
+                }
+                if (['AVATAR_EMPTY', 'AVATAR_INVALID', 'AVATAR_UNSUPPORTED'].includes(error.code)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: error.message
+                    });
+                }
+                throw error;
+            }
+
+            const user = await db.getUserById(userId);
+            try {
+                await db.setUserAvatar(userId, key);
+            } catch (error) {
+                await avatars.removeAvatar(userAvatarsDir, key);
+                throw error;
+            }
+            await avatars.removeAvatar(userAvatarsDir, user && user.avatar_key);
+
+            req.log.info('Avatar uploaded', { userId: userId });
+
+            res.json({
+                success: true,
+                avatar: avatars.avatarUrls(key)
+            });
+
+        } catch (error) {
+            req.log.error('Avatar upload error', { error: error });
+            res.status(500).json({
+                success: false,
+                error: 'Failed to upload avatar'
+            });
+        }
+    });
+
+    // API: Remove own avatar
+    app.delete('/api/me/avatar', async (req, res) => {
+        try {
+            const userId = req.session.userId;
+
+            if (!userId) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Authentication required'
+                });
+            }
+
+            const user = await db.getUserById(userId);
+            await db.setUserAvatar(userId, null);
+            await avatars.removeAvatar(userAvatarsDir, user && user.avatar_key);
+
+            res.json({
+                success: true,
+                avatar: null
+            });
+
+        } catch (error) {
+            req.log.error('Avatar delete error', { error: error });
+            res.status(500).json({
+                success: false,
+                error: 'Failed to remove avatar'
+            });
+        }
+    });
+
+    // API: Link a game to own account with the code shown by the game
+    app.post('/api/link', async (req, res) => {
+        try {
+            const userId = req.session.userId;
+
+            if (!userId) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Authentication required'
+                });
+            }
+
+            // Код короткий, поэтому неверные попытки ограничены
+            const retryAfter = deviceLinkLimiter.retryAfter(userId);
+            if (retryAfter > 0) {
+                return tooManyAttempts(res, retryAfter);
+            }
+
+            const userCode = gameApi.normalizeUserCode(req.body.code);
+            const deviceCode = userCode ? await db.getDeviceCodeByUserCode(userCode) : null;
+
+            if (!deviceCode || (deviceCode.user_id && deviceCode.user_id !== userId)) {
+                deviceLinkLimiter.hit(userId);
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid or expired code'
+                });
+            }
+
+            if (!deviceCode.user_id && !(await db.confirmDeviceCode(deviceCode.id, userId))) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid or expired code'
+                });
+            }
+
+            req.log.info('Game link confirmed', { userId: userId, gameId: deviceCode.game_id });
+
+            res.json({
+                success: true,
+                game: {
+                    id: deviceCode.game_id,
+                    slug: deviceCode.game_slug,
+                    title: deviceCode.game_title
+                }
+            });
+
+        } catch (error) {
+            req.log.error('Game link error', { error: error });
+            res.status(500).json({
+                success: false,
+                error: 'Failed to link game'
+            });
+        }
+    });
+
+    // API: Games linked to own account
+    app.get('/api/me/games', async (req, res) => {
+        try {
+            const userId = req.session.userId;
+
+            if (!userId) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Authentication required'
+                });
+            }
+
+            res.json({
+                success: true,
+                links: await db.getUserGameLinks(userId)
+            });
+
+        } catch (error) {
+            req.log.error('Linked games error', { error: error });
+            res.status(500).json({
+                success: false,
+                error: 'Failed to load linked games'
+            });
+        }
+    });
+
+    // API: Unlink a game - its player token stops working
+    app.delete('/api/me/games/:id', async (req, res) => {
+        try {
+            const userId = req.session.userId;
+
+            if (!userId) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Authentication required'
+                });
+            }
+
+            const deleted = await db.deleteGameLink(parseInt(req.params.id), userId);
+
+            if (!deleted) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Linked game not found'
+                });
+            }
+
+            res.json({
+                success: true
+            });
+
+        } catch (error) {
+            req.log.error('Unlink game error', { error: error });
+            res.status(500).json({
+                success: false,
+                error: 'Failed to unlink game'
+            });
+        }
+    });
+
+    // API: Change password (current password required)
+    app.put('/api/me/password', async (req, res) => {
+        try {
+            const userId = req.session.userId;
+            const { current_password, new_password } = req.body;
+
+            if (!userId) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Authentication required'
+                });
+            }
+
+            if (typeof current_password !== 'string' || typeof new_password !== 'string' ||
+                !current_password || !new_password) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Current and new password are required'
+                });
+            }
+
+            if (new_password.length < 6) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Password must be at least 6 characters'
+                });
+            }
+
+            const user = await db.getUserById(userId);
+            if (!user || !(await db.verifyUser(user.username, current_password))) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Current password is incorrect'
+                });
+            }
+
+            await db.updatePassword(userId, new_password);
+            // Остальные устройства выходят, текущая сессия остаётся
+            await db.deleteUserSessions(userId, req.sessionID);
+
+            req.log.info('Password changed', { userId: userId });
+
+            res.json({
+                success: true
+            });
+
+        } catch (error) {
+            req.log.error('Change password error', { error: error });
+            res.status(500).json({
+                success: false,
+                error: 'Failed to change password'
+            });
+        }
+    });
+
+    // API: Add or change email (current password required, new address must be confirmed again)
+    app.put('/api/me/email', async (req, res) => {
+        try {
+            const userId = req.session.userId;
+            const email = typeof req.body.email === 'string' ? req.body.email.trim() : '';
+            const { password } = req.body;
+
+            if (!userId) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Authentication required'
+                });
+            }
+
+            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+            if (!emailRegex.test(email)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid email format'
+                });
+            }
+
+            if (typeof password !== 'string' || !password) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Password is required'
+                });
+            }
+
+            const user = await db.getUserById(userId);
+            if (!user || !(await db.verifyUser(user.username, password))) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Password is incorrect'
+                });
+            }
+
+            if (user.email && user.email.toLowerCase() === email.toLowerCase()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'This email is already set'
+                });
+            }
+
+            const owner = await db.getUserByEmail(email);
+            if (owner && owner.id !== userId) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Email already registered'
+                });
+            }
+
+            await db.updateEmail(userId, email);
+
+            req.log.info('Email changed', { userId: userId });
+
+            try {
+                await sendVerificationEmail(req, userId, user.username, email);
+            } catch (error) {
+                req.log.error('Verification email error', { error: error });
+            }
+
+            res.json({
+                success: true,
+                email: email
+            });
+
+        } catch (error) {
+            req.log.error('Change email error', { error: error });
+
+            if (error.message && error.message.includes('duplicate key')) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Email already registered'
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                error: 'Failed to change email'
+            });
+        }
+    });
+
+    // API: Delete own account (current password required)
+    app.delete('/api/me', async (req, res) => {
+        try {
+            const userId = req.session.userId;
+            const { password } = req.body;
+
+            if (!userId) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Authentication required'
+                });
+            }
+
+            if (typeof password !== 'string' || !password) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Password is required'
+                });
+            }
+
+            const user = await db.getUserById(userId);
+            if (!user || !(await db.verifyUser(user.username, password))) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Password is incorrect'
+                });
+            }
+
+            await db.deleteUser(userId);
+            await avatars.removeAvatar(userAvatarsDir, user.avatar_key);
+
+            req.log.info('Account deleted', { userId: userId, username: user.username });
+
+            req.session.destroy(() => {
+                res.clearCookie('connect.sid');
+                res.json({
+                    success: true
+                });
+            });
+
+        } catch (error) {
+            req.log.error('Delete account error', { error: error });
+            res.status(500).json({
+                success: false,
+                error: 'Failed to delete account'
+            });
+        }
+    });
+
+    // API: Download own data as JSON
+    app.get('/api/me/export', async (req, res) => {
+        try {
+            const userId = req.session.userId;
+
+            if (!userId) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Authentication required'
+                });
+            }
+
+            const user = await db.getUserById(userId);
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'User not found'
+                });
+            }
+
+            const achievements = await db.getUserAchievements(userId);
+            const reviews = await db.getUserReviews(userId);
+            const links = await db.getUserGameLinks(userId);
+
+            const data = {
+                exported_at: new Date().toISOString(),
+                profile: {
+                    id: user.id,
+                    username: user.username,
+                    email: user.email,
+                    email_verified: user.email_verified,
+                    is_profile_public: user.is_profile_public,
+                    avatar: avatars.avatarUrls(user.avatar_key),
+                    created_at: user.created_at
+                },
+                achievements: achievements
+                    .filter(achievement => achievement.unlocked)
+                    .map(achievement => ({
+                        slug: achievement.slug,
+                        name: achievement.name,
+                        description: achievement.description,
+                        category: achievement.category,
+                        unlocked_at: achievement.unlocked_at
+                    })),
+                achievement_progress: achievements
+                    .filter(achievement => !achievement.unlocked && achievement.progress > 0)
+                    .map(achievement => ({
+                        slug: achievement.slug,
+                        progress: achievement.progress
+                    })),
+                reviews: reviews,
+                linked_games: links.map(link => ({
+                    game: link.game_slug,
+                    linked_at: link.created_at,
+                    last_used_at: link.last_used_at
+                }))
+            };
+
+            res.attachment(`xtteam-${user.username}.json`);
+            res.json(data);
+
+        } catch (error) {
+            req.log.error('Export error', { error: error });
+            res.status(500).json({
+                success: false,
+                error: 'Failed to export data'
+            });
+        }
+    });
+
+    // API: Get public user profile
+    app.get('/api/users/:username', async (req, res) => {
+        try {
+            const profile = await db.getPublicProfile(req.params.username);
+
+            if (!profile || profile.user.is_banned) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'User not found'
+                });
+            }
+
+            // Владелец видит свой профиль, даже если скрыл его
+            const isOwner = profile.user.id === req.session.userId;
+            if (!profile.user.is_profile_public && !isOwner) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'This profile is private'
+                });
+            }
+
+            const unlockedCount = profile.achievements.length;
+
+            res.json({
+                success: true,
+                profile: {
+                    username: profile.user.username,
+                    avatar: avatars.avatarUrls(profile.user.avatar_key),
+                    joined_at: profile.user.created_at,
+                    is_public: profile.user.is_profile_public,
+                    is_owner: isOwner,
+                    achievements: withRarity(profile.achievements, await db.getAchievementRarity())
+                        .map(achievement => localizeAchievement(achievement, req.locale)),
+                    unlocked_count: unlockedCount,
+                    points: profile.achievements.reduce((sum, achievement) => sum + achievement.points, 0),
+                    total_achievements: profile.totalAchievements,
+                    completion: profile.totalAchievements > 0
+                        ? Math.round(unlockedCount / profile.totalAchievements * 100)
+                        : 0
+                }
+            });
+
+        } catch (error) {
+            req.log.error('Public profile error', { error: error });
+            res.status(500).json({
+                success: false,
+                error: 'Failed to load profile'
+            });
+        }
+    });
+
+    // API: Leaderboard by unlocked achievements
+    app.get('/api/leaderboard', async (req, res) => {
+        try {
+            const limit = Math.min(Math.max(parseInt(req.query.limit) || LEADERBOARD_SIZE, 1), 100);
+            const leaderboard = await db.getLeaderboard(limit);
+            const achievements = await db.getAllAchievements();
+
+            res.json({
+                success: true,
+                leaderboard: leaderboard.map(withAvatar),
+                total_achievements: achievements.length
+            });
+
+        } catch (error) {
+            req.log.error('Leaderboard error', { error: error });
+            res.status(500).json({
+                success: false,
+                error: 'Failed to load leaderboard'
+            });
+        }
+    });
+
+    // API: Get games catalogue
+    app.get('/api/games', async (req, res) => {
+        try {
+            const games = await db.getAllGames();
+
+            res.json({
+                success: true,
+                games: games.map(game => localizeGame(game, req.locale))
+            });
+
+        } catch (error) {
+            req.log.error('Games error', { error: error });
+            res.status(500).json({
+                success: false,
+                error: 'Failed to load games'
+            });
+        }
+    });
+
+    // API: Get game with content blocks
+    app.get('/api/games/:id', async (req, res) => {
+        try {
+            const game = await db.getGame(req.params.id);
+
+            if (!game) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Game not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                game: withDownloadUrls(localizeGame(game, req.locale))
+            });
+
+        } catch (error) {
+            req.log.error('Game error', { error: error });
+            res.status(500).json({
+                success: false,
+                error: 'Failed to load game'
+            });
+        }
+    });
+
+    // Оценка 1-5 обязательна, текст отзыва - нет
+    function parseReviewInput(body) {
+        const rating = body.rating;
+        const text = typeof body.body === 'string' ? body.body.trim() : '';
+
+        if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+            return { error: 'Rating must be a whole number from 1 to 5' };
+        }
+
+        if (body.body != null && typeof body.body !== 'string') {
+            return { error: 'Review text must be a string' };
+        }
+
+        if (text.length > REVIEW_MAX_LENGTH) {
+            return { error: 'Review is too long' };
+        }
+
+        return {
+            review: {
+                rating: rating,
+                body: text || null
+            }
+        };
+    }
+
+    // Отзыв можно менять и удалять только автору
+    async function findOwnReview(req, res) {
+        const userId = req.session.userId;
+
+        if (!userId) {
+            res.status(401).json({
+                success: false,
+                error: 'Authentication required'
+            });
+            return null;
+        }
+
+        const review = await db.getReview(parseInt(req.params.id));
+
+        if (!review) {
+            res.status(404).json({
+                success: false,
+                error: 'Review not found'
+            });
+            return null;
+        }
+
+        if (review.user_id !== userId) {
+            res.status(403).json({
+                success: false,
+                error: 'You can only change your own reviews'
+            });
+            return null;
+        }
+
+        return review;
+    }
+
+    // API: In-game achievements of a game, with unlock marks for the current user
+    app.get('/api/games/:id/achievements', async (req, res) => {
+        try {
+            const gameId = await db.findGameId(req.params.id);
+
+            if (!gameId) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Game not found'
+                });
+            }
+
+            const achievements = await db.getGameAchievements(gameId, req.session.userId || null);
+
+            res.json({
+                success: true,
+                achievements: withRarity(withProgress(achievements, {}), await db.getAchievementRarity())
+                    .map(achievement => presentAchievement(achievement, req.locale))
+            });
+
+        } catch (error) {
+            req.log.error('Game achievements error', { error: error });
+            res.status(500).json({
+                success: false,
+                error: 'Failed to load achievements'
+            });
+        }
+    });
+
+    // API: Get game reviews (paginated) with the average rating and own review of the user
+    app.get('/api/games/:id/reviews', async (req, res) => {
+        try {
+            const gameId = await db.findGameId(req.params.id);
+
+            if (!gameId) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Game not found'
+                });
+            }
+
+            const page = Math.max(parseInt(req.query.page) || 1, 1);
+            const { items, average_rating, review_count } = await db.getGameReviews(gameId, {
+                page: page,
+                pageSize: REVIEWS_PAGE_SIZE
+            });
+            const mine = req.session.userId ? await db.getUserReview(gameId, req.session.userId) : null;
+
+            res.json({
+                success: true,
+                reviews: items.map(withAvatar),
+                average_rating: average_rating,
+                review_count: review_count,
+                mine: mine,
+                pagination: {
+                    page: page,
+                    pageSize: REVIEWS_PAGE_SIZE,
+                    total: review_count,
+                    totalPages: Math.ceil(review_count / REVIEWS_PAGE_SIZE)
+                }
+            });
+
+        } catch (error) {
+            req.log.error('Reviews error', { error: error });
+            res.status(500).json({
+                success: false,
+                error: 'Failed to load reviews'
+            });
+        }
+    });
+
+    // API: Rate and review a game (one review per player and game)
+    app.post('/api/games/:id/reviews', async (req, res) => {
+        try {
+            const userId = req.session.userId;
+
+            if (!userId) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Authentication required'
+                });
+            }
+
+            const { review, error } = parseReviewInput(req.body);
+
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: error
+                });
+            }
+
+            const gameId = await db.findGameId(req.params.id);
+
+            if (!gameId) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Game not found'
+                });
+            }
+
+            await db.createReview({ ...review, game_id: gameId, user_id: userId });
+
+            req.log.info('Game reviewed', { userId: userId, gameId: gameId, rating: review.rating });
+
+            res.status(201).json({
+                success: true,
+                review: await db.getUserReview(gameId, userId)
+            });
+
+        } catch (error) {
+            req.log.error('Create review error', { error: error });
+            const duplicate = error.message && error.message.includes('duplicate key');
+            res.status(duplicate ? 409 : 500).json({
+                success: false,
+                error: duplicate ? 'You have already reviewed this game' : 'Failed to save review'
+            });
+        }
+    });
+
+    // API: Edit own review
+    app.put('/api/reviews/:id', async (req, res) => {
+        try {
+            const existing = await findOwnReview(req, res);
+            if (!existing) return;
+
+            const { review, error } = parseReviewInput(req.body);
+
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: error
+                });
+            }
+
+            await db.updateReview(existing.id, review.rating, review.body);
+
+            res.json({
+                success: true,
+                review: await db.getUserReview(existing.game_id, existing.user_id)
+            });
+
+        } catch (error) {
+            req.log.error('Update review error', { error: error });
+            res.status(500).json({
+                success: false,
+                error: 'Failed to save review'
+            });
+        }
+    });
+
+    // API: Delete own review
+    app.delete('/api/reviews/:id', async (req, res) => {
+        try {
+            const existing = await findOwnReview(req, res);
+            if (!existing) return;
+
+            await db.deleteReview(existing.id);
+
+            res.json({
+                success: true
+            });
+
+        } catch (error) {
+            req.log.error('Delete review error', { error: error });
+            res.status(500).json({
+                success: false,
+                error: 'Failed to delete review'
+            });
+        }
+    });
+
+    // API: Get published news (paginated)
+    app.get('/api/news', async (req, res) => {
+        try {
+            const page = Math.max(parseInt(req.query.page) || 1, 1);
+            const category = req.query.category ? String(req.query.category).toLowerCase() : null;
+
+            const { items, total } = await db.getPublishedNews({
+                page: page,
+                pageSize: NEWS_PAGE_SIZE,
+                category: category
+            });
+            const categories = await db.getNewsCategories();
+
+            res.json({
+                success: true,
+                news: items.map(article => localizeNews(article, req.locale)),
+                categories: categories,
+                pagination: {
+                    page: page,
+                    pageSize: NEWS_PAGE_SIZE,
+                    total: total,
+                    totalPages: Math.ceil(total / NEWS_PAGE_SIZE)
+                }
+            });
+
+        } catch (error) {
+            req.log.error('News error', { error: error });
+            res.status(500).json({
+                success: false,
+                error: 'Failed to load news'
+            });
+        }
+    });
+
+    // API: Get single news article
+    app.get('/api/news/:slug', async (req, res) => {
+        try {
+            const article = await db.getNewsBySlug(req.params.slug);
+
+            if (!article) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'News not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                article: localizeNews(article, req.locale)
+            });
+
+        } catch (error) {
+            req.log.error('News article error', { error: error });
+            res.status(500).json({
+                success: false,
+                error: 'Failed to load news'
+            });
+        }
+    });
+
+    // ===== Админка =====
+
+    function slugify(text) {
+        return String(text)
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    }
+
+    // Проверка данных достижения из формы админки
+    function parseAchievementInput(body) {
+        const { name, description, icon_path, category } = body;
+        const rule = body.rule || null;
+
+        if (!name || !name.trim() || !description || !description.trim()) {
+            return { error: 'Name and description are required' };
+        }
+
+        // Slug можно не указывать - он будет построен из названия
+        const slug = body.slug ? body.slug.trim() : slugify(name);
+        if (!slug || !SLUG_REGEX.test(slug)) {
+            return { error: 'Slug may contain only lowercase letters, digits and dashes' };
+        }
+
+        const ruleError = achievementRules.validateRule(rule);
+        if (ruleError) {
+            return { error: ruleError };
+        }
+
+        // Достижение игры разблокирует сама игра, правила сайта к нему не относятся
+        const gameId = body.game_id === undefined || body.game_id === null || body.game_id === '' ? null : body.game_id;
+        if (gameId !== null && (!Number.isInteger(gameId) || gameId < 1)) {
+            return { error: 'game_id must be a game id or null' };
+        }
+        if (gameId !== null && rule) {
+            return { error: 'In-game achievements are unlocked by the game and cannot have a rule' };
+        }
+
+        const tier = body.tier || 'bronze';
+        if (!ACHIEVEMENT_TIERS.includes(tier)) {
+            return { error: `Tier must be one of: ${ACHIEVEMENT_TIERS.join(', ')}` };
+        }
+
+        const points = body.points === undefined || body.points === null || body.points === '' ? DEFAULT_ACHIEVEMENT_POINTS : body.points;
+        if (!Number.isInteger(points) || points < 0 || points > MAX_ACHIEVEMENT_POINTS) {
+            return { error: `Points must be an integer from 0 to ${MAX_ACHIEVEMENT_POINTS}` };
+        }
+
+        // Цель в шагах - для достижений игры; у достижений сайта её задаёт правило
+        const target = body.target === undefined || body.target === null || body.target === '' ? null : body.target;
+        if (target !== null && (!Number.isInteger(target) || target < 2)) {
+            return { error: 'Target must be an integer greater than 1 or null' };
+        }
+        if (target !== null && gameId === null) {
+            return { error: 'Only in-game achievements can have a target' };
+        }
+
+        const translationsError = i18n.validateTranslations(body.translations, TRANSLATABLE_FIELDS.achievement);
+        if (translationsError) {
+            return { error: translationsError };
+        }
+
+        return {
+            achievement: {
+                slug: slug,
+                name: name.trim(),
+                description: description.trim(),
+                icon_path: icon_path ? icon_path.trim() : null,
+                category: category ? category.trim() : null,
+                rule: rule,
+                translations: body.translations || null,
+                game_id: gameId,
+                target: target,
+                tier: tier,
+                points: points,
+                is_hidden: body.is_hidden === true
+            }
+        };
     }
-};
 
-// Настройка proxy для HTTPS на Render
-if (process.env.NODE_ENV === 'production') {
-    app.set('trust proxy', 1);
-    sessionConfig.cookie.secure = true;
-    sessionConfig.cookie.sameSite = 'none';
-    sessionConfig.proxy = true;
-}
+    // Проверка данных игры из формы админки
+    function parseGameInput(body) {
+        const { slug, title, content } = body;
+
+        if (!slug || !title || !title.trim()) {
+            return { error: 'Slug and title are required' };
+        }
+
+        if (!SLUG_REGEX.test(slug)) {
+            return { error: 'Slug may contain only lowercase letters, digits and dashes' };
+        }
+
+        const blocks = content || [];
+        const contentTypes = Object.values(Database.CONTENT_TYPES);
+
+        if (!Array.isArray(blocks) || blocks.some(block => !block || !contentTypes.includes(block.type))) {
+            return { error: `Content blocks must have one of the types: ${contentTypes.join(', ')}` };
+        }
+
+        const translationsError = i18n.validateTranslations(body.translations, TRANSLATABLE_FIELDS.game);
+        if (translationsError) {
+            return { error: translationsError };
+        }
+
+        return {
+            game: {
+                slug: slug,
+                title: title.trim(),
+                genre: body.genre || null,
+                description: body.description || null,
+                image: body.image || null,
+                platform: body.platform || null,
+                release: body.release || null,
+                download_link: body.download_link || null,
+                download_available: Boolean(body.download_available),
+                sort_order: parseInt(body.sort_order) || 0,
+                content: blocks,
+                translations: body.translations || null
+            }
+        };
+    }
+
+    // API: Admin - detailed server health
+    app.get('/api/admin/health', requireAdmin, async (req, res) => {
+        try {
+            const keyFiles = ['views/pages/index.html', 'views/pages/profile.html', 'server.js', 'db.js'];
+            const files = {};
+            for (const name of keyFiles) {
+                files[name] = fs.existsSync(path.join(rootDir, name));
+            }
+
+            res.json({
+                success: true,
+                database: {
+                    driver: db.driver,
+                    ...await db.checkDatabaseStatus(),
+                    pool: db.getPoolStats()
+                },
+                process: {
+                    uptime: Math.round(process.uptime()),
+                    memory: process.memoryUsage(),
+                    node: process.version,
+                    env: process.env.NODE_ENV || 'development'
+                },
+                files: files,
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            req.log.error('Admin health error', { error: error });
+            res.status(503).json({
+                success: false,
+                error: 'Database connection failed'
+            });
+        }
+    });
+
+    // API: Admin - list users
+    app.get('/api/admin/users', requireAdmin, async (req, res) => {
+        try {
+            const users = await db.getAllUsers();
+
+            res.json({
+                success: true,
+                users: users
+            });
+
+        } catch (error) {
+            req.log.error('Admin users error', { error: error });
+            res.status(500).json({
+                success: false,
+                error: 'Failed to load users'
+            });
+        }
+    });
+
+    // API: Admin - ban/unban user
+    app.post('/api/admin/users/:id/ban', requireAdmin, async (req, res) => {
+        try {
+            const userId = parseInt(req.params.id);
+            const banned = req.body.banned !== false;
+
+            if (userId === req.user.id) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'You cannot ban yourself'
+                });
+            }
+
+            const updated = await db.setUserBanned(userId, banned);
+
+            if (!updated) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'User not found'
+                });
+            }
+
+            if (banned) {
+                await db.deleteUserSessions(userId);
+            }
+
+            req.log.info(banned ? 'User banned' : 'User unbanned', { userId: userId, admin: req.user.username });
+
+            res.json({
+                success: true,
+                banned: banned
+            });
+
+        } catch (error) {
+            req.log.error('Admin ban error', { error: error });
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update user'
+            });
+        }
+    });
+
+    // API: Admin - reset user achievements
+    app.post('/api/admin/users/:id/reset', requireAdmin, async (req, res) => {
+        try {
+            const userId = parseInt(req.params.id);
+            const removed = await db.resetUserAchievements(userId);
+
+            req.log.info('User achievements reset', { userId: userId, removed: removed, admin: req.user.username });
+
+            res.json({
+                success: true,
+                removed: removed
+            });
+
+        } catch (error) {
+            req.log.error('Admin reset error', { error: error });
+            res.status(500).json({
+                success: false,
+                error: 'Failed to reset user'
+            });
+        }
+    });
+
+    // API: Admin - list achievements
+    app.get('/api/admin/achievements', requireAdmin, async (req, res) => {
+        try {
+            const achievements = await db.getAllAchievements();
+
+            res.json({
+                success: true,
+                achievements: achievements
+            });
+
+        } catch (error) {
+            req.log.error('Admin achievements error', { error: error });
+            res.status(500).json({
+                success: false,
+                error: 'Failed to load achievements'
+            });
+        }
+    });
+
+    // API: Admin - create achievement
+    app.post('/api/admin/achievements', requireAdmin, async (req, res) => {
+        try {
+            const { achievement, error } = parseAchievementInput(req.body);
+
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: error
+                });
+            }
+
+            if (achievement.game_id && !(await db.findGameId(achievement.game_id))) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Game not found'
+                });
+            }
+
+            const id = await db.addAchievement(achievement);
+
+            res.json({
+                success: true,
+                id: id
+            });
+
+        } catch (error) {
+            req.log.error('Admin create achievement error', { error: error });
+
+            const duplicate = error.message && error.message.includes('duplicate key');
+            res.status(duplicate ? 400 : 500).json({
+                success: false,
+                error: duplicate ? 'Slug already taken' : 'Failed to create achievement'
+            });
+        }
+    });
+
+    // API: Admin - update achievement
+    app.put('/api/admin/achievements/:id', requireAdmin, async (req, res) => {
+        try {
+            const { achievement, error } = parseAchievementInput(req.body);
+
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: error
+                });
+            }
+
+            if (achievement.game_id && !(await db.findGameId(achievement.game_id))) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Game not found'
+                });
+            }
+
+            const updated = await db.updateAchievement(parseInt(req.params.id), achievement);
+
+            if (!updated) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Achievement not found'
+                });
+            }
+
+            res.json({
+                success: true
+            });
+
+        } catch (error) {
+            req.log.error('Admin update achievement error', { error: error });
+
+            const duplicate = error.message && error.message.includes('duplicate key');
+            res.status(duplicate ? 400 : 500).json({
+                success: false,
+                error: duplicate ? 'Slug already taken' : 'Failed to update achievement'
+            });
+        }
+    });
+
+    // API: Admin - delete achievement
+    app.delete('/api/admin/achievements/:id', requireAdmin, async (req, res) => {
+        try {
+            const deleted = await db.deleteAchievement(parseInt(req.params.id));
+
+            if (!deleted) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Achievement not found'
+                });
+            }
+
+            res.json({
+                success: true
+            });
+
+        } catch (error) {
+            req.log.error('Admin delete achievement error', { error: error });
+            res.status(500).json({
+                success: false,
+                error: 'Failed to delete achievement'
+            });
+        }
+    });
+
+    // API: Admin - game for editing: texts without translation applied, with translations as is
+    app.get('/api/admin/games/:id', requireAdmin, async (req, res) => {
+        try {
+            const game = await db.getGame(req.params.id);
+
+            if (!game) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Game not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                game: withDownloadUrls(game)
+            });
+
+        } catch (error) {
+            req.log.error('Admin game error', { error: error });
+            res.status(500).json({
+                success: false,
+                error: 'Failed to load game'
+            });
+        }
+    });
+
+    // API: Admin - create game
+    app.post('/api/admin/games', requireAdmin, async (req, res) => {
+        try {
+            const { game, error } = parseGameInput(req.body);
+
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: error
+                });
+            }
+
+            const id = await db.createGame(game);
+
+            res.json({
+                success: true,
+                id: id
+            });
+
+        } catch (error) {
+            req.log.error('Admin create game error', { error: error });
+
+            const duplicate = error.message && error.message.includes('duplicate key');
+            res.status(duplicate ? 400 : 500).json({
+                success: false,
+                error: duplicate ? 'Slug already taken' : 'Failed to create game'
+            });
+        }
+    });
+
+    // API: Admin - update game
+    app.put('/api/admin/games/:id', requireAdmin, async (req, res) => {
+        try {
+            const { game, error } = parseGameInput(req.body);
+
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: error
+                });
+            }
+
+            const updated = await db.updateGame(parseInt(req.params.id), game);
+
+            if (!updated) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Game not found'
+                });
+            }
+
+            res.json({
+                success: true
+            });
+
+        } catch (error) {
+            req.log.error('Admin update game error', { error: error });
+
+            const duplicate = error.message && error.message.includes('duplicate key');
+            res.status(duplicate ? 400 : 500).json({
+                success: false,
+                error: duplicate ? 'Slug already taken' : 'Failed to update game'
+            });
+        }
+    });
+
+    // API: Admin - delete game
+    app.delete('/api/admin/games/:id', requireAdmin, async (req, res) => {
+        try {
+            const deleted = await db.deleteGame(parseInt(req.params.id));
+
+            if (!deleted) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Game not found'
+                });
+            }
+
+            await releases.removeGameReleases(gameReleasesDir, parseInt(req.params.id));
+
+            res.json({
+                success: true
+            });
+
+        } catch (error) {
+            req.log.error('Admin delete game error', { error: error });
+            res.status(500).json({
+                success: false,
+                error: 'Failed to delete game'
+            });
+        }
+    });
+
+    // API: Admin - upload game release.
+    // Тело запроса - сам файл (application/octet-stream), метаданные в query:
+    // ?version=1.0.0&filename=game.zip&changelog=...
+    app.post('/api/admin/games/:id/releases', requireAdmin, async (req, res) => {
+        try {
+            const game = await db.getGame(parseInt(req.params.id));
+
+            if (!game) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Game not found'
+                });
+            }
+
+            // Повторённый параметр (?version=1&version=2) приходит массивом
+            if (['version', 'filename', 'changelog'].some(name => req.query[name] !== undefined && typeof req.query[name] !== 'string')) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Version, file name and changelog must be given once'
+                });
+            }
+
+            const version = String(req.query.version || '').trim();
+            const fileName = releases.sanitizeFileName(req.query.filename);
+
+            if (!releases.VERSION_REGEX.test(version) || version === 'latest') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Version may contain only letters, digits, dots, dashes and underscores'
+                });
+            }
+
+            if (!fileName) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'File name is required'
+                });
+            }
+
+            if (game.releases.some(release => release.version === version)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Version already exists'
+                });
+            }
+
+            if (parseInt(req.headers['content-length']) > RELEASE_MAX_SIZE) {
+                return res.status(413).json({
+                    success: false,
+                    error: 'File is too large'
+                });
+            }
+
+            const release = {
+                game_id: game.id,
+                version: version,
+                changelog: req.query.changelog || null,
+                file_name: fileName,
+                uploaded_by: req.user.id
+            };
+
+            try {
+                Object.assign(release, await releases.saveUpload(req, gameReleasesDir, release, RELEASE_MAX_SIZE));
+            } catch (error) {
+                if (error.code === 'RELEASE_TOO_LARGE' || error.code === 'RELEASE_EMPTY') {
+                    return res.status(error.code === 'RELEASE_TOO_LARGE' ? 413 : 400).json({
+                        success: false,
+                        error: error.message
+                    });
+                }
+                throw error;
+            }
+
+            let releaseId;
+            try {
+                releaseId = await db.createRelease(release);
+            } catch (error) {
+                await releases.removeRelease(gameReleasesDir, release);
+                throw error;
+            }
+
+            req.log.info('Release uploaded', { game: game.slug, version: version, size: release.file_size, admin: req.user.username });
+
+            res.json({
+                success: true,
+                id: releaseId,
+                sha256: release.sha256,
+                file_size: release.file_size
+            });
+
+        } catch (error) {
+            req.log.error('Admin upload release error', { error: error });
+            res.status(500).json({
+                success: false,
+                error: 'Failed to upload release'
+            });
+        }
+    });
+
+    // API: Admin - API keys of a game (secrets are never listed)
+    app.get('/api/admin/games/:id/api-keys', requireAdmin, async (req, res) => {
+        try {
+            const gameId = await db.findGameId(req.params.id);
+
+            if (!gameId) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Game not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                api_keys: await db.getGameApiKeys(gameId)
+            });
+
+        } catch (error) {
+            req.log.error('Admin API keys error', { error: error });
+            res.status(500).json({
+                success: false,
+                error: 'Failed to load API keys'
+            });
+        }
+    });
+
+    // API: Admin - create an API key; the secret is shown only in this response
+    app.post('/api/admin/games/:id/api-keys', requireAdmin, async (req, res) => {
+        try {
+            const gameId = await db.findGameId(req.params.id);
+            const name = typeof req.body.name === 'string' ? req.body.name.trim().slice(0, 100) : '';
+
+            if (!gameId) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Game not found'
+                });
+            }
+
+            const apiKey = gameApi.generateApiKey();
+            const id = await db.createGameApiKey({
+                ...apiKey,
+                game_id: gameId,
+                name: name || null,
+                created_by: req.user.id
+            });
 
-app.use(session(sessionConfig));
+            req.log.info('Game API key created', { gameId: gameId, apiKey: apiKey.key_id, admin: req.user.username });
 
-// Определяем пути
-const rootDir = __dirname; // Папка где server.js
-const publicDir = path.join(rootDir, 'public'); // Папка public с HTML
-
-console.log('🚀 Server starting...');
-console.log('📁 Root directory:', rootDir);
-console.log('📁 Public directory:', publicDir);
-console.log('🌍 NODE_ENV:', process.env.NODE_ENV);
-
-// Проверяем существование папки public
-if (!fs.existsSync(publicDir)) {
-    console.error('❌ ERROR: public directory not found at:', publicDir);
-    console.error('Creating public directory...');
-    fs.mkdirSync(publicDir, { recursive: true });
-}
+            res.json({
+                success: true,
+                id: id,
+                key_id: apiKey.key_id,
+                secret: apiKey.secret
+            });
 
-// Статические файлы из папки public
-app.use(express.static(publicDir));
-
-// Статические файлы из подпапок
-app.use('/images', express.static(path.join(publicDir, 'images')));
-app.use('/fonts', express.static(path.join(publicDir, 'fonts')));
-
-// CORS для Render
-app.use((req, res, next) => {
-    const allowedOrigins = [
-        `https://${process.env.RENDER_EXTERNAL_HOSTNAME}`,
-        'http://localhost:3000',
-        'http://localhost:' + PORT
-    ];
-    
-    const origin = req.headers.origin;
-    if (allowedOrigins.includes(origin)) {
-        res.header('Access-Control-Allow-Origin', origin);
-    }
-    
-    res.header('Access-Control-Allow-Credentials', 'true');
-    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
-    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    next();
-});
-
-// Middleware для проверки авторизации
-const authMiddleware = (req, res, next) => {
-    if (req.path.startsWith('/api/')) {
-        console.log('🔐 API Request:', {
-            path: req.path,
-            userId: req.session.userId,
-            username: req.session.username
-        });
-    }
-    next();
-};
+        } catch (error) {
+            req.log.error('Admin create API key error', { error: error });
+            res.status(500).json({
+                success: false,
+                error: 'Failed to create API key'
+            });
+        }
+    });
 
-app.use(authMiddleware);
-
-// Health check
-app.get('/api/health', async (req, res) => {
-    try {
-        const status = await db.checkDatabaseStatus();
-        
-        // Проверяем ключевые файлы
-        const keyFiles = {
-            'public/index.html': path.join(publicDir, 'index.html'),
-            'public/profile.html': path.join(publicDir, 'profile.html'),
-            'server.js': path.join(rootDir, 'server.js'),
-            'db.js': path.join(rootDir, 'db.js')
-        };
-        
-        const fileStatus = {};
-        for (const [name, filePath] of Object.entries(keyFiles)) {
-            fileStatus[name] = fs.existsSync(filePath);
+    // API: Admin - revoke an API key
+    app.delete('/api/admin/api-keys/:id', requireAdmin, async (req, res) => {
+        try {
+            const revoked = await db.revokeGameApiKey(parseInt(req.params.id));
+
+            if (!revoked) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'API key not found'
+                });
+            }
+
+            req.log.info('Game API key revoked', { apiKeyId: parseInt(req.params.id), admin: req.user.username });
+
+            res.json({
+                success: true
+            });
+
+        } catch (error) {
+            req.log.error('Admin revoke API key error', { error: error });
+            res.status(500).json({
+                success: false,
+                error: 'Failed to revoke API key'
+            });
         }
-        
-        res.json({
-            success: true,
-            session: {
-                id: req.sessionID,
-                userId: req.session.userId,
-                username: req.session.username
-            },
-            database: status,
-            directories: {
-                root: rootDir,
-                public: publicDir,
-                exists: fs.existsSync(publicDir)
-            },
-            files: fileStatus,
-            timestamp: new Date().toISOString()
-        });
-        
-    } catch (error) {
-        console.error('Health check error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Database connection failed',
-            details: error.message
-        });
-    }
-});
+    });
+
+    // API: Admin - update release changelog
+    app.put('/api/admin/releases/:id', requireAdmin, async (req, res) => {
+        try {
+            const changelog = typeof req.body.changelog === 'string' ? req.body.changelog : null;
+            const updated = await db.updateRelease(parseInt(req.params.id), changelog);
+
+            if (!updated) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Release not found'
+                });
+            }
+
+            res.json({
+                success: true
+            });
 
-// API: Register
-app.post('/api/register', async (req, res) => {
-    try {
-        const { username, password, email } = req.body;
-        
-        if (!username || !password) {
-            return res.status(400).json({
+        } catch (error) {
+            req.log.error('Admin update release error', { error: error });
+            res.status(500).json({
                 success: false,
-                error: 'Username and password are required'
+                error: 'Failed to update release'
             });
         }
-        
-        if (username.length < 3) {
-            return res.status(400).json({
+    });
+
+    // API: Admin - delete release with its file
+    app.delete('/api/admin/releases/:id', requireAdmin, async (req, res) => {
+        try {
+            const release = await db.deleteRelease(parseInt(req.params.id));
+
+            if (!release) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Release not found'
+                });
+            }
+
+            await releases.removeRelease(gameReleasesDir, release);
+
+            res.json({
+                success: true
+            });
+
+        } catch (error) {
+            req.log.error('Admin delete release error', { error: error });
+            res.status(500).json({
                 success: false,
-                error: 'Username must be at least 3 characters'
+                error: 'Failed to delete release'
             });
         }
-        
-        if (password.length < 6) {
-            return res.status(400).json({
+    });
+
+    // API: Admin - list reviews including hidden ones (paginated)
+    app.get('/api/admin/reviews', requireAdmin, async (req, res) => {
+        try {
+            const page = Math.max(parseInt(req.query.page) || 1, 1);
+            const { items, total } = await db.getAllReviews({
+                page: page,
+                pageSize: ADMIN_REVIEWS_PAGE_SIZE
+            });
+
+            res.json({
+                success: true,
+                reviews: items,
+                pagination: {
+                    page: page,
+                    pageSize: ADMIN_REVIEWS_PAGE_SIZE,
+                    total: total,
+                    totalPages: Math.ceil(total / ADMIN_REVIEWS_PAGE_SIZE)
+                }
+            });
+
+        } catch (error) {
+            req.log.error('Admin reviews error', { error: error });
+            res.status(500).json({
                 success: false,
-                error: 'Password must be at least 6 characters'
+                error: 'Failed to load reviews'
             });
         }
-        
-        // Email validation
-        let cleanEmail = null;
-        if (email && email.trim() !== '') {
-            cleanEmail = email.trim();
-            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-            if (!emailRegex.test(cleanEmail)) {
-                return res.status(400).json({
+    });
+
+    // API: Admin - hide/show review
+    app.post('/api/admin/reviews/:id/hide', requireAdmin, async (req, res) => {
+        try {
+            const reviewId = parseInt(req.params.id);
+            const hidden = req.body.hidden !== false;
+
+            const updated = await db.setReviewHidden(reviewId, hidden);
+
+            if (!updated) {
+                return res.status(404).json({
                     success: false,
-                    error: 'Invalid email format'
+                    error: 'Review not found'
                 });
             }
-        }
-        
-        // Check if user exists
-        const existingUser = await db.getUserByUsername(username);
-        if (existingUser) {
-            return res.status(400).json({
+
+            req.log.info(hidden ? 'Review hidden' : 'Review shown', { reviewId: reviewId, admin: req.user.username });
+
+            res.json({
+                success: true,
+                hidden: hidden
+            });
+
+        } catch (error) {
+            req.log.error('Admin hide review error', { error: error });
+            res.status(500).json({
                 success: false,
-                error: 'Username already taken'
+                error: 'Failed to update review'
             });
         }
-        
-        // Create user
-        const userId = await db.createUser(username, password, cleanEmail);
-        
-        // Set session
-        req.session.userId = userId;
-        req.session.username = username;
-        
-        console.log(`✅ User registered: ${username} (ID: ${userId})`);
-        
-        // Unlock registration achievement
-        await db.unlockAchievement(userId, "With Registration!");
-        
-        res.json({
-            success: true,
-            user: {
-                id: userId,
-                username: username
+    });
+
+    // API: Admin - delete review
+    app.delete('/api/admin/reviews/:id', requireAdmin, async (req, res) => {
+        try {
+            const reviewId = parseInt(req.params.id);
+            const deleted = await db.deleteReview(reviewId);
+
+            if (!deleted) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Review not found'
+                });
             }
-        });
-        
-    } catch (error) {
-        console.error('Registration error:', error);
-        
-        let errorMessage = 'Internal server error';
-        
-        if (error.message && error.message.includes('duplicate key')) {
-            if (error.message.includes('email')) {
-                errorMessage = 'Email already registered';
-            } else if (error.message.includes('username')) {
-                errorMessage = 'Username already taken';
-            }
-        }
-        
-        res.status(500).json({
-            success: false,
-            error: errorMessage
-        });
-    }
-});
 
-// API: Login
-app.post('/api/login', async (req, res) => {
-    try {
-        const { username, password } = req.body;
-        
-        if (!username || !password) {
-            return res.status(400).json({
+            req.log.info('Review deleted', { reviewId: reviewId, admin: req.user.username });
+
+            res.json({
+                success: true
+            });
+
+        } catch (error) {
+            req.log.error('Admin delete review error', { error: error });
+            res.status(500).json({
                 success: false,
-                error: 'Username and password are required'
+                error: 'Failed to delete review'
             });
         }
-        
-        // Verify user
-        const isValid = await db.verifyUser(username, password);
-        if (!isValid) {
-            return res.status(401).json({
+    });
+
+    // Проверка данных новости из формы админки
+    function parseNewsInput(body) {
+        const { slug, title } = body;
+
+        if (!slug || !title || !title.trim()) {
+            return { error: 'Slug and title are required' };
+        }
+
+        if (!SLUG_REGEX.test(slug)) {
+            return { error: 'Slug may contain only lowercase letters, digits and dashes' };
+        }
+
+        let publishedAt = null;
+        if (body.published_at) {
+            const date = new Date(body.published_at);
+            if (isNaN(date.getTime())) {
+                return { error: 'Invalid publication date' };
+            }
+            publishedAt = date;
+        }
+
+        const translationsError = i18n.validateTranslations(body.translations, TRANSLATABLE_FIELDS.news);
+        if (translationsError) {
+            return { error: translationsError };
+        }
+
+        return {
+            news: {
+                slug: slug,
+                title: title.trim(),
+                excerpt: body.excerpt || null,
+                body: body.body || null,
+                cover_image: body.cover_image || null,
+                category: body.category ? body.category.trim().toLowerCase() : null,
+                published_at: publishedAt,
+                is_draft: Boolean(body.is_draft),
+                translations: body.translations || null
+            }
+        };
+    }
+
+    // API: Admin - list news including drafts
+    app.get('/api/admin/news', requireAdmin, async (req, res) => {
+        try {
+            const news = await db.getAllNews();
+
+            res.json({
+                success: true,
+                news: news
+            });
+
+        } catch (error) {
+            req.log.error('Admin news error', { error: error });
+            res.status(500).json({
                 success: false,
-                error: 'Invalid username or password'
+                error: 'Failed to load news'
             });
         }
-        
-        // Get user
-        const user = await db.getUserByUsername(username);
-        
-        // Set session
-        req.session.userId = user.id;
-        req.session.username = user.username;
-        
-        console.log(`✅ User logged in: ${username} (ID: ${user.id})`);
-        
-        res.json({
-            success: true,
-            user: {
-                id: user.id,
-                username: user.username
+    });
+
+    // API: Admin - create news
+    app.post('/api/admin/news', requireAdmin, async (req, res) => {
+        try {
+            const { news, error } = parseNewsInput(req.body);
+
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: error
+                });
             }
-        });
-        
-    } catch (error) {
-        console.error('Login error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Internal server error'
-        });
-    }
-});
 
-// API: Logout
-app.post('/api/logout', (req, res) => {
-    const username = req.session.username;
-    
-    req.session.destroy((err) => {
-        if (err) {
-            console.error('Logout error:', err);
-            return res.status(500).json({
+            const id = await db.createNews({ ...news, author_id: req.user.id });
+
+            res.json({
+                success: true,
+                id: id
+            });
+
+        } catch (error) {
+            req.log.error('Admin create news error', { error: error });
+
+            const duplicate = error.message && error.message.includes('duplicate key');
+            res.status(duplicate ? 400 : 500).json({
                 success: false,
-                error: 'Logout failed'
+                error: duplicate ? 'Slug already taken' : 'Failed to create news'
             });
         }
-        
-        res.clearCookie('connect.sid');
-        console.log(`✅ User logged out: ${username}`);
-        res.json({
-            success: true
-        });
     });
-});
 
-// API: Get user achievements
-app.get('/api/achievements', async (req, res) => {
-    try {
-        const userId = req.session.userId;
-        
-        let achievements = [];
-        let user = null;
-        
-        if (userId) {
-            achievements = await db.getUserAchievements(userId);
-            user = await db.getUserById(userId);
-            console.log(`✅ Achievements loaded for user ${userId}: ${achievements.length} achievements`);
-        } else {
-            // If not authenticated, show all achievements as locked
-            const allAchievements = await db.getAllAchievements();
-            achievements = allAchievements.map(a => ({
-                ...a,
-                unlocked: false
-            }));
-            console.log(`✅ Achievements loaded for guest: ${achievements.length} achievements`);
-        }
-        
-        res.json({
-            success: true,
-            achievements: achievements,
-            user: user
-        });
-        
-    } catch (error) {
-        console.error('Achievements error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to load achievements'
-        });
-    }
-});
+    // API: Admin - update news
+    app.put('/api/admin/news/:id', requireAdmin, async (req, res) => {
+        try {
+            const { news, error } = parseNewsInput(req.body);
 
-// API: Unlock achievement
-app.post('/api/unlock-achievement', async (req, res) => {
-    try {
-        const userId = req.session.userId;
-        const { achievementName } = req.body;
-        
-        if (!userId) {
-            return res.status(401).json({
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: error
+                });
+            }
+
+            const updated = await db.updateNews(parseInt(req.params.id), news);
+
+            if (!updated) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'News not found'
+                });
+            }
+
+            res.json({
+                success: true
+            });
+
+        } catch (error) {
+            req.log.error('Admin update news error', { error: error });
+
+            const duplicate = error.message && error.message.includes('duplicate key');
+            res.status(duplicate ? 400 : 500).json({
                 success: false,
-                error: 'Authentication required'
+                error: duplicate ? 'Slug already taken' : 'Failed to update news'
             });
         }
-        
-        if (!achievementName) {
-            return res.status(400).json({
+    });
+
+    // API: Admin - delete news
+    app.delete('/api/admin/news/:id', requireAdmin, async (req, res) => {
+        try {
+            const deleted = await db.deleteNews(parseInt(req.params.id));
+
+            if (!deleted) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'News not found'
+                });
+            }
+
+            res.json({
+                success: true
+            });
+
+        } catch (error) {
+            req.log.error('Admin delete news error', { error: error });
+            res.status(500).json({
                 success: false,
-                error: 'Achievement name is required'
+                error: 'Failed to delete news'
             });
         }
-        
-        const unlocked = await db.unlockAchievement(userId, achievementName);
-        
-        console.log(`🔓 Achievement "${achievementName}" ${unlocked ? 'unlocked' : 'already unlocked'} for user ${userId}`);
-        
-        res.json({
-            success: unlocked,
-            message: unlocked ? 'Achievement unlocked!' : 'Achievement already unlocked'
-        });
-        
-    } catch (error) {
-        console.error('Unlock achievement error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to unlock achievement'
-        });
+    });
+
+    // Маршруты для HTML страниц - шаблоны из views/pages (см. layout.js)
+    function sendPage(req, res, name, locals = {}) {
+        res.set('Content-Language', req.locale);
+        res.vary('Accept-Language');
+        res.send(renderPage(name, { ...locals, locale: req.locale }));
     }
-});
 
-// API: Get current user info
-app.get('/api/me', async (req, res) => {
-    try {
-        const userId = req.session.userId;
-        
-        if (!userId) {
-            return res.json({
-                authenticated: false,
-                message: 'Not authenticated'
-            });
+    function sendNotFound(req, res) {
+        res.status(404);
+        sendPage(req, res, 'not-found');
+    }
+
+    app.get('/', (req, res) => {
+        sendPage(req, res, 'index', { page: 'news' });
+    });
+
+    app.get('/profile', (req, res) => {
+        sendPage(req, res, 'profile');
+    });
+
+    // Страница админки - только для администраторов
+    app.get('/admin', async (req, res) => {
+        const user = req.session.userId ? await db.getUserById(req.session.userId).catch(() => null) : null;
+
+        if (!user || !user.is_admin || user.is_banned) {
+            return res.redirect('/');
+        }
+
+        sendPage(req, res, 'admin');
+    });
+
+    app.get('/games', (req, res) => {
+        sendPage(req, res, 'games', { page: 'games' });
+    });
+
+    app.get('/about', (req, res) => {
+        sendPage(req, res, 'about', { page: 'about' });
+    });
+
+    // Ввод кода привязки игры; ?code= подставляется из ссылки, которую показывает игра
+    app.get('/link', (req, res) => {
+        sendPage(req, res, 'link');
+    });
+
+    app.get('/leaderboard', (req, res) => {
+        sendPage(req, res, 'leaderboard');
+    });
+
+    app.get('/u/:username', (req, res) => {
+        sendPage(req, res, 'user');
+    });
+
+    // Страница из письма: подтверждение email и сброс пароля
+    app.get(['/verify-email', '/reset-password', '/forgot-password'], (req, res) => {
+        sendPage(req, res, 'account');
+    });
+
+    app.get('/news/:slug', async (req, res) => {
+        const article = await db.getNewsBySlug(req.params.slug).catch(() => null);
+
+        if (!article) {
+            return sendNotFound(req, res);
         }
-        
-        const user = await db.getUserById(userId);
-        
-        if (!user) {
-            req.session.destroy();
-            return res.json({
-                authenticated: false,
-                message: 'User not found'
+
+        sendPage(req, res, 'news', { page: 'news' });
+    });
+
+    // Скачивание релиза игры; версия latest - последний загруженный релиз
+    app.get('/downloads/:gameSlug/:version', async (req, res) => {
+        try {
+            const game = await db.getGame(req.params.gameSlug);
+            const release = !game ? null : req.params.version === 'latest'
+                ? await db.getLatestRelease(game.id)
+                : await db.getRelease(game.id, req.params.version);
+            const filePath = release ? releases.releasePath(gameReleasesDir, release) : null;
+
+            if (!release || !fs.existsSync(filePath)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Release not found'
+                });
+            }
+
+            // Докачку (Range не с нуля) повторно не считаем. HEAD express тоже отдаёт сюда,
+            // но это проверка ссылки (превью в чатах, менеджеры загрузок), а не скачивание
+            const range = req.headers.range;
+            if (req.method !== 'HEAD' && (!range || /^bytes=0-/.test(range))) {
+                await db.incrementReleaseDownloads(release.id);
+
+                const userId = req.session.userId;
+                if (userId) {
+                    await processEvent(req, userId, 'game_download', game.slug);
+                } else {
+                    recordGuestEvent(req, 'game_download', game.slug);
+                }
+            }
+
+            req.log.info('Release downloaded', { game: game.slug, version: release.version });
+
+            res.set('X-Checksum-SHA256', release.sha256);
+            res.download(filePath, release.file_name);
+
+        } catch (error) {
+            req.log.error('Download error', { error: error });
+            res.status(500).json({
+                success: false,
+                error: 'Download failed'
             });
         }
-        
-        res.json({
-            authenticated: true,
-            user: {
-                id: user.id,
-                username: user.username,
-                email: user.email || ''
+    });
+
+    // Прямые маршруты для ссылок
+    app.get('/games/games.html', (req, res) => {
+        res.redirect('/games');
+    });
+
+    app.get('/aboutUs/aboutUs.html', (req, res) => {
+        res.redirect('/about');
+    });
+
+    // Страница одной игры собирается на сервере: ссылку на неё можно отправить,
+    // и поисковики с превью в чатах видят название, описание и картинку.
+    // Адрес по id (/games/1) ведёт на постоянный адрес по slug
+    app.get('/games/:slug', async (req, res) => {
+        try {
+            const found = await db.getGame(req.params.slug);
+
+            if (!found) {
+                return sendNotFound(req, res);
             }
-        });
-        
-    } catch (error) {
-        console.error('Get user error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Internal server error'
-        });
-    }
-});
-
-// Маршруты для HTML страниц - ВСЕ ИЗ ПАПКИ public
-app.get('/', (req, res) => {
-    const indexPath = path.join(publicDir, 'index.html');
-    console.log('📄 Serving index.html from:', indexPath);
-    
-    if (fs.existsSync(indexPath)) {
-        res.sendFile(indexPath);
-    } else {
-        res.status(404).send(`
-            <h1>Error: index.html not found</h1>
-            <p>Expected at: ${indexPath}</p>
-            <p>Current directory: ${__dirname}</p>
-        `);
-    }
-});
-
-app.get('/profile', (req, res) => {
-    const profilePath = path.join(publicDir, 'profile.html');
-    console.log('👤 Serving profile.html from:', profilePath);
-    
-    if (fs.existsSync(profilePath)) {
-        res.sendFile(profilePath);
-    } else {
-        console.log('Profile not found, redirecting to /');
-        res.redirect('/');
-    }
-});
-
-app.get('/games', (req, res) => {
-    const gamesPath = path.join(publicDir, 'games', 'games.html');
-    console.log('🎮 Serving games.html from:', gamesPath);
-    
-    if (fs.existsSync(gamesPath)) {
-        res.sendFile(gamesPath);
-    } else {
-        // Альтернативный путь
-        const altPath = path.join(publicDir, 'games.html');
-        if (fs.existsSync(altPath)) {
-            res.sendFile(altPath);
-        } else {
-            console.log('Games not found, redirecting to /');
-            res.redirect('/');
+
+            if (found.slug !== req.params.slug) {
+                return res.redirect(301, `/games/${encodeURIComponent(found.slug)}`);
+            }
+
+            const game = withDownloadUrls(localizeGame(found, req.locale));
+            const latestRelease = game.releases[0];
+
+            // Кнопка скачивания - как в модальном окне каталога
+            let download;
+            if (!game.download_available) {
+                download = { href: '#', label: i18n.translate(req.locale, 'client.games.comingSoon'), className: 'unavailable', track: false };
+            } else if (latestRelease) {
+                download = {
+                    href: latestRelease.download_url,
+                    label: i18n.translate(req.locale, 'client.games.downloadVersion', { version: latestRelease.version }),
+                    className: 'download',
+                    track: false
+                };
+            } else {
+                download = { href: game.download_link || '#', label: i18n.translate(req.locale, 'client.games.downloadNow'), className: 'download', track: true };
+            }
+            download.status = i18n.translate(req.locale, game.download_available ? 'pages.game.available' : 'pages.game.inDevelopment');
+
+            sendPage(req, res, 'game', {
+                page: 'games',
+                game: game,
+                download: download,
+                meta: {
+                    title: `${game.title} - xtteam`,
+                    description: summarize(game.description),
+                    url: `${publicUrl(req)}/games/${encodeURIComponent(game.slug)}`,
+                    image: absoluteUrl(req, game.image),
+                    ogLocale: OG_LOCALES[req.locale]
+                }
+            });
+
+        } catch (error) {
+            req.log.error('Game page error', { error: error });
+            res.status(500).type('text/plain').send('Failed to load game');
         }
-    }
-});
-
-app.get('/about', (req, res) => {
-    const aboutPath = path.join(publicDir, 'aboutUs', 'aboutUs.html');
-    console.log('👥 Serving aboutUs.html from:', aboutPath);
-    
-    if (fs.existsSync(aboutPath)) {
-        res.sendFile(aboutPath);
-    } else {
-        // Альтернативный путь
-        const altPath = path.join(publicDir, 'aboutUs.html');
-        if (fs.existsSync(altPath)) {
-            res.sendFile(altPath);
-        } else {
-            console.log('About not found, redirecting to /');
-            res.redirect('/');
+    });
+
+    // Карта сайта для поисковиков: основные страницы, все игры и опубликованные новости
+    app.get('/sitemap.xml', async (req, res) => {
+        try {
+            const base = publicUrl(req);
+            const games = await db.getAllGames();
+            const news = await db.getPublishedNewsSlugs();
+
+            const urls = [
+                ...SITEMAP_PAGES.map(page => ({ loc: `${base}${page}` })),
+                ...games.map(game => ({ loc: `${base}/games/${encodeURIComponent(game.slug)}` })),
+                ...news.map(article => ({
+                    loc: `${base}/news/${encodeURIComponent(article.slug)}`,
+                    lastmod: new Date(article.published_at).toISOString().slice(0, 10)
+                }))
+            ];
+
+            const entries = urls.map(url => [
+                '  <url>',
+                `    <loc>${escapeXml(url.loc)}</loc>`,
+                ...(url.lastmod ? [`    <lastmod>${url.lastmod}</lastmod>`] : []),
+                '  </url>'
+            ].join('\n'));
+
+            res.type('application/xml');
+            res.send([
+                '<?xml version="1.0" encoding="UTF-8"?>',
+                '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+                ...entries,
+                '</urlset>',
+                ''
+            ].join('\n'));
+
+        } catch (error) {
+            req.log.error('Sitemap error', { error: error });
+            res.status(500).type('text/plain').send('Failed to build sitemap');
         }
-    }
-});
-
-// Прямые маршруты для ссылок
-app.get('/games/games.html', (req, res) => {
-    res.redirect('/games');
-});
-
-app.get('/aboutUs/aboutUs.html', (req, res) => {
-    res.redirect('/about');
-});
-
-// Fallback для API
-app.get('/api/*', (req, res) => {
-    res.status(404).json({ 
-        error: 'API endpoint not found',
-        path: req.path 
-    });
-});
-
-// Fallback для всех других маршрутов - пробуем найти файл в public
-app.get('*', (req, res) => {
-    const requestedPath = req.path;
-    
-    // Пробуем найти файл в public
-    const filePath = path.join(publicDir, requestedPath);
-    
-    if (fs.existsSync(filePath) && !fs.lstatSync(filePath).isDirectory()) {
-        console.log(`📄 Serving static file: ${requestedPath}`);
-        res.sendFile(filePath);
-    } else {
-        // Редирект на главную
-        console.log(`🔀 Route not found: ${requestedPath}, redirecting to /`);
-        res.redirect('/');
-    }
-});
-
-// Start server
-app.listen(PORT, '0.0.0.0', () => {
-    console.log(`\n✅ Server running on port ${PORT}`);
-    console.log(`🌐 Access: http://localhost:${PORT}`);
-    console.log(`📊 Database: PostgreSQL`);
-    
-    // Проверяем ключевые файлы
-    console.log('\n📋 File system check:');
-    
-    const checkPaths = [
-        { name: 'public/index.html', path: path.join(publicDir, 'index.html') },
-        { name: 'public/profile.html', path: path.join(publicDir, 'profile.html') },
-        { name: 'public/games/games.html', path: path.join(publicDir, 'games', 'games.html') },
-        { name: 'public/aboutUs/aboutUs.html', path: path.join(publicDir, 'aboutUs', 'aboutUs.html') },
-        { name: 'server.js', path: path.join(rootDir, 'server.js') },
-        { name: 'db.js', path: path.join(rootDir, 'db.js') }
-    ];
-    
-    checkPaths.forEach(item => {
-        const exists = fs.existsSync(item.path);
-        console.log(`  ${exists ? '✅' : '❌'} ${item.name}`);
-    });
-    
-    console.log('\n🚀 Server is ready!');
-});
\ No newline at end of file
+    });
+
+    app.get('/robots.txt', (req, res) => {
+        res.type('text/plain');
+        res.send([
+            'User-agent: *',
+            ...ROBOTS_DISALLOW.map(pathPrefix => `Disallow: ${pathPrefix}`),
+            '',
+            `Sitemap: ${publicUrl(req)}/sitemap.xml`,
+            ''
+        ].join('\n'));
+    });
+
+    // Fallback для API: любой метод, чтобы неизвестный POST/PUT/DELETE тоже получил JSON
+    app.all('/api/*', (req, res) => {
+        res.status(404).json({
+            success: false,
+            error: 'API endpoint not found',
+            path: req.path 
+        });
+    });
+
+    // Остальные адреса: файлы из public уже отдал express.static, здесь - только неизвестные страницы
+    app.get('*', (req, res) => {
+        sendNotFound(req, res);
+    });
+
+    return app;
+}
+
+// Start server (после миграций БД); при require() из тестов сервер не запускается
+if (require.main === module) {
+    const logger = defaultLogger;
+    logger.info('Server starting', { nodeEnv: process.env.NODE_ENV, rootDir: rootDir });
+
+    const db = new Database();
+    const app = createApp(db);
+
+    db.migrate().then(() => {
+        app.listen(PORT, '0.0.0.0', () => {
+            logger.info('Server running', {
+                port: PORT,
+                database: db.driver === 'sqlite' ? 'SQLite' : 'PostgreSQL'
+            });
+
+            // Проверяем ключевые файлы
+            const checkPaths = [
+                { name: 'views/pages/index.html', path: path.join(viewsDir, 'pages', 'index.html') },
+                { name: 'views/pages/profile.html', path: path.join(viewsDir, 'pages', 'profile.html') },
+                { name: 'views/pages/games.html', path: path.join(viewsDir, 'pages', 'games.html') },
+                { name: 'views/pages/about.html', path: path.join(viewsDir, 'pages', 'about.html') },
+                { name: 'views/partials/header.html', path: path.join(viewsDir, 'partials', 'header.html') },
+                { name: 'server.js', path: path.join(rootDir, 'server.js') },
+                { name: 'db.js', path: path.join(rootDir, 'db.js') }
+            ];
+
+            const missing = checkPaths.filter(item => !fs.existsSync(item.path)).map(item => item.name);
+            if (missing.length > 0) {
+                logger.warn('Key files are missing', { files: missing });
+            }
+        });
+    }).catch((error) => {
+        logger.error('Server not started: database migration failed', { error: error });
+        process.exit(1);
+    });
+}
+
+module.exports = { createApp };
@@ -0,0 +1,65 @@
+// Хранилище express-session в таблице sessions (через методы db.js),
+// чтобы сессии переживали деплой и перезапуск сервера.
+const session = require('express-session');
+const { logger } = require('./logger.js');
+
+const DEFAULT_TTL = 24 * 60 * 60 * 1000; // Если у cookie нет срока - храним сутки
+const CLEANUP_INTERVAL = 15 * 60 * 1000; // Как часто удалять истёкшие сессии
+
+class DbSessionStore extends session.Store {
+    constructor(db) {
+        super();
+        this.db = db;
+
+        // unref: таймер уборки не должен держать процесс (тесты, остановка сервера)
+        this.cleanupTimer = setInterval(() => this.cleanup(), CLEANUP_INTERVAL);
+        this.cleanupTimer.unref();
+    }
+
+    expiresAt(sess) {
+        const expires = sess.cookie && sess.cookie.expires;
+        return expires ? new Date(expires) : new Date(Date.now() + DEFAULT_TTL);
+    }
+
+    get(sid, callback) {
+        this.db.getSession(sid)
+            .then(data => callback(null, data))
+            .catch(callback);
+    }
+
+    set(sid, sess, callback) {
+        this.db.saveSession(sid, sess, this.expiresAt(sess))
+            .then(() => callback && callback(null))
+            .catch(error => callback && callback(error));
+    }
+
+    // Продление срока без перезаписи данных
+    touch(sid, sess, callback) {
+        this.db.touchSession(sid, this.expiresAt(sess))
+            .then(() => callback && callback(null))
+            .catch(error => callback && callback(error));
+    }
+
+    destroy(sid, callback) {
+        this.db.deleteSession(sid)
+            .then(() => callback && callback(null))
+            .catch(error => callback && callback(error));
+    }
+
+    async cleanup() {
+        try {
+            const removed = await this.db.deleteExpiredSessions();
+            if (removed > 0) {
+                logger.info('Expired sessions removed', { count: removed });
+            }
+        } catch (error) {
+            logger.error('Session cleanup error', { error: error });
+        }
+    }
+
+    close() {
+        clearInterval(this.cleanupTimer);
+    }
+}
+
+module.exports = { DbSessionStore };
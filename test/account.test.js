@@ -0,0 +1,118 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createClient } = require('./helpers');
+
+describe('Account settings', () => {
+    let server;
+    let mailer;
+    let ivy;
+
+    before(async () => {
+        mailer = {
+            sent: [],
+            async send(message) {
+                this.sent.push(message);
+            }
+        };
+        server = await startServer({ mailer });
+
+        ivy = createClient(server.baseUrl);
+        await ivy.post('/api/register', { username: 'ivy', password: 'secret1' });
+        await createClient(server.baseUrl).post('/api/register', { username: 'jack', password: 'secret1', email: 'jack@example.com' });
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('requires authentication', async () => {
+        const guest = createClient(server.baseUrl);
+
+        assert.equal((await guest.put('/api/me/password', { current_password: 'a', new_password: 'bbbbbb' })).status, 401);
+        assert.equal((await guest.put('/api/me/email', { email: 'x@example.com', password: 'a' })).status, 401);
+        assert.equal((await guest.delete('/api/me', { password: 'a' })).status, 401);
+        assert.equal((await guest.get('/api/me/export')).status, 401);
+    });
+
+    it('changes the password only with the current one', async () => {
+        const wrong = await ivy.put('/api/me/password', { current_password: 'wrong', new_password: 'secret2' });
+        assert.equal(wrong.status, 403);
+
+        const short = await ivy.put('/api/me/password', { current_password: 'secret1', new_password: '123' });
+        assert.equal(short.status, 400);
+
+        const res = await ivy.put('/api/me/password', { current_password: 'secret1', new_password: 'secret2' });
+        assert.equal(res.status, 200);
+
+        const login = await createClient(server.baseUrl).post('/api/login', { username: 'ivy', password: 'secret2' });
+        assert.equal(login.status, 200);
+    });
+
+    it('rejects values that are not strings', async () => {
+        for (const body of [
+            { current_password: 'secret2', new_password: 12345678 },
+            { current_password: 'secret2', new_password: ['secret3'] },
+            { current_password: { $ne: '' }, new_password: 'secret3' }
+        ]) {
+            assert.equal((await ivy.put('/api/me/password', body)).status, 400, JSON.stringify(body));
+        }
+
+        assert.equal((await ivy.put('/api/me/email', { email: ['ivy@example.com'], password: 'secret2' })).status, 400);
+        assert.equal((await ivy.put('/api/me/email', { email: 'ivy@example.com', password: 12345678 })).status, 400);
+        assert.equal((await ivy.delete('/api/me', { password: ['secret2'] })).status, 400);
+    });
+
+    it('adds an email and asks to confirm it', async () => {
+        const before = mailer.sent.length;
+
+        const taken = await ivy.put('/api/me/email', { email: 'JACK@example.com', password: 'secret2' });
+        assert.equal(taken.status, 400);
+
+        const invalid = await ivy.put('/api/me/email', { email: 'not-an-email', password: 'secret2' });
+        assert.equal(invalid.status, 400);
+
+        const wrong = await ivy.put('/api/me/email', { email: 'ivy@example.com', password: 'wrong' });
+        assert.equal(wrong.status, 403);
+
+        const res = await ivy.put('/api/me/email', { email: 'ivy@example.com', password: 'secret2' });
+        assert.equal(res.status, 200);
+        assert.equal(mailer.sent.length, before + 1);
+        assert.equal(mailer.sent[mailer.sent.length - 1].to, 'ivy@example.com');
+
+        const me = await ivy.get('/api/me');
+        assert.equal(me.body.user.email, 'ivy@example.com');
+        assert.equal(me.body.user.email_verified, false);
+    });
+
+    it('exports profile and unlocked achievements', async () => {
+        const res = await ivy.get('/api/me/export');
+
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get('content-disposition'), /attachment; filename="xtteam-ivy.json"/);
+        assert.equal(res.body.profile.username, 'ivy');
+        assert.equal(res.body.profile.email, 'ivy@example.com');
+        assert.equal(res.body.profile.password_hash, undefined);
+        assert.deepEqual(res.body.achievements.map(a => a.slug), ['with-registration']);
+        assert.ok(res.body.achievements[0].unlocked_at);
+    });
+
+    it('deletes the account with its achievements', async () => {
+        const user = await server.db.getUserByUsername('ivy');
+
+        const wrong = await ivy.delete('/api/me', { password: 'wrong' });
+        assert.equal(wrong.status, 403);
+
+        const res = await ivy.delete('/api/me', { password: 'secret2' });
+        assert.equal(res.status, 200);
+
+        const me = await ivy.get('/api/me');
+        assert.equal(me.body.authenticated, false);
+
+        assert.equal(await server.db.getUserByUsername('ivy'), null);
+        const achievements = await server.db.getUserAchievements(user.id);
+        assert.ok(achievements.every(a => !a.unlocked));
+
+        const login = await createClient(server.baseUrl).post('/api/login', { username: 'ivy', password: 'secret2' });
+        assert.equal(login.status, 401);
+    });
+});
@@ -0,0 +1,284 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createClient, promoteToAdmin } = require('./helpers');
+
+describe('Achievements', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('shows all achievements locked to guests', async () => {
+        const res = await createClient(server.baseUrl).get('/api/achievements');
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.user, null);
+        assert.ok(res.body.achievements.length > 0);
+        assert.ok(res.body.achievements.every(a => a.unlocked === false));
+    });
+
+    it('keeps events of guests in the session and credits them on sign up', async () => {
+        const guest = createClient(server.baseUrl);
+
+        const res = await guest.post('/api/events', { type: 'page_visit', target: 'about' });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.guest, true);
+        assert.deepEqual(res.body.unlocked.map(a => a.slug), ['team-introduction']);
+
+        await guest.post('/api/events', { type: 'tile_hover', target: 'tile-1' });
+
+        const before = (await guest.get('/api/achievements')).body.achievements;
+        assert.equal(before.find(a => a.slug === 'team-introduction').unlocked, true);
+        assert.deepEqual(before.find(a => a.slug === 'curious').progress, { current: 1, target: 7 });
+
+        const registered = await guest.post('/api/register', { username: 'kate', password: 'secret1' });
+        assert.deepEqual(registered.body.unlocked.map(a => a.slug), ['team-introduction']);
+
+        const after = (await guest.get('/api/achievements')).body.achievements;
+        const unlocked = after.filter(a => a.unlocked).map(a => a.slug).sort();
+        assert.deepEqual(unlocked, ['team-introduction', 'with-registration']);
+        assert.deepEqual(after.find(a => a.slug === 'curious').progress, { current: 1, target: 7 });
+
+        // Перенесённые события не засчитываются второй раз
+        await guest.post('/api/logout');
+        await guest.post('/api/login', { username: 'kate', password: 'secret1' });
+        const userId = (await server.db.getUserByUsername('kate')).id;
+        assert.equal((await server.db.getUserEvents(userId, 'page_visit')).length, 1);
+    });
+
+    it('merges guest achievements into an existing account on login', async () => {
+        const owner = createClient(server.baseUrl);
+        await owner.post('/api/register', { username: 'liam', password: 'secret1' });
+        await owner.post('/api/events', { type: 'tile_hover', target: 'tile-1' });
+
+        const guest = createClient(server.baseUrl);
+        for (let tile = 2; tile <= 7; tile++) {
+            await guest.post('/api/events', { type: 'tile_hover', target: `tile-${tile}` });
+        }
+        // Гостю не хватает плитки, которую игрок навёл раньше из аккаунта
+        const guestView = (await guest.get('/api/achievements')).body.achievements;
+        assert.equal(guestView.find(a => a.slug === 'curious').unlocked, false);
+
+        const login = await guest.post('/api/login', { username: 'liam', password: 'secret1' });
+        assert.deepEqual(login.body.unlocked.map(a => a.slug), ['curious']);
+
+        const achievements = (await owner.get('/api/achievements')).body.achievements;
+        assert.equal(achievements.find(a => a.slug === 'curious').unlocked, true);
+    });
+
+    it('keeps the original time of guest achievements', async () => {
+        const userId = await server.db.createUser('mona', 'secret1');
+        const achievementRules = require('../achievementRules.js');
+
+        const unlocked = await achievementRules.mergeGuestEvents(server.db, userId, [
+            { type: 'page_visit', target: 'about', created_at: '2026-01-02T03:04:05.000Z' }
+        ]);
+        assert.deepEqual(unlocked.map(a => a.slug), ['team-introduction']);
+
+        const achievement = (await server.db.getUserAchievements(userId)).find(a => a.slug === 'team-introduction');
+        assert.equal(new Date(achievement.unlocked_at).toISOString(), '2026-01-02T03:04:05.000Z');
+
+        const events = await server.db.getUserEvents(userId, 'page_visit');
+        assert.equal(new Date(events[0].created_at).toISOString(), '2026-01-02T03:04:05.000Z');
+    });
+
+    it('unlocks only the registration achievement on sign up', async () => {
+        const client = createClient(server.baseUrl);
+        await client.post('/api/register', { username: 'carol', password: 'secret1' });
+
+        const res = await client.get('/api/achievements');
+        assert.equal(res.body.user.username, 'carol');
+
+        const unlocked = res.body.achievements.filter(a => a.unlocked).map(a => a.slug);
+        assert.deepEqual(unlocked, ['with-registration']);
+    });
+
+    it('unlocks an achievement exactly once', async () => {
+        const client = createClient(server.baseUrl);
+        await client.post('/api/register', { username: 'dave', password: 'secret1' });
+
+        const first = await client.post('/api/events', { type: 'page_visit', target: 'about' });
+        assert.equal(first.status, 200);
+        assert.deepEqual(first.body.unlocked.map(a => a.slug), ['team-introduction']);
+
+        const second = await client.post('/api/events', { type: 'page_visit', target: 'about' });
+        assert.equal(second.status, 200);
+        assert.deepEqual(second.body.unlocked, []);
+
+        const res = await client.get('/api/achievements');
+        const teamIntroduction = res.body.achievements.filter(a => a.slug === 'team-introduction');
+        assert.equal(teamIntroduction.length, 1);
+        assert.equal(teamIntroduction[0].unlocked, true);
+    });
+
+    it('stores repeated events only when a rule counts them', async () => {
+        await server.db.createUser('fred', 'secret1');
+        const client = createClient(server.baseUrl);
+        await client.post('/api/login', { username: 'fred', password: 'secret1' });
+        const userId = (await server.db.getUserByUsername('fred')).id;
+
+        for (let i = 0; i < 3; i++) {
+            await client.post('/api/events', { type: 'page_visit', target: 'about' });
+            await client.post('/api/events', { type: 'tile_hover', target: 'tile-1' });
+        }
+
+        assert.equal((await server.db.getUserEvents(userId, 'page_visit')).length, 1);
+        assert.equal((await server.db.getUserEvents(userId, 'tile_hover')).length, 1);
+    });
+
+    it('accepts news views only for published news', async () => {
+        await server.db.createUser('nora', 'secret1');
+        const client = createClient(server.baseUrl);
+        await client.post('/api/login', { username: 'nora', password: 'secret1' });
+
+        assert.equal((await client.post('/api/events', { type: 'news_view', target: 'no-such-news' })).status, 400);
+        assert.equal((await client.post('/api/events', { type: 'news_view' })).status, 400);
+        assert.equal((await client.post('/api/events', { type: 'news_view', target: 'jarvis-start-xtteam-site' })).status, 200);
+    });
+
+    it('finds the event that completed a rule', () => {
+        const achievementRules = require('../achievementRules.js');
+        const at = minute => ({ type: 'tile_hover', target: `tile-${minute % 3}`, created_at: `2026-01-01T00:0${minute}:00.000Z` });
+        const events = [at(4), at(1), at(3), at(2), at(5)];
+
+        const iso = date => date && date.toISOString();
+        assert.equal(iso(achievementRules.completedAt({ event: 'tile_hover', min: 3 }, events)), '2026-01-01T00:03:00.000Z');
+        assert.equal(iso(achievementRules.completedAt({ event: 'tile_hover', distinct: true, min: 3 }, events)), '2026-01-01T00:03:00.000Z');
+        assert.equal(iso(achievementRules.completedAt({ event: 'tile_hover', distinct: true, min: 4 }, events)), null);
+        assert.equal(iso(achievementRules.completedAt({ event: 'tile_hover', target: 'tile-2' }, events)), '2026-01-01T00:02:00.000Z');
+
+        const games = [{ type: 'game_download', target: 'b', created_at: '2026-01-01T00:01:00.000Z' },
+            { type: 'game_download', target: 'x', created_at: '2026-01-01T00:02:00.000Z' },
+            { type: 'game_download', target: 'a', created_at: '2026-01-01T00:03:00.000Z' }];
+        const every = { event: 'game_download', every: 'available_games' };
+        assert.equal(iso(achievementRules.completedAt(every, games, { availableGames: ['a', 'b'] })), '2026-01-01T00:03:00.000Z');
+        assert.equal(iso(achievementRules.completedAt(every, games, { availableGames: [] })), null);
+    });
+
+    it('keeps unlocks per user', async () => {
+        const client = createClient(server.baseUrl);
+        await client.post('/api/register', { username: 'erin', password: 'secret1' });
+
+        const res = await client.get('/api/achievements');
+        const teamIntroduction = res.body.achievements.find(a => a.slug === 'team-introduction');
+        assert.equal(teamIntroduction.unlocked, false);
+    });
+
+    it('keeps progress of multi-step achievements until the target is reached', async () => {
+        const client = createClient(server.baseUrl);
+        await client.post('/api/register', { username: 'gina', password: 'secret1' });
+
+        const bySlug = async () => Object.fromEntries(
+            (await client.get('/api/achievements')).body.achievements.map(a => [a.slug, a])
+        );
+
+        let achievements = await bySlug();
+        assert.deepEqual(achievements['curious'].progress, { current: 0, target: 7 });
+        assert.equal(achievements['team-introduction'].progress, null);
+
+        // Повтор той же плитки не считается
+        await client.post('/api/events', { type: 'tile_hover', target: 'tile-1' });
+        await client.post('/api/events', { type: 'tile_hover', target: 'tile-1' });
+        await client.post('/api/events', { type: 'tile_hover', target: 'tile-2' });
+
+        achievements = await bySlug();
+        assert.deepEqual(achievements['curious'].progress, { current: 2, target: 7 });
+        assert.equal(achievements['curious'].unlocked, false);
+
+        let last;
+        for (let tile = 3; tile <= 7; tile++) {
+            last = await client.post('/api/events', { type: 'tile_hover', target: `tile-${tile}` });
+        }
+        assert.deepEqual(last.body.unlocked.map(a => a.slug), ['curious']);
+
+        achievements = await bySlug();
+        assert.equal(achievements['curious'].unlocked, true);
+        assert.deepEqual(achievements['curious'].progress, { current: 7, target: 7 });
+
+        // Цель "все доступные игры" зависит от каталога
+        const games = (await client.get('/api/games')).body.games.filter(game => game.download_available);
+        assert.equal(achievements['gamer'].progress.target, games.length);
+    });
+
+    it('hides secret achievements until they are unlocked', async () => {
+        const admin = createClient(server.baseUrl);
+        await admin.post('/api/register', { username: 'helen', password: 'secret1' });
+        await promoteToAdmin(server.db, 'helen');
+
+        const badTier = await admin.post('/api/admin/achievements', { name: 'Shiny', description: 'x', tier: 'platinum' });
+        assert.equal(badTier.status, 400);
+
+        const created = await admin.post('/api/admin/achievements', {
+            name: 'Night Owl',
+            slug: 'night-owl',
+            description: 'Read the news twice',
+            category: 'news',
+            tier: 'gold',
+            points: 100,
+            is_hidden: true,
+            rule: { event: 'news_view', min: 2 }
+        });
+        assert.equal(created.status, 200);
+
+        const findSecret = async (client) => (await client.get('/api/achievements')).body.achievements
+            .find(a => a.id === created.body.id);
+
+        const guestView = await findSecret(createClient(server.baseUrl));
+        assert.equal(guestView.slug, null);
+        assert.equal(guestView.name, 'Secret achievement');
+        assert.equal(guestView.rule, null);
+        assert.equal(guestView.tier, 'gold');
+        assert.equal(guestView.points, 100);
+
+        const player = createClient(server.baseUrl);
+        await player.post('/api/register', { username: 'ivan', password: 'secret1' });
+        assert.equal((await findSecret(player)).name, 'Secret achievement');
+
+        await player.post('/api/events', { type: 'news_view', target: 'jarvis-start-xtteam-site' });
+        const unlocked = await player.post('/api/events', { type: 'news_view', target: 'jarvis-start-xtteam-site' });
+        assert.ok(unlocked.body.unlocked.some(a => a.slug === 'night-owl'));
+
+        const revealed = await findSecret(player);
+        assert.equal(revealed.name, 'Night Owl');
+        assert.equal(revealed.unlocked, true);
+    });
+
+    it('sums points and counts achievements per tier', async () => {
+        const client = createClient(server.baseUrl);
+        await client.post('/api/register', { username: 'judy', password: 'secret1' });
+        await client.post('/api/events', { type: 'page_visit', target: 'about' });
+
+        const res = await client.get('/api/achievements');
+        const all = res.body.achievements;
+        const score = res.body.score;
+
+        assert.equal(score.points, 20); // With Registration! и Team Introduction, по 10 очков
+        assert.equal(score.total_points, all.reduce((sum, a) => sum + a.points, 0));
+        assert.deepEqual(score.tiers.bronze, { unlocked: 2, total: all.filter(a => a.tier === 'bronze').length });
+        assert.equal(score.tiers.gold.unlocked, 0);
+
+        const profile = await client.get('/api/users/judy');
+        assert.equal(profile.body.profile.points, 20);
+    });
+
+    it('rejects unknown event types and targets', async () => {
+        const client = createClient(server.baseUrl);
+        await client.post('/api/register', { username: 'frank', password: 'secret1' });
+
+        const unknownType = await client.post('/api/events', { type: 'unlock_everything' });
+        assert.equal(unknownType.status, 400);
+        assert.equal(unknownType.body.error, 'Unknown event type');
+
+        const unknownTarget = await client.post('/api/events', { type: 'page_visit', target: 'admin' });
+        assert.equal(unknownTarget.status, 400);
+        assert.equal(unknownTarget.body.error, 'Unknown event target');
+
+        const unknownGame = await client.post('/api/events', { type: 'game_download', target: 'no-such-game' });
+        assert.equal(unknownGame.status, 400);
+    });
+});
@@ -0,0 +1,120 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createClient } = require('./helpers');
+
+describe('Registration and sessions', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    describe('POST /api/register', () => {
+        const invalidCases = [
+            [{ password: 'secret1' }, 'Username and password are required'],
+            [{ username: 'alice' }, 'Username and password are required'],
+            [{ username: 'al', password: 'secret1' }, 'Username must be at least 3 characters', 'username'],
+            [{ username: 'alice', password: '12345' }, 'Password must be at least 6 characters', 'password'],
+            [{ username: 'alice', password: 'secret1', email: 'not-an-email' }, 'Invalid email format', 'email']
+        ];
+
+        for (const [body, error, field] of invalidCases) {
+            it(`rejects ${JSON.stringify(body)}`, async () => {
+                const res = await createClient(server.baseUrl).post('/api/register', body);
+
+                assert.equal(res.status, 400);
+                assert.deepEqual(res.body, field ? { success: false, error, field } : { success: false, error });
+            });
+        }
+
+        it('creates the user and logs them in', async () => {
+            const client = createClient(server.baseUrl);
+
+            const res = await client.post('/api/register', {
+                username: 'alice', password: 'secret1', email: 'alice@example.com'
+            });
+            assert.equal(res.status, 200);
+            assert.equal(res.body.success, true);
+            assert.equal(res.body.user.username, 'alice');
+
+            const me = await client.get('/api/me');
+            assert.equal(me.body.authenticated, true);
+            assert.equal(me.body.user.username, 'alice');
+            assert.equal(me.body.user.email, 'alice@example.com');
+        });
+
+        it('rejects a taken username', async () => {
+            const res = await createClient(server.baseUrl).post('/api/register', {
+                username: 'alice', password: 'secret2'
+            });
+
+            assert.equal(res.status, 400);
+            assert.equal(res.body.error, 'Username already taken');
+        });
+
+        it('rejects an already registered email', async () => {
+            const res = await createClient(server.baseUrl).post('/api/register', {
+                username: 'alice2', password: 'secret1', email: 'alice@example.com'
+            });
+
+            assert.equal(res.status, 400);
+            assert.equal(res.body.error, 'Email already registered');
+        });
+    });
+
+    describe('POST /api/login and /api/logout', () => {
+        before(async () => {
+            await createClient(server.baseUrl).post('/api/register', { username: 'bob', password: 'secret1' });
+        });
+
+        it('rejects a wrong password', async () => {
+            const client = createClient(server.baseUrl);
+
+            const res = await client.post('/api/login', { username: 'bob', password: 'wrong-password' });
+            assert.equal(res.status, 401);
+            assert.equal(res.body.error, 'Invalid username or password');
+
+            const me = await client.get('/api/me');
+            assert.equal(me.body.authenticated, false);
+        });
+
+        it('rejects an unknown user', async () => {
+            const res = await createClient(server.baseUrl).post('/api/login', { username: 'nobody', password: 'secret1' });
+
+            assert.equal(res.status, 401);
+        });
+
+        it('keeps the session between requests and ends it on logout', async () => {
+            const client = createClient(server.baseUrl);
+
+            const login = await client.post('/api/login', { username: 'bob', password: 'secret1' });
+            assert.equal(login.status, 200);
+            assert.equal(login.body.user.username, 'bob');
+
+            const me = await client.get('/api/me');
+            assert.equal(me.body.authenticated, true);
+            assert.equal(me.body.user.username, 'bob');
+
+            const logout = await client.post('/api/logout');
+            assert.deepEqual(logout.body, { success: true });
+
+            const afterLogout = await client.get('/api/me');
+            assert.equal(afterLogout.body.authenticated, false);
+        });
+
+        it('refuses banned users', async () => {
+            const user = await server.db.getUserByUsername('bob');
+            await server.db.setUserBanned(user.id, true);
+
+            const res = await createClient(server.baseUrl).post('/api/login', { username: 'bob', password: 'secret1' });
+            assert.equal(res.status, 403);
+            assert.equal(res.body.error, 'Account is banned');
+
+            await server.db.setUserBanned(user.id, false);
+        });
+    });
+});
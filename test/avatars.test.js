@@ -0,0 +1,128 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const sharp = require('sharp');
+const { startServer, createClient } = require('./helpers');
+
+function createImage(format, width = 300, height = 200) {
+    return sharp({
+        create: { width, height, channels: 3, background: '#6C5CE7' }
+    })[format]().toBuffer();
+}
+
+async function fetchImage(server, url) {
+    const response = await fetch(server.baseUrl + url);
+    return {
+        status: response.status,
+        contentType: response.headers.get('content-type'),
+        data: Buffer.from(await response.arrayBuffer())
+    };
+}
+
+describe('Avatars', () => {
+    let server;
+    let alice;
+
+    before(async () => {
+        server = await startServer();
+
+        alice = createClient(server.baseUrl);
+        await alice.post('/api/register', { username: 'alice', password: 'secret1' });
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('requires sign-in', async () => {
+        const res = await createClient(server.baseUrl).post('/api/me/avatar', await createImage('png'), 'image/png');
+        assert.equal(res.status, 401);
+    });
+
+    it('accepts only PNG, JPEG and GIF images of limited size', async () => {
+        const png = await createImage('png');
+
+        assert.equal((await alice.post('/api/me/avatar', png, 'application/octet-stream')).status, 415);
+        assert.equal((await alice.post('/api/me/avatar', png, 'image/webp')).status, 415);
+
+        // Тип проверяется и по содержимому, а не только по заголовку
+        const notImage = await alice.post('/api/me/avatar', Buffer.from('just some text'), 'image/png');
+        assert.equal(notImage.status, 400);
+        const webp = await alice.post('/api/me/avatar', await createImage('webp'), 'image/png');
+        assert.equal(webp.status, 400);
+
+        const empty = await alice.post('/api/me/avatar', Buffer.alloc(0), 'image/png');
+        assert.equal(empty.status, 400);
+
+        const tooLarge = await alice.post('/api/me/avatar', Buffer.alloc(2 * 1024 * 1024 + 1), 'image/png');
+        assert.equal(tooLarge.status, 413);
+
+        assert.deepEqual(fs.readdirSync(server.avatarsDir), []);
+        assert.equal((await alice.get('/api/me')).body.user.avatar, null);
+    });
+
+    it('resizes the upload into square thumbnails', async () => {
+        const res = await alice.post('/api/me/avatar', await createImage('jpeg'), 'image/jpeg');
+        assert.equal(res.status, 200);
+        assert.deepEqual(Object.keys(res.body.avatar), ['small', 'medium', 'large']);
+
+        for (const [name, size] of [['small', 64], ['medium', 128], ['large', 256]]) {
+            const image = await fetchImage(server, res.body.avatar[name]);
+            assert.equal(image.status, 200);
+            assert.equal(image.contentType, 'image/webp');
+
+            const metadata = await sharp(image.data).metadata();
+            assert.equal(metadata.width, size);
+            assert.equal(metadata.height, size);
+        }
+
+        const me = await alice.get('/api/me');
+        assert.deepEqual(me.body.user.avatar, res.body.avatar);
+
+        const achievements = await alice.get('/api/achievements');
+        assert.deepEqual(achievements.body.user.avatar, res.body.avatar);
+        assert.equal('avatar_key' in achievements.body.user, false);
+    });
+
+    it('replaces the previous avatar', async () => {
+        const previous = (await alice.get('/api/me')).body.user.avatar;
+
+        const res = await alice.post('/api/me/avatar', await createImage('gif', 100, 100), 'image/gif');
+        assert.equal(res.status, 200);
+        assert.notEqual(res.body.avatar.small, previous.small);
+
+        assert.equal((await fetchImage(server, previous.small)).status, 404);
+        assert.equal((await fetchImage(server, res.body.avatar.small)).status, 200);
+        assert.equal(fs.readdirSync(server.avatarsDir).length, 3);
+    });
+
+    it('shows avatars in public listings', async () => {
+        const avatar = (await alice.get('/api/me')).body.user.avatar;
+        const guest = createClient(server.baseUrl);
+
+        const profile = await guest.get('/api/users/alice');
+        assert.deepEqual(profile.body.profile.avatar, avatar);
+
+        const leaderboard = await guest.get('/api/leaderboard');
+        const entry = leaderboard.body.leaderboard.find(row => row.username === 'alice');
+        assert.deepEqual(entry.avatar, avatar);
+
+        const gameId = (await guest.get('/api/games')).body.games[0].id;
+        await alice.post(`/api/games/${gameId}/reviews`, { rating: 5 });
+        const reviews = await guest.get(`/api/games/${gameId}/reviews`);
+        assert.deepEqual(reviews.body.reviews[0].avatar, avatar);
+    });
+
+    it('removes the avatar on request and with the account', async () => {
+        const res = await alice.delete('/api/me/avatar');
+        assert.equal(res.status, 200);
+        assert.equal((await alice.get('/api/me')).body.user.avatar, null);
+        assert.deepEqual(fs.readdirSync(server.avatarsDir), []);
+
+        await alice.post('/api/me/avatar', await createImage('png'), 'image/png');
+        assert.equal(fs.readdirSync(server.avatarsDir).length, 3);
+
+        assert.equal((await alice.delete('/api/me', { password: 'secret1' })).status, 200);
+        assert.deepEqual(fs.readdirSync(server.avatarsDir), []);
+    });
+});
@@ -0,0 +1,175 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startServer, createClient } = require('./helpers');
+const { createMailer, ConsoleTransport } = require('../mailer.js');
+const { logger } = require('../logger.js');
+
+// Вместо транспорта - массив отправленных писем
+function createTestMailer() {
+    return {
+        sent: [],
+        async send(message) {
+            this.sent.push(message);
+        }
+    };
+}
+
+function tokenFrom(message) {
+    return message.text.match(/token=([0-9a-f]+)/)[1];
+}
+
+describe('Mail transport', () => {
+    const saved = {};
+    const keys = ['NODE_ENV', 'MAIL_TRANSPORT', 'SMTP_URL', 'SMTP_HOST'];
+
+    before(() => {
+        for (const key of keys) {
+            saved[key] = process.env[key];
+            delete process.env[key];
+        }
+    });
+
+    after(() => {
+        for (const key of keys) {
+            if (saved[key] === undefined) delete process.env[key];
+            else process.env[key] = saved[key];
+        }
+    });
+
+    it('refuses to start in production without a configured transport', () => {
+        process.env.NODE_ENV = 'production';
+        assert.throws(() => createMailer(), /Mail transport is not configured/);
+
+        process.env.MAIL_TRANSPORT = 'console';
+        assert.ok(createMailer() instanceof ConsoleTransport);
+        delete process.env.MAIL_TRANSPORT;
+
+        process.env.NODE_ENV = 'development';
+        assert.ok(createMailer() instanceof ConsoleTransport);
+    });
+
+    it('does not log the mail text with its links', async (t) => {
+        const info = t.mock.method(logger, 'info', () => {});
+
+        await new ConsoleTransport().send({ to: 'a@example.com', subject: 'Reset', text: 'https://x/reset-password?token=abc123' });
+
+        assert.equal(info.mock.callCount(), 1);
+        assert.ok(!JSON.stringify(info.mock.calls[0].arguments).includes('abc123'));
+    });
+});
+
+describe('Email verification and password reset', () => {
+    let server;
+    let mailer;
+    let henry;
+
+    before(async () => {
+        mailer = createTestMailer();
+        server = await startServer({ mailer });
+
+        henry = createClient(server.baseUrl);
+        await henry.post('/api/register', { username: 'henry', password: 'secret1', email: 'henry@example.com' });
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('sends a verification link on registration', async () => {
+        assert.equal(mailer.sent.length, 1);
+        assert.equal(mailer.sent[0].to, 'henry@example.com');
+        assert.match(mailer.sent[0].text, /\/verify-email\?token=/);
+
+        const me = await henry.get('/api/me');
+        assert.equal(me.body.user.email_verified, false);
+    });
+
+    it('does not send mail when registering without email', async () => {
+        const before = mailer.sent.length;
+        await createClient(server.baseUrl).post('/api/register', { username: 'noemail', password: 'secret1' });
+
+        assert.equal(mailer.sent.length, before);
+    });
+
+    it('verifies email once per token', async () => {
+        const token = tokenFrom(mailer.sent[0]);
+
+        const first = await createClient(server.baseUrl).post('/api/email/verify', { token });
+        assert.equal(first.status, 200);
+        assert.equal(first.body.success, true);
+
+        const me = await henry.get('/api/me');
+        assert.equal(me.body.user.email_verified, true);
+
+        const second = await createClient(server.baseUrl).post('/api/email/verify', { token });
+        assert.equal(second.status, 400);
+    });
+
+    it('refuses to resend verification for a verified email', async () => {
+        const res = await henry.post('/api/email/verify/resend');
+        assert.equal(res.status, 400);
+
+        const guest = await createClient(server.baseUrl).post('/api/email/verify/resend');
+        assert.equal(guest.status, 401);
+    });
+
+    it('answers the same for unknown emails on forgot password', async () => {
+        const before = mailer.sent.length;
+        const res = await createClient(server.baseUrl).post('/api/password/forgot', { email: 'nobody@example.com' });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.success, true);
+        assert.equal(mailer.sent.length, before);
+    });
+
+    it('resets the password with a single-use token', async () => {
+        await createClient(server.baseUrl).post('/api/password/forgot', { email: 'HENRY@example.com' });
+        const message = mailer.sent[mailer.sent.length - 1];
+        assert.equal(message.to, 'henry@example.com');
+        assert.match(message.text, /\/reset-password\?token=/);
+
+        const token = tokenFrom(message);
+        const short = await createClient(server.baseUrl).post('/api/password/reset', { token, password: '123' });
+        assert.equal(short.status, 400);
+
+        const number = await createClient(server.baseUrl).post('/api/password/reset', { token, password: 12345678 });
+        assert.equal(number.status, 400);
+
+        const reset = await createClient(server.baseUrl).post('/api/password/reset', { token, password: 'newsecret' });
+        assert.equal(reset.status, 200);
+
+        const oldLogin = await createClient(server.baseUrl).post('/api/login', { username: 'henry', password: 'secret1' });
+        assert.equal(oldLogin.status, 401);
+
+        const newLogin = await createClient(server.baseUrl).post('/api/login', { username: 'henry', password: 'newsecret' });
+        assert.equal(newLogin.status, 200);
+
+        const reused = await createClient(server.baseUrl).post('/api/password/reset', { token, password: 'another1' });
+        assert.equal(reused.status, 400);
+    });
+
+    it('invalidates the previous reset link when a new one is requested', async () => {
+        const client = createClient(server.baseUrl);
+        await client.post('/api/password/forgot', { email: 'henry@example.com' });
+        const oldToken = tokenFrom(mailer.sent[mailer.sent.length - 1]);
+        await client.post('/api/password/forgot', { email: 'henry@example.com' });
+        const newToken = tokenFrom(mailer.sent[mailer.sent.length - 1]);
+
+        const old = await client.post('/api/password/reset', { token: oldToken, password: 'another1' });
+        assert.equal(old.status, 400);
+
+        const fresh = await client.post('/api/password/reset', { token: newToken, password: 'another1' });
+        assert.equal(fresh.status, 200);
+    });
+
+    it('rejects expired tokens', async () => {
+        const user = await server.db.getUserByUsername('henry');
+        const token = 'expired-token';
+        const hash = crypto.createHash('sha256').update(token).digest('hex');
+        await server.db.createUserToken(user.id, 'password_reset', hash, new Date(Date.now() - 1000));
+
+        const res = await createClient(server.baseUrl).post('/api/password/reset', { token, password: 'another2' });
+        assert.equal(res.status, 400);
+    });
+});
@@ -0,0 +1,266 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startServer, createClient, promoteToAdmin } = require('./helpers');
+const gameApi = require('../gameApi.js');
+
+// Подписанный ключом игры запрос, как его собирает SDK в игре
+function signedRequest(apiKey, path, body, { timestamp, nonce, secret } = {}) {
+    const json = body === undefined ? '' : JSON.stringify(body);
+    const ts = String(timestamp || Math.floor(Date.now() / 1000));
+    const id = nonce || crypto.randomUUID();
+
+    return {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Api-Key': apiKey.key_id,
+            'X-Timestamp': ts,
+            'X-Nonce': id,
+            'X-Signature': gameApi.signRequest(secret || apiKey.secret, { timestamp: ts, nonce: id, method: 'POST', path, body: json })
+        },
+        body: json || undefined
+    };
+}
+
+async function gameRequest(server, apiKey, path, body, options) {
+    const response = await fetch(server.baseUrl + path, signedRequest(apiKey, path, body, options));
+    return { status: response.status, body: await response.json() };
+}
+
+describe('gameApi helpers', () => {
+    it('normalizes codes typed by players', () => {
+        assert.match(gameApi.generateUserCode(), /^[A-Z2-9]{4}-[A-Z2-9]{4}$/);
+        assert.equal(gameApi.normalizeUserCode(' abcd efgh '), 'ABCD-EFGH');
+        assert.equal(gameApi.normalizeUserCode('ABCD-EFG'), null);
+        assert.equal(gameApi.normalizeUserCode('ABCD-EFG0'), null);
+    });
+});
+
+describe('In-game achievements', () => {
+    let server;
+    let admin;
+    let player;
+    let game;
+    let otherGame;
+    let apiKey;
+    let playerToken;
+
+    before(async () => {
+        server = await startServer();
+
+        admin = createClient(server.baseUrl);
+        await admin.post('/api/register', { username: 'admin', password: 'secret1' });
+        await promoteToAdmin(server.db, 'admin');
+
+        player = createClient(server.baseUrl);
+        await player.post('/api/register', { username: 'player', password: 'secret1' });
+
+        [game, otherGame] = (await player.get('/api/games')).body.games;
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('lets admins add achievements to a game', async () => {
+        const res = await admin.post('/api/admin/achievements', {
+            name: 'First Blood',
+            slug: 'memehell-first-blood',
+            description: 'Win the first fight',
+            game_id: game.id
+        });
+        assert.equal(res.status, 200);
+
+        const withRule = await admin.post('/api/admin/achievements', {
+            name: 'Broken',
+            description: 'Game achievement with a site rule',
+            game_id: game.id,
+            rule: { event: 'page_visit', target: 'about' }
+        });
+        assert.equal(withRule.status, 400);
+
+        const unknownGame = await admin.post('/api/admin/achievements', { name: 'Lost', description: 'x', game_id: 999 });
+        assert.equal(unknownGame.status, 400);
+
+        const list = await player.get(`/api/games/${game.slug}/achievements`);
+        assert.deepEqual(list.body.achievements.map(a => [a.slug, a.unlocked]), [['memehell-first-blood', false]]);
+        assert.deepEqual((await player.get(`/api/games/${otherGame.id}/achievements`)).body.achievements, []);
+    });
+
+    it('issues API keys whose secret is shown once', async () => {
+        assert.equal((await player.post(`/api/admin/games/${game.id}/api-keys`, { name: 'x' })).status, 403);
+
+        const res = await admin.post(`/api/admin/games/${game.id}/api-keys`, { name: 'Steam build' });
+        assert.equal(res.status, 200);
+        assert.match(res.body.key_id, /^gk_/);
+        assert.match(res.body.secret, /^[0-9a-f]{64}$/);
+        apiKey = res.body;
+
+        const list = await admin.get(`/api/admin/games/${game.id}/api-keys`);
+        assert.equal(list.body.api_keys.length, 1);
+        assert.equal(list.body.api_keys[0].name, 'Steam build');
+        assert.equal(list.body.api_keys[0].created_by, 'admin');
+        assert.ok(!JSON.stringify(list.body).includes(apiKey.secret));
+    });
+
+    it('rejects unsigned, stale and foreign requests', async () => {
+        const path = `/api/games/${game.id}/device-codes`;
+
+        const unsigned = await fetch(server.baseUrl + path, { method: 'POST' });
+        assert.equal(unsigned.status, 401);
+
+        assert.equal((await gameRequest(server, apiKey, path, undefined, { secret: 'wrong' })).status, 401);
+
+        const stale = Math.floor(Date.now() / 1000) - gameApi.SIGNATURE_MAX_AGE - 10;
+        assert.equal((await gameRequest(server, apiKey, path, undefined, { timestamp: stale })).status, 401);
+
+        // Ключ одной игры не подходит для другой
+        assert.equal((await gameRequest(server, apiKey, `/api/games/${otherGame.id}/device-codes`)).status, 401);
+
+        assert.equal((await gameRequest(server, apiKey, path, undefined, { nonce: 'short' })).status, 401);
+
+        assert.equal((await gameRequest(server, apiKey, path)).status, 200);
+    });
+
+    it('links the game with a code entered on the site', async () => {
+        const started = await gameRequest(server, apiKey, `/api/games/${game.id}/device-codes`);
+        assert.equal(started.status, 200);
+        assert.match(started.body.user_code, /^[A-Z2-9]{4}-[A-Z2-9]{4}$/);
+        assert.ok(started.body.verification_url_complete.endsWith(`/link?code=${started.body.user_code}`));
+
+        const tokenPath = `/api/games/${game.id}/device-codes/token`;
+        const exchange = { device_code: started.body.device_code };
+
+        const pending = await gameRequest(server, apiKey, tokenPath, exchange);
+        assert.equal(pending.status, 400);
+        assert.equal(pending.body.pending, true);
+
+        assert.equal((await createClient(server.baseUrl).post('/api/link', { code: started.body.user_code })).status, 401);
+        assert.equal((await player.post('/api/link', { code: 'AAAA-BBBB' })).status, 400);
+
+        const linked = await player.post('/api/link', { code: started.body.user_code.toLowerCase() });
+        assert.equal(linked.status, 200);
+        assert.equal(linked.body.game.id, game.id);
+
+        const token = await gameRequest(server, apiKey, tokenPath, exchange);
+        assert.equal(token.status, 200);
+        assert.equal(token.body.username, 'player');
+        playerToken = token.body.player_token;
+
+        // device_code одноразовый
+        assert.equal((await gameRequest(server, apiKey, tokenPath, exchange)).status, 404);
+
+        const links = await player.get('/api/me/games');
+        assert.deepEqual(links.body.links.map(link => link.game_slug), [game.slug]);
+    });
+
+    it('unlocks achievements reported by the game', async () => {
+        const path = `/api/games/${game.id}/achievements/unlock`;
+
+        const unknown = await gameRequest(server, apiKey, path, { player_token: playerToken, achievement: 'no-such' });
+        assert.equal(unknown.status, 404);
+
+        // Достижение сайта через API игры не получить
+        const siteAchievement = await gameRequest(server, apiKey, path, { player_token: playerToken, achievement: 'curious' });
+        assert.equal(siteAchievement.status, 404);
+
+        const badToken = await gameRequest(server, apiKey, path, { player_token: 'nope', achievement: 'memehell-first-blood' });
+        assert.equal(badToken.status, 401);
+
+        const res = await gameRequest(server, apiKey, path, { player_token: playerToken, achievement: 'memehell-first-blood' });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.unlocked, true);
+        assert.equal(res.body.achievement.name, 'First Blood');
+
+        const again = await gameRequest(server, apiKey, path, { player_token: playerToken, achievement: 'memehell-first-blood' });
+        assert.equal(again.body.unlocked, false);
+
+        const list = await player.get(`/api/games/${game.id}/achievements`);
+        assert.equal(list.body.achievements[0].unlocked, true);
+
+        const profile = await player.get('/api/achievements');
+        assert.ok(profile.body.achievements.some(a => a.slug === 'memehell-first-blood' && a.unlocked));
+    });
+
+    it('counts progress of multi-step achievements reported by the game', async () => {
+        const siteTarget = await admin.post('/api/admin/achievements', { name: 'Site steps', description: 'x', target: 5 });
+        assert.equal(siteTarget.status, 400);
+
+        const created = await admin.post('/api/admin/achievements', {
+            name: 'Monster Hunter',
+            slug: 'memehell-monster-hunter',
+            description: 'Defeat 10 monsters',
+            game_id: game.id,
+            target: 10
+        });
+        assert.equal(created.status, 200);
+
+        const path = `/api/games/${game.id}/achievements/progress`;
+        const report = (body) => gameRequest(server, apiKey, path, { player_token: playerToken, ...body });
+
+        assert.equal((await report({ achievement: 'memehell-first-blood' })).status, 400);
+        assert.equal((await report({ achievement: 'memehell-monster-hunter', increment: 0 })).status, 400);
+
+        const first = await report({ achievement: 'memehell-monster-hunter' });
+        assert.equal(first.status, 200);
+        assert.equal(first.body.unlocked, false);
+        assert.deepEqual(first.body.progress, { current: 1, target: 10 });
+
+        const second = await report({ achievement: 'memehell-monster-hunter', increment: 6 });
+        assert.deepEqual(second.body.progress, { current: 7, target: 10 });
+
+        const list = await player.get(`/api/games/${game.id}/achievements`);
+        const hunter = list.body.achievements.find(a => a.slug === 'memehell-monster-hunter');
+        assert.deepEqual(hunter.progress, { current: 7, target: 10 });
+
+        const done = await report({ achievement: 'memehell-monster-hunter', increment: 50 });
+        assert.equal(done.body.unlocked, true);
+        assert.deepEqual(done.body.progress, { current: 10, target: 10 });
+
+        const again = await report({ achievement: 'memehell-monster-hunter' });
+        assert.equal(again.body.unlocked, false);
+        assert.deepEqual(again.body.progress, { current: 10, target: 10 });
+    });
+
+    it('rejects a replayed signed request', async () => {
+        await admin.post('/api/admin/achievements', {
+            name: 'Collector',
+            slug: 'memehell-collector',
+            description: 'Collect 5 coins',
+            game_id: game.id,
+            target: 5
+        });
+
+        const path = `/api/games/${game.id}/achievements/progress`;
+        const request = signedRequest(apiKey, path, { player_token: playerToken, achievement: 'memehell-collector', increment: 3 });
+
+        const first = await fetch(server.baseUrl + path, request);
+        assert.equal(first.status, 200);
+
+        // Тот же запрос байт в байт: подпись верна и время свежее, но nonce уже использован
+        const replay = await fetch(server.baseUrl + path, request);
+        assert.equal(replay.status, 401);
+        assert.equal((await replay.json()).error, 'Request has already been used');
+
+        const list = await player.get(`/api/games/${game.id}/achievements`);
+        const collector = list.body.achievements.find(a => a.slug === 'memehell-collector');
+        assert.deepEqual(collector.progress, { current: 3, target: 5 });
+        assert.equal(collector.unlocked, false);
+    });
+
+    it('stops accepting the player token after unlinking and the key after revoking', async () => {
+        const path = `/api/games/${game.id}/achievements/unlock`;
+        const linkId = (await player.get('/api/me/games')).body.links[0].id;
+
+        assert.equal((await admin.delete(`/api/me/games/${linkId}`)).status, 404);
+        assert.equal((await player.delete(`/api/me/games/${linkId}`)).status, 200);
+
+        const unlinked = await gameRequest(server, apiKey, path, { player_token: playerToken, achievement: 'memehell-first-blood' });
+        assert.equal(unlinked.status, 401);
+
+        const keyId = (await admin.get(`/api/admin/games/${game.id}/api-keys`)).body.api_keys[0].id;
+        assert.equal((await admin.delete(`/api/admin/api-keys/${keyId}`)).status, 200);
+        assert.equal((await gameRequest(server, apiKey, `/api/games/${game.id}/device-codes`)).status, 401);
+    });
+});
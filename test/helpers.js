@@ -0,0 +1,141 @@
+// Сервер пишет в лог каждый запрос; в тестах этот шум только мешает
+// (и ломает разбор вывода у node --test в Node 20). Ошибки остаются в stderr.
+// Уровень задаётся до подключения server.js: общий логгер читает LOG_LEVEL при создании
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createApp } = require('../server.js');
+const Database = require('../db.js');
+
+// Поднимает приложение на свободном порту с чистой SQLite в памяти.
+// options уходят в createApp (например, тестовый mailer)
+async function startServer(options = {}) {
+    const db = new Database({ driver: 'sqlite', filename: ':memory:' });
+    await db.migrate();
+
+    const releasesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'xtteam-releases-'));
+    const avatarsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'xtteam-avatars-'));
+    const app = createApp(db, { releasesDir, avatarsDir, ...options });
+    const server = await new Promise(resolve => {
+        const instance = app.listen(0, '127.0.0.1', () => resolve(instance));
+    });
+
+    return {
+        db,
+        releasesDir,
+        avatarsDir,
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        async stop() {
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+            await db.close();
+            fs.rmSync(releasesDir, { recursive: true, force: true });
+            fs.rmSync(avatarsDir, { recursive: true, force: true });
+        }
+    };
+}
+
+// HTTP-клиент, который хранит cookie как браузер.
+// Изменяющие запросы, как /js/api.js, несут CSRF-токен текущей сессии.
+// options.headers добавляются к каждому запросу (например, Accept-Language)
+function createClient(baseUrl, options = {}) {
+    const cookies = new Map();
+    let cookie = null;
+    let csrfToken = null;
+    let csrfCookie = null; // cookie, для которой получен токен
+
+    // Buffer уходит как есть (загрузка файла) с contentType, остальное - как JSON
+    async function request(method, url, body, contentType = 'application/octet-stream') {
+        const headers = { ...options.headers };
+        const isRaw = Buffer.isBuffer(body);
+        if (body !== undefined) headers['Content-Type'] = isRaw ? contentType : 'application/json';
+
+        if (method !== 'GET') {
+            if (!csrfToken || csrfCookie !== cookie) {
+                csrfToken = (await request('GET', '/api/csrf-token')).body.token;
+                csrfCookie = cookie;
+            }
+            headers['X-CSRF-Token'] = csrfToken;
+        }
+        if (cookie) headers.Cookie = cookie;
+
+        const response = await fetch(baseUrl + url, {
+            method,
+            headers,
+            body: body === undefined || isRaw ? body : JSON.stringify(body),
+            redirect: 'manual'
+        });
+
+        const setCookie = response.headers.getSetCookie();
+        for (const value of setCookie) {
+            const [pair] = value.split(';');
+            cookies.set(pair.slice(0, pair.indexOf('=')), pair);
+        }
+        if (setCookie.length > 0) {
+            cookie = [...cookies.values()].join('; ');
+        }
+
+        const isJson = (response.headers.get('content-type') || '').includes('application/json');
+        return {
+            status: response.status,
+            headers: response.headers,
+            body: isJson ? await response.json() : await response.text()
+        };
+    }
+
+    // Поток Server-Sent Events: nextEvent() ждёт следующее событие из потока
+    async function openStream(url) {
+        const controller = new AbortController();
+        const response = await fetch(baseUrl + url, {
+            headers: cookie ? { Cookie: cookie } : {},
+            signal: controller.signal
+        });
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        async function nextEvent() {
+            for (;;) {
+                const match = buffer.match(/event: (\w+)\ndata: (.*)\n\n/);
+                if (match) {
+                    buffer = buffer.slice(match.index + match[0].length);
+                    return { event: match[1], data: JSON.parse(match[2]) };
+                }
+
+                const { value, done } = await reader.read();
+                if (done) return null;
+                buffer += decoder.decode(value, { stream: true });
+            }
+        }
+
+        return {
+            status: response.status,
+            nextEvent,
+            close: () => controller.abort()
+        };
+    }
+
+    return {
+        get: url => request('GET', url),
+        post: (url, body, contentType) => request('POST', url, body, contentType),
+        put: (url, body) => request('PUT', url, body),
+        delete: (url, body) => request('DELETE', url, body),
+        stream: url => openStream(url),
+        getCookie: () => cookie
+    };
+}
+
+// Права администратора выдаются только через ADMIN_USERNAME при миграции, в тестах - напрямую
+async function promoteToAdmin(db, username) {
+    const client = await db.pool.connect();
+    try {
+        await client.query('UPDATE users SET is_admin = true WHERE username = $1', [username]);
+    } finally {
+        client.release();
+    }
+}
+
+module.exports = { startServer, createClient, promoteToAdmin };
@@ -0,0 +1,106 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createClient } = require('./helpers');
+const i18n = require('../i18n.js');
+
+describe('Localisation', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('picks the language from Accept-Language', async () => {
+        assert.equal(i18n.negotiateLocale('de-DE, ru;q=0.8, en;q=0.5'), 'ru');
+        assert.equal(i18n.negotiateLocale('ru;q=0, fr'), 'en');
+
+        const client = createClient(server.baseUrl, { headers: { 'Accept-Language': 'ru-RU,ru;q=0.9' } });
+        const res = await client.get('/games');
+
+        assert.equal(res.status, 200);
+        assert.ok(res.body.includes('<html lang="ru">'));
+        assert.ok(res.body.includes('!Игры!'));
+        assert.equal(res.headers.get('content-language'), 'ru');
+    });
+
+    it('renders English by default', async () => {
+        const res = await createClient(server.baseUrl).get('/games');
+
+        assert.ok(res.body.includes('<html lang="en">'));
+        assert.ok(res.body.includes('!Games!'));
+    });
+
+    it('serves the client catalogue', async () => {
+        const client = createClient(server.baseUrl);
+
+        const ru = await client.get('/i18n/ru.js');
+        assert.equal(ru.status, 200);
+        assert.ok(ru.headers.get('content-type').includes('javascript'));
+        assert.ok(ru.body.startsWith('window.I18N = '));
+
+        const data = JSON.parse(ru.body.slice('window.I18N = '.length).replace(/;\n$/, ''));
+        assert.equal(data.locale, 'ru');
+        assert.equal(data.messages.common.networkError, i18n.translate('ru', 'client.common.networkError'));
+
+        assert.equal((await client.get('/i18n/de.js')).status, 404);
+    });
+
+    it('remembers the chosen language for guests and users', async () => {
+        const client = createClient(server.baseUrl);
+        await client.post('/api/register', { username: 'polyglot', password: 'secret1' });
+
+        const bad = await client.put('/api/locale', { locale: 'de' });
+        assert.equal(bad.status, 400);
+
+        const res = await client.put('/api/locale', { locale: 'ru' });
+        assert.equal(res.status, 200);
+        assert.ok(client.getCookie().includes('lang=ru'));
+
+        const me = await client.get('/api/me');
+        assert.equal(me.body.user.locale, 'ru');
+        assert.ok((await client.get('/')).body.includes('<html lang="ru">'));
+
+        // Новый вход с браузера без cookie языка берёт язык из профиля
+        const other = createClient(server.baseUrl);
+        await other.post('/api/login', { username: 'polyglot', password: 'secret1' });
+        assert.ok((await other.get('/about')).body.includes('<html lang="ru">'));
+    });
+
+    it('translates API errors', async () => {
+        const client = createClient(server.baseUrl, { headers: { 'Accept-Language': 'ru' } });
+
+        const res = await client.post('/api/login', { username: 'nobody', password: 'wrong-password' });
+        assert.equal(res.status, 401);
+        assert.equal(res.body.error, 'Неверное имя пользователя или пароль');
+
+        const en = await createClient(server.baseUrl).post('/api/login', { username: 'nobody', password: 'wrong-password' });
+        assert.equal(en.body.error, 'Invalid username or password');
+    });
+
+    it('localizes achievements', async () => {
+        const client = createClient(server.baseUrl, { headers: { 'Accept-Language': 'ru' } });
+        await client.post('/api/register', { username: 'reader', password: 'secret1' });
+
+        const list = await client.get('/api/achievements');
+        const team = list.body.achievements.find(a => a.slug === 'team-introduction');
+        assert.equal(team.name, 'Знакомство с командой');
+
+        const event = await client.post('/api/events', { type: 'page_visit', target: 'about' });
+        assert.equal(event.body.unlocked[0].name, 'Знакомство с командой');
+
+        const en = await createClient(server.baseUrl).get('/api/achievements');
+        assert.equal(en.body.achievements.find(a => a.slug === 'team-introduction').name, 'Team Introduction');
+    });
+
+    it('falls back to the original text when a translation is empty', () => {
+        const record = { name: 'Original', translations: { ru: { name: ' ' } } };
+
+        assert.equal(i18n.localize(record, 'ru', ['name']).name, 'Original');
+        assert.equal(i18n.validateTranslations({ de: {} }, ['name']), 'Unsupported locale: de');
+        assert.equal(i18n.validateTranslations({ ru: { title: 'x' } }, ['name']), 'Field title cannot be translated');
+    });
+});
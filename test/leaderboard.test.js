@@ -0,0 +1,68 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createClient } = require('./helpers');
+
+async function registerWithEvents(server, username, events) {
+    const client = createClient(server.baseUrl);
+    await client.post('/api/register', { username, password: 'secret1' });
+    for (const event of events) {
+        await client.post('/api/events', event);
+    }
+    return client;
+}
+
+describe('Leaderboard and rarity', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+
+        await registerWithEvents(server, 'first', [
+            { type: 'page_visit', target: 'about' },
+            { type: 'contact_click', target: 'mail' }
+        ]);
+        await registerWithEvents(server, 'second', [{ type: 'page_visit', target: 'about' }]);
+        await registerWithEvents(server, 'third', []);
+
+        const hidden = await registerWithEvents(server, 'hidden', [
+            { type: 'page_visit', target: 'about' },
+            { type: 'contact_click', target: 'mail' },
+            { type: 'contact_click', target: 'youtube' }
+        ]);
+        await hidden.put('/api/me/profile', { is_public: false });
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('ranks public players by unlocked achievements', async () => {
+        const res = await createClient(server.baseUrl).get('/api/leaderboard');
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(
+            res.body.leaderboard.map(entry => [entry.rank, entry.username, entry.achievement_count]),
+            [[1, 'first', 3], [2, 'second', 2], [3, 'third', 1]]
+        );
+        assert.equal(res.body.total_achievements, 8);
+    });
+
+    it('respects the limit parameter', async () => {
+        const res = await createClient(server.baseUrl).get('/api/leaderboard?limit=1');
+
+        assert.deepEqual(res.body.leaderboard.map(entry => entry.username), ['first']);
+    });
+
+    it('adds unlock percentages and rare flags to achievements', async () => {
+        const res = await createClient(server.baseUrl).get('/api/achievements');
+        const bySlug = Object.fromEntries(res.body.achievements.map(a => [a.slug, a]));
+
+        assert.equal(bySlug['with-registration'].unlock_percentage, 100);
+        assert.equal(bySlug['with-registration'].rare, false);
+        assert.equal(bySlug['team-introduction'].unlock_percentage, 75);
+        assert.equal(bySlug['youtube-subscriber'].unlock_count, 1);
+        assert.equal(bySlug['youtube-subscriber'].unlock_percentage, 25);
+        assert.equal(bySlug['gamer'].unlock_percentage, 0);
+        assert.equal(bySlug['gamer'].rare, true);
+    });
+});
@@ -0,0 +1,65 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createClient } = require('./helpers');
+
+describe('Achievement notifications stream', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('requires authentication', async () => {
+        const stream = await createClient(server.baseUrl).stream('/api/events');
+
+        assert.equal(stream.status, 401);
+        stream.close();
+    });
+
+    it('delivers the registration achievement once the stream opens', async () => {
+        const client = createClient(server.baseUrl);
+        await client.post('/api/register', { username: 'heidi', password: 'secret1' });
+
+        const stream = await client.stream('/api/events');
+        assert.equal(stream.status, 200);
+
+        const message = await stream.nextEvent();
+        assert.equal(message.event, 'achievement');
+        assert.equal(message.data.slug, 'with-registration');
+        assert.ok(message.data.description);
+        assert.equal(message.data.rule, undefined);
+
+        stream.close();
+    });
+
+    it('pushes unlocks to every open tab of the same user only', async () => {
+        const ivan = createClient(server.baseUrl);
+        await ivan.post('/api/register', { username: 'ivan', password: 'secret1' });
+        const judy = createClient(server.baseUrl);
+        await judy.post('/api/register', { username: 'judy', password: 'secret1' });
+
+        const firstTab = await ivan.stream('/api/events');
+        const secondTab = await ivan.stream('/api/events');
+        const judyTab = await judy.stream('/api/events');
+
+        // Достижения за регистрацию, отложенные до открытия потока
+        assert.equal((await firstTab.nextEvent()).data.slug, 'with-registration');
+        assert.equal((await judyTab.nextEvent()).data.slug, 'with-registration');
+
+        await ivan.post('/api/events', { type: 'page_visit', target: 'about' });
+        assert.equal((await firstTab.nextEvent()).data.slug, 'team-introduction');
+        assert.equal((await secondTab.nextEvent()).data.slug, 'team-introduction');
+
+        // Следующее событие Judy - её собственное, а не достижение Ivan
+        await judy.post('/api/events', { type: 'contact_click', target: 'mail' });
+        assert.equal((await judyTab.nextEvent()).data.slug, 'letter-to-developer');
+
+        firstTab.close();
+        secondTab.close();
+        judyTab.close();
+    });
+});
@@ -0,0 +1,165 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createClient, promoteToAdmin } = require('./helpers');
+const { Logger } = require('../logger.js');
+
+// Логгер, который складывает строки в массив
+function createMemoryLogger(level = 'debug') {
+    const entries = [];
+    const logger = new Logger({
+        level: level,
+        write: (lineLevel, line) => entries.push(JSON.parse(line))
+    });
+    return { logger, entries };
+}
+
+describe('Logger', () => {
+    it('writes JSON lines with level, message and fields', () => {
+        const { logger, entries } = createMemoryLogger('info');
+
+        logger.debug('hidden');
+        logger.child({ requestId: 'abc' }).warn('Something odd', { userId: 7, error: new Error('boom') });
+
+        assert.equal(entries.length, 1);
+        assert.equal(entries[0].level, 'warn');
+        assert.equal(entries[0].msg, 'Something odd');
+        assert.equal(entries[0].requestId, 'abc');
+        assert.equal(entries[0].userId, 7);
+        assert.equal(entries[0].error.message, 'boom');
+        assert.ok(entries[0].error.stack);
+        assert.ok(!isNaN(Date.parse(entries[0].time)));
+    });
+});
+
+describe('Request logging and metrics', () => {
+    let server;
+    let entries;
+
+    before(async () => {
+        const memory = createMemoryLogger();
+        entries = memory.entries;
+        server = await startServer({ logger: memory.logger, metricsToken: '' });
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('gives every request an ID', async () => {
+        const client = createClient(server.baseUrl);
+
+        const generated = await client.get('/api/games');
+        assert.match(generated.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+
+        const forwarded = await createClient(server.baseUrl, { headers: { 'X-Request-Id': 'proxy-123' } }).get('/api/games');
+        assert.equal(forwarded.headers.get('x-request-id'), 'proxy-123');
+
+        const invalid = await createClient(server.baseUrl, { headers: { 'X-Request-Id': 'bad id with spaces' } }).get('/api/games');
+        assert.notEqual(invalid.headers.get('x-request-id'), 'bad id with spaces');
+    });
+
+    it('logs completed requests with the route pattern', async () => {
+        const res = await createClient(server.baseUrl).get('/api/games/1');
+        const requestId = res.headers.get('x-request-id');
+
+        const line = entries.find(entry => entry.requestId === requestId && entry.msg === 'Request completed');
+        assert.ok(line);
+        assert.equal(line.level, 'info');
+        assert.equal(line.route, '/api/games/:id');
+        assert.equal(line.status, 200);
+        assert.equal(typeof line.durationMs, 'number');
+    });
+
+    it('logs events with the request ID', async () => {
+        const client = createClient(server.baseUrl);
+        const res = await client.post('/api/register', { username: 'logged', password: 'secret1' });
+        const requestId = res.headers.get('x-request-id');
+
+        const registered = entries.find(entry => entry.msg === 'User registered' && entry.requestId === requestId);
+        assert.equal(registered.username, 'logged');
+        assert.ok(entries.some(entry => entry.msg === 'Achievement unlocked' && entry.requestId === requestId));
+        assert.ok(!entries.some(entry => JSON.stringify(entry).includes('secret1')));
+    });
+
+    it('exposes Prometheus metrics', async () => {
+        const res = await createClient(server.baseUrl).get('/metrics');
+
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get('content-type'), /^text\/plain/);
+        assert.match(res.body, /# TYPE http_requests_total counter/);
+        assert.match(res.body, /http_requests_total\{method="GET",route="\/api\/games\/:id",status="200"\} 1/);
+        assert.match(res.body, /http_request_duration_seconds_bucket\{method="GET",route="\/api\/games",le="\+Inf"\} 3/);
+        assert.match(res.body, /xtteam_registrations_total 1/);
+        assert.match(res.body, /xtteam_achievement_unlocks_total\{achievement="with-registration"\} 1/);
+        assert.match(res.body, /xtteam_db_pool_connections\{state="total"\} 1/);
+        assert.match(res.body, /process_uptime_seconds \d/);
+    });
+});
+
+describe('Health and metrics access', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer({ metricsToken: 'scrape-me' });
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('keeps the public health check minimal', async () => {
+        const client = createClient(server.baseUrl);
+        await client.post('/api/register', { username: 'healthy', password: 'secret1' });
+
+        const res = await client.get('/api/health');
+        assert.equal(res.status, 200);
+        assert.deepEqual(Object.keys(res.body).sort(), ['status', 'success', 'timestamp']);
+        assert.equal(res.body.status, 'ok');
+    });
+
+    it('shows health details to admins only', async () => {
+        const client = createClient(server.baseUrl);
+        await client.post('/api/register', { username: 'doctor', password: 'secret1' });
+
+        assert.equal((await createClient(server.baseUrl).get('/api/admin/health')).status, 401);
+        assert.equal((await client.get('/api/admin/health')).status, 403);
+
+        await promoteToAdmin(server.db, 'doctor');
+
+        const res = await client.get('/api/admin/health');
+        assert.equal(res.status, 200);
+        assert.equal(res.body.database.status, 'OK');
+        assert.equal(res.body.database.users, 2);
+        assert.equal(res.body.database.pool.total, 1);
+        assert.equal(res.body.files['server.js'], true);
+    });
+
+    it('requires the token for metrics when it is configured', async () => {
+        assert.equal((await createClient(server.baseUrl).get('/metrics')).status, 401);
+
+        const wrong = createClient(server.baseUrl, { headers: { Authorization: 'Bearer nope' } });
+        assert.equal((await wrong.get('/metrics')).status, 401);
+
+        const scraper = createClient(server.baseUrl, { headers: { Authorization: 'Bearer scrape-me' } });
+        assert.equal((await scraper.get('/metrics')).status, 200);
+
+        // Админ (doctor из предыдущего теста) видит метрики и без токена
+        const admin = createClient(server.baseUrl);
+        await admin.post('/api/login', { username: 'doctor', password: 'secret1' });
+        assert.equal((await admin.get('/metrics')).status, 200);
+    });
+
+    it('closes metrics in production when no token is configured', async () => {
+        const nodeEnv = process.env.NODE_ENV;
+        process.env.NODE_ENV = 'production';
+
+        const production = await startServer({ metricsToken: '', mailer: { async send() {} } });
+        try {
+            assert.equal((await createClient(production.baseUrl).get('/metrics')).status, 401);
+        } finally {
+            await production.stop();
+            if (nodeEnv === undefined) delete process.env.NODE_ENV;
+            else process.env.NODE_ENV = nodeEnv;
+        }
+    });
+});
@@ -0,0 +1,131 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createClient, promoteToAdmin } = require('./helpers');
+
+function count(html, fragment) {
+    return html.split(fragment).length - 1;
+}
+
+describe('Page templates', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('renders every page with the shared layout', async () => {
+        const client = createClient(server.baseUrl);
+        const pages = ['/', '/games', '/about', '/profile', '/leaderboard', '/u/someone', '/news/jarvis-start-xtteam-site', '/forgot-password', '/link', '/games/memehell'];
+
+        for (const page of pages) {
+            const res = await client.get(page);
+
+            assert.equal(res.status, 200, page);
+            assert.equal(count(res.body, '<header class="header">'), 1, page);
+            assert.equal(count(res.body, 'id="authModal"'), 1, page);
+            assert.equal(count(res.body, '<script src="/js/auth.js"></script>'), 1, page);
+            assert.ok(!res.body.includes('{{'), `${page} has unrendered placeholders`);
+        }
+    });
+
+    it('marks the active menu item', async () => {
+        const client = createClient(server.baseUrl);
+
+        const games = await client.get('/games');
+        assert.ok(games.body.includes('!Games!'));
+        assert.ok(!games.body.includes('!Latest news!'));
+
+        const home = await client.get('/');
+        assert.ok(home.body.includes('!Latest news!'));
+        assert.ok(!home.body.includes('!Games!'));
+    });
+
+    it('keeps the admin page for administrators only', async () => {
+        const client = createClient(server.baseUrl);
+        await client.post('/api/register', { username: 'pageadmin', password: 'secret1' });
+
+        assert.equal((await client.get('/admin')).status, 302);
+
+        await promoteToAdmin(server.db, 'pageadmin');
+
+        const res = await client.get('/admin');
+        assert.equal(res.status, 200);
+        assert.ok(res.body.includes('Admin panel'));
+        assert.ok(!res.body.includes('{{'));
+    });
+
+    it('redirects old page addresses', async () => {
+        const res = await createClient(server.baseUrl).get('/games/games.html');
+
+        assert.equal(res.status, 302);
+        assert.equal(res.headers.get('location'), '/games');
+    });
+
+    it('renders game pages on the server with link preview meta', async () => {
+        const client = createClient(server.baseUrl);
+        const game = (await client.get('/api/games/memehell')).body.game;
+
+        const res = await client.get('/games/memehell');
+        assert.equal(res.status, 200);
+        assert.ok(res.body.includes(`<title>${game.title} - xtteam</title>`));
+        assert.ok(res.body.includes(`<h1 class="game-page-title">${game.title}</h1>`));
+        assert.ok(res.body.includes(`<meta property="og:url" content="${server.baseUrl}/games/memehell">`));
+        assert.ok(res.body.includes(`<meta property="og:image" content="${server.baseUrl}${encodeURI(game.image)}">`));
+        assert.ok(res.body.includes('<meta name="twitter:card" content="summary_large_image">'));
+
+        const description = res.body.match(/<meta name="description" content="([^"]*)">/)[1];
+        assert.ok(description.length > 0 && description.length <= 200);
+
+        // Перевод из translations, как в API
+        const ru = createClient(server.baseUrl, { headers: { 'Accept-Language': 'ru' } });
+        const ruGame = (await ru.get('/api/games/memehell')).body.game;
+        assert.ok((await ru.get('/games/memehell')).body.includes(`<h1 class="game-page-title">${ruGame.title}</h1>`));
+
+        const byId = await client.get(`/games/${game.id}`);
+        assert.equal(byId.status, 301);
+        assert.equal(byId.headers.get('location'), '/games/memehell');
+    });
+
+    it('answers unknown pages with 404', async () => {
+        const client = createClient(server.baseUrl);
+
+        for (const page of ['/no-such-page', '/games/no-such-game', '/news/no-such-news']) {
+            const res = await client.get(page);
+            assert.equal(res.status, 404, page);
+            assert.ok(res.body.includes('Page not found'), page);
+            assert.equal(count(res.body, '<header class="header">'), 1, page);
+        }
+
+        assert.equal((await client.get('/api/no-such-endpoint')).status, 404);
+        for (const method of ['post', 'put', 'delete']) {
+            const res = await client[method]('/api/no-such-endpoint', {});
+            assert.equal(res.status, 404, method);
+            assert.equal(res.body.error, 'API endpoint not found', method);
+        }
+        assert.equal((await client.get('/style.css')).status, 200);
+    });
+
+    it('lists games and news in the sitemap', async () => {
+        const client = createClient(server.baseUrl);
+        const games = (await client.get('/api/games')).body.games;
+
+        const res = await client.get('/sitemap.xml');
+        assert.equal(res.status, 200);
+        assert.ok(res.headers.get('content-type').includes('application/xml'));
+        assert.ok(res.body.startsWith('<?xml'));
+        assert.ok(res.body.includes(`<loc>${server.baseUrl}/</loc>`));
+        for (const game of games) {
+            assert.ok(res.body.includes(`<loc>${server.baseUrl}/games/${game.slug}</loc>`), game.slug);
+        }
+        assert.ok(res.body.includes(`<loc>${server.baseUrl}/news/jarvis-start-xtteam-site</loc>`));
+
+        const robots = await client.get('/robots.txt');
+        assert.equal(robots.status, 200);
+        assert.ok(robots.body.includes('Disallow: /admin'));
+        assert.ok(robots.body.includes(`Sitemap: ${server.baseUrl}/sitemap.xml`));
+    });
+});
@@ -0,0 +1,75 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createClient } = require('./helpers');
+
+describe('Public profiles', () => {
+    let server;
+    let owner;
+
+    before(async () => {
+        server = await startServer();
+
+        owner = createClient(server.baseUrl);
+        await owner.post('/api/register', { username: 'grace', password: 'secret1', email: 'grace@example.com' });
+        await owner.post('/api/events', { type: 'page_visit', target: 'about' });
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('returns unlocked achievements and completion to anyone', async () => {
+        const res = await createClient(server.baseUrl).get('/api/users/grace');
+
+        assert.equal(res.status, 200);
+
+        const profile = res.body.profile;
+        assert.equal(profile.username, 'grace');
+        assert.equal(profile.is_owner, false);
+        assert.equal(profile.unlocked_count, 2);
+        assert.equal(profile.completion, Math.round(2 / profile.total_achievements * 100));
+        assert.deepEqual(profile.achievements.map(a => a.slug).sort(), ['team-introduction', 'with-registration']);
+        assert.ok(profile.achievements.every(a => a.unlocked_at));
+        assert.ok(profile.joined_at);
+        assert.equal(profile.email, undefined);
+    });
+
+    it('returns 404 for unknown and banned users', async () => {
+        const unknown = await createClient(server.baseUrl).get('/api/users/nobody');
+        assert.equal(unknown.status, 404);
+
+        const client = createClient(server.baseUrl);
+        await client.post('/api/register', { username: 'mallory', password: 'secret1' });
+        const user = await server.db.getUserByUsername('mallory');
+        await server.db.setUserBanned(user.id, true);
+
+        const banned = await createClient(server.baseUrl).get('/api/users/mallory');
+        assert.equal(banned.status, 404);
+    });
+
+    it('hides a private profile from everyone but the owner', async () => {
+        const update = await owner.put('/api/me/profile', { is_public: false });
+        assert.deepEqual(update.body, { success: true, is_public: false });
+
+        const guest = await createClient(server.baseUrl).get('/api/users/grace');
+        assert.equal(guest.status, 403);
+        assert.equal(guest.body.error, 'This profile is private');
+
+        const own = await owner.get('/api/users/grace');
+        assert.equal(own.status, 200);
+        assert.equal(own.body.profile.is_owner, true);
+        assert.equal(own.body.profile.is_public, false);
+
+        await owner.put('/api/me/profile', { is_public: true });
+        const reopened = await createClient(server.baseUrl).get('/api/users/grace');
+        assert.equal(reopened.status, 200);
+    });
+
+    it('validates the privacy setting', async () => {
+        const guest = await createClient(server.baseUrl).put('/api/me/profile', { is_public: false });
+        assert.equal(guest.status, 401);
+
+        const invalid = await owner.put('/api/me/profile', { is_public: 'no' });
+        assert.equal(invalid.status, 400);
+    });
+});
@@ -0,0 +1,142 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { startServer, createClient, promoteToAdmin } = require('./helpers');
+
+const BUILD = Buffer.from('pretend this is a game build');
+const SHA256 = crypto.createHash('sha256').update(BUILD).digest('hex');
+
+describe('Game releases', () => {
+    let server;
+    let admin;
+
+    before(async () => {
+        server = await startServer();
+
+        admin = createClient(server.baseUrl);
+        await admin.post('/api/register', { username: 'admin', password: 'secret1' });
+        await promoteToAdmin(server.db, 'admin');
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('accepts uploads only from admins', async () => {
+        const guest = await createClient(server.baseUrl).post('/api/admin/games/1/releases?version=1.0&filename=a.zip', BUILD);
+        assert.equal(guest.status, 401);
+
+        const player = createClient(server.baseUrl);
+        await player.post('/api/register', { username: 'player', password: 'secret1' });
+        const forbidden = await player.post('/api/admin/games/1/releases?version=1.0&filename=a.zip', BUILD);
+        assert.equal(forbidden.status, 403);
+    });
+
+    it('validates version and file', async () => {
+        const badVersion = await admin.post('/api/admin/games/1/releases?version=../1&filename=a.zip', BUILD);
+        assert.equal(badVersion.status, 400);
+
+        const noFile = await admin.post('/api/admin/games/1/releases?version=1.0', BUILD);
+        assert.equal(noFile.status, 400);
+
+        const empty = await admin.post('/api/admin/games/1/releases?version=1.0&filename=a.zip', Buffer.alloc(0));
+        assert.equal(empty.status, 400);
+
+        const repeated = await admin.post('/api/admin/games/1/releases?version=1.0&filename=a.zip&changelog=a&changelog=b', BUILD);
+        assert.equal(repeated.status, 400);
+
+        const unknownGame = await admin.post('/api/admin/games/999/releases?version=1.0&filename=a.zip', BUILD);
+        assert.equal(unknownGame.status, 404);
+    });
+
+    it('stores the file with size and checksum', async () => {
+        const res = await admin.post('/api/admin/games/1/releases?version=1.0.0&filename=../memehell.zip&changelog=First', BUILD);
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.sha256, SHA256);
+        assert.equal(res.body.file_size, BUILD.length);
+        assert.ok(fs.existsSync(path.join(server.releasesDir, '1', '1.0.0', 'memehell.zip')));
+
+        const duplicate = await admin.post('/api/admin/games/1/releases?version=1.0.0&filename=b.zip', BUILD);
+        assert.equal(duplicate.status, 400);
+
+        const game = (await createClient(server.baseUrl).get('/api/games/memehell')).body.game;
+        assert.equal(game.releases.length, 1);
+        assert.equal(game.releases[0].changelog, 'First');
+        assert.equal(game.releases[0].download_url, '/downloads/memehell/1.0.0');
+    });
+
+    it('serves downloads and counts them', async () => {
+        const guest = createClient(server.baseUrl);
+
+        const res = await guest.get('/downloads/memehell/1.0.0');
+        assert.equal(res.status, 200);
+        assert.equal(res.body, BUILD.toString());
+        assert.equal(res.headers.get('x-checksum-sha256'), SHA256);
+        assert.match(res.headers.get('content-disposition'), /memehell\.zip/);
+
+        const latest = await guest.get('/downloads/memehell/latest');
+        assert.equal(latest.status, 200);
+
+        const missing = await guest.get('/downloads/memehell/9.9.9');
+        assert.equal(missing.status, 404);
+
+        const game = (await guest.get('/api/games/memehell')).body.game;
+        assert.equal(game.releases[0].download_count, 2);
+
+        const { games } = (await guest.get('/api/games')).body;
+        assert.equal(games.find(g => g.slug === 'memehell').download_count, 2);
+        assert.equal(games.find(g => g.slug === 'memehell').latest_version, '1.0.0');
+    });
+
+    it('records downloads of hosted releases for the GameR achievement', async () => {
+        const player = createClient(server.baseUrl);
+        await player.post('/api/register', { username: 'downloader', password: 'secret1' });
+
+        // Браузер больше не может сам заявить о скачивании игры с релизами
+        const claimed = await player.post('/api/events', { type: 'game_download', target: 'memehell' });
+        assert.equal(claimed.status, 400);
+
+        await player.get('/downloads/memehell/latest');
+
+        const events = await server.db.getUserEvents((await server.db.getUserByUsername('downloader')).id, 'game_download');
+        assert.deepEqual(events.map(event => event.target), ['memehell']);
+    });
+
+    it('does not count HEAD requests as downloads', async () => {
+        const player = createClient(server.baseUrl);
+        await player.post('/api/register', { username: 'checker', password: 'secret1' });
+        const before = (await player.get('/api/games/memehell')).body.game.releases[0].download_count;
+
+        const res = await fetch(`${server.baseUrl}/downloads/memehell/latest`, {
+            method: 'HEAD',
+            headers: { Cookie: player.getCookie() }
+        });
+        assert.equal(res.status, 200);
+        assert.equal(res.headers.get('x-checksum-sha256'), SHA256);
+
+        const game = (await player.get('/api/games/memehell')).body.game;
+        assert.equal(game.releases[0].download_count, before);
+
+        const events = await server.db.getUserEvents((await server.db.getUserByUsername('checker')).id, 'game_download');
+        assert.deepEqual(events, []);
+    });
+
+    it('updates the changelog and deletes releases with their files', async () => {
+        const game = (await admin.get('/api/games/memehell')).body.game;
+        const releaseId = game.releases[0].id;
+
+        const update = await admin.put(`/api/admin/releases/${releaseId}`, { changelog: 'Fixed typos' });
+        assert.equal(update.status, 200);
+        assert.equal((await admin.get('/api/games/memehell')).body.game.releases[0].changelog, 'Fixed typos');
+
+        const removed = await admin.delete(`/api/admin/releases/${releaseId}`);
+        assert.equal(removed.status, 200);
+        assert.ok(!fs.existsSync(path.join(server.releasesDir, '1', '1.0.0')));
+
+        const download = await createClient(server.baseUrl).get('/downloads/memehell/1.0.0');
+        assert.equal(download.status, 404);
+    });
+});
@@ -0,0 +1,141 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createClient, promoteToAdmin } = require('./helpers');
+
+describe('Game reviews', () => {
+    let server;
+    let admin;
+    let alice;
+    let bob;
+    let gameId;
+
+    before(async () => {
+        server = await startServer();
+
+        admin = createClient(server.baseUrl);
+        await admin.post('/api/register', { username: 'moderator', password: 'secret1' });
+        await promoteToAdmin(server.db, 'moderator');
+
+        alice = createClient(server.baseUrl);
+        await alice.post('/api/register', { username: 'alice', password: 'secret1' });
+
+        bob = createClient(server.baseUrl);
+        await bob.post('/api/register', { username: 'bob', password: 'secret1' });
+
+        gameId = (await createClient(server.baseUrl).get('/api/games')).body.games[0].id;
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('lets only signed-in players review', async () => {
+        const res = await createClient(server.baseUrl).post(`/api/games/${gameId}/reviews`, { rating: 5 });
+        assert.equal(res.status, 401);
+    });
+
+    it('validates rating and text', async () => {
+        for (const body of [{}, { rating: 0 }, { rating: 6 }, { rating: 4.5 }, { rating: '5' }, { rating: 5, body: 42 }]) {
+            const res = await alice.post(`/api/games/${gameId}/reviews`, body);
+            assert.equal(res.status, 400, JSON.stringify(body));
+        }
+
+        const tooLong = await alice.post(`/api/games/${gameId}/reviews`, { rating: 5, body: 'a'.repeat(2001) });
+        assert.equal(tooLong.status, 400);
+
+        const unknownGame = await alice.post('/api/games/999/reviews', { rating: 5 });
+        assert.equal(unknownGame.status, 404);
+    });
+
+    it('stores one review per player and game', async () => {
+        const res = await alice.post(`/api/games/${gameId}/reviews`, { rating: 5, body: '  Great game!  ' });
+        assert.equal(res.status, 201);
+        assert.equal(res.body.review.rating, 5);
+        assert.equal(res.body.review.body, 'Great game!');
+
+        const again = await alice.post(`/api/games/${gameId}/reviews`, { rating: 1 });
+        assert.equal(again.status, 409);
+
+        await bob.post(`/api/games/${gameId}/reviews`, { rating: 2 });
+
+        const list = await createClient(server.baseUrl).get(`/api/games/${gameId}/reviews`);
+        assert.equal(list.body.review_count, 2);
+        assert.equal(list.body.average_rating, 3.5);
+        assert.deepEqual(list.body.reviews.map(r => r.username).sort(), ['alice', 'bob']);
+        assert.equal(list.body.mine, null);
+
+        const own = await alice.get(`/api/games/${gameId}/reviews`);
+        assert.equal(own.body.mine.rating, 5);
+
+        const games = await createClient(server.baseUrl).get('/api/games');
+        const game = games.body.games.find(g => g.id === gameId);
+        assert.equal(game.average_rating, 3.5);
+        assert.equal(game.review_count, 2);
+        assert.equal(games.body.games.find(g => g.id !== gameId).review_count, 0);
+    });
+
+    it('lets players edit and delete only their own review', async () => {
+        const reviewId = (await alice.get(`/api/games/${gameId}/reviews`)).body.mine.id;
+
+        const foreign = await bob.put(`/api/reviews/${reviewId}`, { rating: 1 });
+        assert.equal(foreign.status, 403);
+        assert.equal((await bob.delete(`/api/reviews/${reviewId}`)).status, 403);
+
+        const edited = await alice.put(`/api/reviews/${reviewId}`, { rating: 4, body: 'Still good' });
+        assert.equal(edited.status, 200);
+        assert.equal(edited.body.review.rating, 4);
+        assert.equal(edited.body.review.body, 'Still good');
+
+        const bobReviewId = (await bob.get(`/api/games/${gameId}/reviews`)).body.mine.id;
+        assert.equal((await bob.delete(`/api/reviews/${bobReviewId}`)).status, 200);
+        assert.equal((await bob.delete(`/api/reviews/${bobReviewId}`)).status, 404);
+
+        const list = await createClient(server.baseUrl).get(`/api/games/${gameId}/reviews`);
+        assert.equal(list.body.review_count, 1);
+        assert.equal(list.body.average_rating, 4);
+    });
+
+    it('paginates reviews', async () => {
+        const game = (await createClient(server.baseUrl).get('/api/games')).body.games[1];
+
+        // Регистрации ограничены по IP, поэтому авторы отзывов создаются напрямую
+        for (let i = 0; i < 11; i++) {
+            const userId = await server.db.createUser(`reviewer${i}`, 'secret1');
+            await server.db.createReview({ game_id: game.id, user_id: userId, rating: 3, body: null });
+        }
+
+        const first = await createClient(server.baseUrl).get(`/api/games/${game.slug}/reviews`);
+        assert.equal(first.body.reviews.length, 10);
+        assert.deepEqual(first.body.pagination, { page: 1, pageSize: 10, total: 11, totalPages: 2 });
+
+        const second = await createClient(server.baseUrl).get(`/api/games/${game.id}/reviews?page=2`);
+        assert.equal(second.body.reviews.length, 1);
+    });
+
+    it('lets admins hide and delete reviews', async () => {
+        const reviewId = (await alice.get(`/api/games/${gameId}/reviews`)).body.mine.id;
+
+        assert.equal((await alice.post(`/api/admin/reviews/${reviewId}/hide`, { hidden: true })).status, 403);
+
+        const listed = await admin.get('/api/admin/reviews');
+        assert.equal(listed.status, 200);
+        assert.ok(listed.body.reviews.some(r => r.id === reviewId && r.username === 'alice'));
+
+        const hidden = await admin.post(`/api/admin/reviews/${reviewId}/hide`, { hidden: true });
+        assert.equal(hidden.status, 200);
+
+        const list = await createClient(server.baseUrl).get(`/api/games/${gameId}/reviews`);
+        assert.equal(list.body.review_count, 0);
+        assert.equal(list.body.average_rating, null);
+
+        // Автор видит свой скрытый отзыв и не может обойти модерацию, отправив его заново
+        const own = await alice.get(`/api/games/${gameId}/reviews`);
+        assert.equal(own.body.mine.is_hidden, true);
+        await alice.put(`/api/reviews/${reviewId}`, { rating: 5 });
+        assert.equal((await alice.get(`/api/games/${gameId}/reviews`)).body.mine.is_hidden, true);
+
+        assert.equal((await admin.delete(`/api/admin/reviews/${reviewId}`)).status, 200);
+        assert.equal((await admin.delete(`/api/admin/reviews/${reviewId}`)).status, 404);
+        assert.equal((await alice.get(`/api/games/${gameId}/reviews`)).body.mine, null);
+    });
+});
@@ -0,0 +1,158 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createClient } = require('./helpers');
+
+describe('CSRF protection', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('rejects state-changing requests without a token', async () => {
+        const res = await fetch(`${server.baseUrl}/api/register`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username: 'mallory', password: 'secret1' })
+        });
+
+        assert.equal(res.status, 403);
+        assert.equal((await res.json()).error, 'Invalid CSRF token');
+        assert.equal(await server.db.getUserByUsername('mallory'), null);
+    });
+
+    it('rejects a token from another session', async () => {
+        const other = await fetch(`${server.baseUrl}/api/csrf-token`);
+        const { token } = await other.json();
+
+        const session = await fetch(`${server.baseUrl}/api/csrf-token`);
+        const cookie = session.headers.getSetCookie()[0].split(';')[0];
+
+        const res = await fetch(`${server.baseUrl}/api/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': token, Cookie: cookie },
+            body: JSON.stringify({ username: 'nobody', password: 'secret1' })
+        });
+
+        assert.equal(res.status, 403);
+    });
+
+    it('accepts requests with the session token', async () => {
+        const res = await createClient(server.baseUrl).post('/api/register', { username: 'oscar', password: 'secret1' });
+
+        assert.equal(res.status, 200);
+    });
+
+    it('starts a new session with a new token on login and registration', async () => {
+        await server.db.createUser('trent', 'secret1', null);
+
+        const client = createClient(server.baseUrl);
+        const guestToken = (await client.get('/api/csrf-token')).body.token;
+        const guestCookie = client.getCookie();
+
+        const login = await client.post('/api/login', { username: 'trent', password: 'secret1' });
+        assert.equal(login.status, 200);
+        assert.notEqual(client.getCookie(), guestCookie);
+
+        // ID сессии, известный до входа, к аккаунту не пускает
+        const planted = await fetch(`${server.baseUrl}/api/me`, { headers: { Cookie: guestCookie } });
+        assert.equal((await planted.json()).authenticated, false);
+
+        const staleToken = await fetch(`${server.baseUrl}/api/logout`, {
+            method: 'POST',
+            headers: { 'X-CSRF-Token': guestToken, Cookie: client.getCookie() }
+        });
+        assert.equal(staleToken.status, 403);
+        assert.equal((await client.get('/api/me')).body.authenticated, true);
+
+        const newcomer = createClient(server.baseUrl);
+        await newcomer.get('/api/csrf-token');
+        const newcomerCookie = newcomer.getCookie();
+        assert.equal((await newcomer.post('/api/register', { username: 'peggy', password: 'secret1' })).status, 200);
+        assert.notEqual(newcomer.getCookie(), newcomerCookie);
+    });
+});
+
+describe('Rate limiting', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer({
+            rateLimits: {
+                loginIp: { limit: 5, windowMs: 60 * 1000 },
+                loginUser: { limit: 3, windowMs: 60 * 1000 },
+                register: { limit: 3, windowMs: 60 * 1000 },
+                mail: { limit: 2, windowMs: 60 * 1000 },
+                events: { limit: 3, windowMs: 60 * 1000 }
+            }
+        });
+
+        await createClient(server.baseUrl).post('/api/register', { username: 'peggy', password: 'secret1' });
+        await createClient(server.baseUrl).post('/api/register', { username: 'quinn', password: 'secret1' });
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('locks a username after repeated failed logins', async () => {
+        const client = createClient(server.baseUrl);
+
+        for (let i = 0; i < 3; i++) {
+            const res = await client.post('/api/login', { username: 'peggy', password: 'wrong' });
+            assert.equal(res.status, 401);
+        }
+
+        const locked = await client.post('/api/login', { username: 'peggy', password: 'secret1' });
+        assert.equal(locked.status, 429);
+        assert.ok(Number(locked.headers.get('retry-after')) > 0);
+    });
+
+    it('answers the same for unknown usernames', async () => {
+        const client = createClient(server.baseUrl);
+
+        const res = await client.post('/api/login', { username: 'ghost', password: 'wrong' });
+        assert.equal(res.status, 401);
+        assert.equal(res.body.error, 'Invalid username or password');
+    });
+
+    it('locks the IP after too many failed logins across usernames', async () => {
+        const client = createClient(server.baseUrl);
+
+        // 4 неудачи уже есть (3 у peggy и 1 у ghost), пятая блокирует IP
+        await client.post('/api/login', { username: 'quinn', password: 'wrong' });
+
+        const locked = await client.post('/api/login', { username: 'quinn', password: 'secret1' });
+        assert.equal(locked.status, 429);
+    });
+
+    it('limits registrations per IP', async () => {
+        const third = await createClient(server.baseUrl).post('/api/register', { username: 'rupert', password: 'secret1' });
+        assert.equal(third.status, 200);
+
+        const fourth = await createClient(server.baseUrl).post('/api/register', { username: 'sybil', password: 'secret1' });
+        assert.equal(fourth.status, 429);
+    });
+
+    it('limits achievement events', async () => {
+        // Вход с этого IP уже заблокирован тестами выше, поэтому проверяем на госте (лимит по IP)
+        const client = createClient(server.baseUrl);
+
+        for (let i = 0; i < 3; i++) {
+            assert.equal((await client.post('/api/events', { type: 'page_visit', target: 'about' })).status, 200);
+        }
+        assert.equal((await client.post('/api/events', { type: 'page_visit', target: 'about' })).status, 429);
+    });
+
+    it('limits password reset emails per IP', async () => {
+        const client = createClient(server.baseUrl);
+
+        assert.equal((await client.post('/api/password/forgot', { email: 'a@example.com' })).status, 200);
+        assert.equal((await client.post('/api/password/forgot', { email: 'b@example.com' })).status, 200);
+        assert.equal((await client.post('/api/password/forgot', { email: 'c@example.com' })).status, 429);
+    });
+});
@@ -0,0 +1,101 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+// helpers первым: он задаёт LOG_LEVEL до того, как server.js создаст общий логгер
+const { startServer, createClient } = require('./helpers');
+const { createApp } = require('../server.js');
+const Database = require('../db.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function cookieLifetime(res) {
+    const expires = res.headers.getSetCookie()[0].match(/Expires=([^;]+)/)[1];
+    return new Date(expires).getTime() - Date.now();
+}
+
+function listen(app) {
+    return new Promise(resolve => {
+        const instance = app.listen(0, '127.0.0.1', () => resolve(instance));
+    });
+}
+
+describe('Persistent sessions', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+
+        await createClient(server.baseUrl).post('/api/register', { username: 'trent', password: 'secret1' });
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('keeps the session after the app is recreated', async () => {
+        const db = new Database({ driver: 'sqlite', filename: ':memory:' });
+        await db.migrate();
+
+        const first = await listen(createApp(db));
+        const client = createClient(`http://127.0.0.1:${first.address().port}`);
+        await client.post('/api/register', { username: 'uma', password: 'secret1' });
+        first.closeAllConnections();
+        await new Promise(resolve => first.close(resolve));
+
+        // Новый экземпляр приложения - как после перезапуска сервера
+        const second = await listen(createApp(db));
+
+        try {
+            const me = await fetch(`http://127.0.0.1:${second.address().port}/api/me`, {
+                headers: { Cookie: client.getCookie() }
+            });
+            const body = await me.json();
+
+            assert.equal(body.authenticated, true);
+            assert.equal(body.user.username, 'uma');
+        } finally {
+            second.closeAllConnections();
+            await new Promise(resolve => second.close(resolve));
+            await db.close();
+        }
+    });
+
+    it('extends the cookie lifetime with remember me', async () => {
+        const short = await createClient(server.baseUrl).post('/api/login', { username: 'trent', password: 'secret1' });
+        assert.ok(cookieLifetime(short) <= DAY);
+
+        const long = await createClient(server.baseUrl).post('/api/login', { username: 'trent', password: 'secret1', remember: true });
+        assert.ok(cookieLifetime(long) > 29 * DAY);
+    });
+
+    it('logs out of all devices', async () => {
+        const laptop = createClient(server.baseUrl);
+        const phone = createClient(server.baseUrl);
+        await laptop.post('/api/login', { username: 'trent', password: 'secret1' });
+        await phone.post('/api/login', { username: 'trent', password: 'secret1' });
+
+        const res = await laptop.post('/api/logout/all');
+        assert.equal(res.status, 200);
+
+        assert.equal((await laptop.get('/api/me')).body.authenticated, false);
+        assert.equal((await phone.get('/api/me')).body.authenticated, false);
+    });
+
+    it('ends other sessions when the password changes', async () => {
+        const laptop = createClient(server.baseUrl);
+        const phone = createClient(server.baseUrl);
+        await laptop.post('/api/login', { username: 'trent', password: 'secret1' });
+        await phone.post('/api/login', { username: 'trent', password: 'secret1' });
+
+        await laptop.put('/api/me/password', { current_password: 'secret1', new_password: 'secret2' });
+
+        assert.equal((await laptop.get('/api/me')).body.authenticated, true);
+        assert.equal((await phone.get('/api/me')).body.authenticated, false);
+    });
+
+    it('removes expired sessions', async () => {
+        await server.db.saveSession('expired-sid', { cookie: {} }, new Date(Date.now() - 1000));
+
+        assert.equal(await server.db.getSession('expired-sid'), null);
+        assert.ok(await server.db.deleteExpiredSessions() >= 1);
+    });
+});